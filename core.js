@@ -0,0 +1,2634 @@
+/**
+ * Gold Sky Game - Simulation Core
+ * DOM-free game simulation: basket, gold pool, scoring, timer and state machine.
+ * Loaded as a plain script in the browser and with require() under Node.
+ */
+
+// Game Configuration Constants
+const CONFIG = {
+    // Game dimensions and timing
+    GAME_WIDTH: 800,
+    GAME_HEIGHT: 600,
+    INITIAL_TIMER: 60, // seconds
+    TARGET_SCORE: 0, // points that end the run as a win (0 = no target)
+    FPS_TARGET: 60,
+    FIXED_TIMESTEP: 1 / 60, // seconds of game time per simulation step
+    MAX_FRAME_TIME: 0.25, // seconds, caps catch-up after stalls or background tabs
+    
+    // Game mode rules
+    ENDLESS_LIVES: 3, // lives in Endless; each missed gold costs one
+    SURVIVAL_DRAIN_RATE: 1.5, // timer seconds lost per second in Survival
+    SURVIVAL_CATCH_BONUS: 0.75, // seconds refilled per catch in Survival
+    
+    // Basket properties
+    BASKET_WIDTH: 80,
+    BASKET_HEIGHT: 40,
+    BASKET_SPEED: 300, // pixels per second
+    BASKET_ACCELERATION: 2400, // pixels per second squared while steering
+    BASKET_FRICTION: 1800, // pixels per second squared of braking without input
+    BASKET_MARGIN: 10, // distance from edges
+    
+    // Gold piece properties
+    GOLD_MIN_SIZE: 15,
+    GOLD_MAX_SIZE: 35,
+    GOLD_MIN_SPEED: 100, // pixels per second; terminal velocities come from this range
+    GOLD_MAX_SPEED: 250,
+    GOLD_SPAWN_SPEED: 40, // pixels per second of fall when a piece appears
+    GOLD_MAX_DRIFT: 50, // pixels per second of sideways speed at spawn, either way
+    GOLD_AIR_DRAG: 1.5, // per second; how quickly sideways speed settles to the wind
+    SPAWN_RATE: 2.0, // gold pieces per second
+    SPAWN_RATE_INCREASE: 0.1, // increase per SPAWN_RATE_INTERVAL
+    SPAWN_RATE_INTERVAL: 10, // seconds of game time between increases
+    
+    // Hazards (share of spawns, ramping with the spawn rate)
+    HAZARD_CHANCE: 0.1, // chance a spawn is a hazard at the start
+    HAZARD_CHANCE_INCREASE: 0.03, // added per SPAWN_RATE_INTERVAL
+    HAZARD_MAX_CHANCE: 0.35,
+    HAZARD_MIX: { rock: 0.5, bomb: 0.3, storm: 0.2 }, // relative weights
+    ROCK_TIME_PENALTY: 5, // seconds taken off the timer
+    BOMB_POINT_PENALTY: 25, // points lost
+    STORM_SLOW_DURATION: 3, // seconds
+    STORM_SLOW_FACTOR: 0.5, // basket speed multiplier while slowed
+    
+    // Power-ups (timed effects refresh to full duration when caught again)
+    POWERUP_CHANCE: 0.05, // chance a spawn is a power-up
+    POWERUP_MIX: { magnet: 1, wide: 1, slow: 1, time: 1, double: 1 }, // relative weights
+    POWERUP_DURATION: 8, // seconds for timed effects
+    POWERUP_SPEED: 120, // pixels per second
+    MAGNET_RADIUS: 200, // pixels from basket center
+    MAGNET_STRENGTH: 250, // pixels per second of horizontal pull
+    WIDE_BASKET_FACTOR: 1.6, // basket width multiplier
+    SLOW_MOTION_FACTOR: 0.5, // falling speed multiplier
+    TIME_BONUS: 10, // seconds added (stacks)
+    DOUBLE_SCORE_FACTOR: 2, // points multiplier
+    
+    // Physics and collision
+    GRAVITY: 200, // pixels per second squared
+    WALL_BOUNCE: 0.6, // share of sideways speed kept after hitting a wall or the basket side
+    COLLISION_PADDING: 5, // pixels of overlap allowed
+    COLLISION_CELL_SIZE: 100, // pixels per side of a broad-phase grid cell
+    
+    // Weather (wind pushes falling gold sideways)
+    WEATHER: 'clear', // key of WeatherTypes
+    WIND_SPEED: 60, // pixels per second of sideways air speed at full strength
+    WIND_GUST_PERIOD: 8, // seconds between gust peaks
+    
+    // Scoring system
+    SCORE_MULTIPLIER: 10, // base points per gold size
+    SIZE_BONUS_MULTIPLIER: 1.5, // bonus for larger gold
+    COMBO_STEP: 5, // consecutive catches per multiplier level
+    COMBO_MAX_MULTIPLIER: 5,
+    LEADERBOARD_SIZE: 10, // entries kept per mode
+    PLAYER_NAME_MAX_LENGTH: 16, // characters
+    
+    // Visual effects
+    PICKUP_FLASH_DURATION: 200, // milliseconds
+    PARTICLE_COUNT: 6,
+    PARTICLE_LIFETIME: 500, // milliseconds
+    FLOATING_TEXT_LIFETIME: 800, // milliseconds
+    
+    // Debug mode
+    DEBUG_ENABLED: false
+};
+
+/**
+ * Seedable Random Number Generator
+ * Mulberry32 generator so a run can be replayed from its seed
+ */
+class Rng {
+    constructor(seed = 0) {
+        this.setSeed(seed);
+    }
+    
+    /**
+     * Reset the generator to the start of a seed's sequence
+     * @param {string|number} seed - Seed value (strings are hashed)
+     */
+    setSeed(seed) {
+        this.seed = seed;
+        this.state = Rng.hashSeed(String(seed));
+    }
+    
+    /**
+     * Generate next random number in [0, 1)
+     * @returns {number} Random number
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    /**
+     * Generate random number between min and max
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number} Random number
+     */
+    range(min, max) {
+        return this.next() * (max - min) + min;
+    }
+    
+    /**
+     * Generate random integer between min and max (inclusive)
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number} Random integer
+     */
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+    
+    /**
+     * Hash a seed string into a 32-bit state (FNV-1a)
+     * @param {string} str - Seed string
+     * @returns {number} Unsigned 32-bit hash
+     */
+    static hashSeed(str) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
+
+/**
+ * Random Number Service
+ * All game randomness goes through these streams. Gameplay and visual
+ * effects use separate streams so cosmetic randomness never shifts
+ * where gold spawns.
+ */
+const Random = {
+    seed: '',
+    gameplay: new Rng(),
+    effects: new Rng(),
+    
+    /**
+     * Seed every stream for a new run
+     * @param {string|number} seed - Run seed
+     */
+    setSeed(seed) {
+        this.seed = String(seed);
+        this.gameplay.setSeed(this.seed);
+        this.effects.setSeed(`${this.seed}:effects`);
+    },
+    
+    /**
+     * Create a fresh seed for an unseeded run
+     * @returns {string} Random seed
+     */
+    generateSeed() {
+        // Entropy source for new seeds only; gameplay never reads Math.random
+        return Math.floor(Math.random() * 0xFFFFFFFF).toString(36);
+    },
+    
+    /**
+     * Seed shared by everyone playing on the given day
+     * @param {Date} date - Day of the challenge
+     * @returns {string} Daily seed (e.g. "daily-2024-05-01")
+     */
+    dailySeed(date = new Date()) {
+        const month = (date.getMonth() + 1).toString().padStart(2, '0');
+        const day = date.getDate().toString().padStart(2, '0');
+        return `daily-${date.getFullYear()}-${month}-${day}`;
+    }
+};
+
+/**
+ * Utility Functions
+ */
+const Utils = {
+    /**
+     * Generate random number between min and max
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number} Random number
+     */
+    random(min, max) {
+        return Random.gameplay.range(min, max);
+    },
+    
+    /**
+     * Generate random integer between min and max (inclusive)
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number} Random integer
+     */
+    randomInt(min, max) {
+        return Random.gameplay.int(min, max);
+    },
+    
+    /**
+     * Clamp value between min and max
+     * @param {number} value - Value to clamp
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number} Clamped value
+     */
+    clamp(value, min, max) {
+        return Math.min(Math.max(value, min), max);
+    },
+    
+    /**
+     * Linearly interpolate between two values
+     * @param {number} a - Start value
+     * @param {number} b - End value
+     * @param {number} t - Interpolation factor (0-1)
+     * @returns {number} Interpolated value
+     */
+    lerp(a, b, t) {
+        return a + (b - a) * t;
+    },
+    
+    /**
+     * Check circle-rectangle collision
+     * @param {Object} circle - Circle object with x, y, radius
+     * @param {Object} rect - Rectangle object with x, y, width, height
+     * @returns {boolean} True if collision detected
+     */
+    circleRectCollision(circle, rect) {
+        const distX = Math.abs(circle.x - rect.x - rect.width / 2);
+        const distY = Math.abs(circle.y - rect.y - rect.height / 2);
+        
+        if (distX > (rect.width / 2 + circle.radius)) return false;
+        if (distY > (rect.height / 2 + circle.radius)) return false;
+        
+        if (distX <= (rect.width / 2)) return true;
+        if (distY <= (rect.height / 2)) return true;
+        
+        const dx = distX - rect.width / 2;
+        const dy = distY - rect.height / 2;
+        return (dx * dx + dy * dy <= (circle.radius * circle.radius));
+    },
+    
+    /**
+     * Check rectangle-rectangle collision
+     * @param {Object} a - Rectangle object with x, y, width, height
+     * @param {Object} b - Rectangle object with x, y, width, height
+     * @returns {boolean} True if collision detected
+     */
+    rectRectCollision(a, b) {
+        return a.x < b.x + b.width && a.x + a.width > b.x &&
+            a.y < b.y + b.height && a.y + a.height > b.y;
+    },
+    
+    /**
+     * Check collision of a circle or rectangle against a rectangle
+     * @param {Object} bounds - Circle (x, y, radius) or rectangle (x, y, width, height)
+     * @param {Object} rect - Rectangle object with x, y, width, height
+     * @returns {boolean} True if collision detected
+     */
+    shapeRectCollision(bounds, rect) {
+        return bounds.radius !== undefined
+            ? this.circleRectCollision(bounds, rect)
+            : this.rectRectCollision(bounds, rect);
+    },
+    
+    /**
+     * Pick a key from a table of relative weights
+     * @param {Object} weights - Map of key to non-negative weight
+     * @returns {string} Chosen key
+     */
+    weightedPick(weights) {
+        const entries = Object.entries(weights);
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        let roll = this.random(0, total);
+        for (const [key, weight] of entries) {
+            roll -= weight;
+            if (roll < 0) return key;
+        }
+        return entries[entries.length - 1][0];
+    },
+    
+    /**
+     * Format time in MM:SS format
+     * @param {number} seconds - Time in seconds
+     * @returns {string} Formatted time string
+     */
+    formatTime(seconds) {
+        const mins = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    }
+};
+
+/**
+ * Gold Piece Class
+ * Represents falling gold pieces that can be collected
+ */
+class Gold {
+    constructor(x, y) {
+        this.reset(x, y);
+    }
+    
+    /**
+     * Prepare gold piece for (re)use
+     * @param {number} x - X position (center)
+     * @param {number} y - Y position (center)
+     */
+    reset(x, y) {
+        this.x = x;
+        this.y = y;
+        this.prevX = x;
+        this.prevY = y;
+        this.radius = Utils.random(CONFIG.GOLD_MIN_SIZE, CONFIG.GOLD_MAX_SIZE);
+        this.vx = Utils.random(-CONFIG.GOLD_MAX_DRIFT, CONFIG.GOLD_MAX_DRIFT);
+        this.vy = CONFIG.GOLD_SPAWN_SPEED;
+        this.rotation = 0;
+        this.rotationSpeed = Utils.random(-5, 5);
+        this.shimmer = 0;
+        this.collected = false;
+        
+        // Larger gold falls slower (more realistic)
+        const sizeFactor = this.radius / CONFIG.GOLD_MAX_SIZE;
+        this.terminalSpeed = CONFIG.GOLD_MIN_SPEED + (CONFIG.GOLD_MAX_SPEED - CONFIG.GOLD_MIN_SPEED) * (1 - sizeFactor * 0.5);
+    }
+    
+    /**
+     * Update gold piece physics
+     * Gravity speeds the fall up to the piece's terminal velocity. Air drag
+     * pulls the sideways speed toward the wind, faster for small pieces, and
+     * the side walls bounce pieces back so every one stays catchable.
+     * @param {number} deltaTime - Frame time in seconds
+     * @param {number} wind - Sideways wind speed in pixels per second
+     */
+    update(deltaTime, wind = 0) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+        
+        this.vy = Math.min(this.vy + CONFIG.GRAVITY * deltaTime, this.terminalSpeed);
+        const drag = CONFIG.GOLD_AIR_DRAG * (1 - (this.radius / CONFIG.GOLD_MAX_SIZE) * 0.5);
+        this.vx += (wind - this.vx) * Math.min(drag * deltaTime, 1);
+        
+        this.x += this.vx * deltaTime;
+        this.y += this.vy * deltaTime;
+        this.bounceOffWalls();
+        
+        this.rotation += this.rotationSpeed * deltaTime;
+        this.shimmer += deltaTime * 4;
+    }
+    
+    /**
+     * Keep the piece between the side walls, bouncing it back off them
+     */
+    bounceOffWalls() {
+        if (this.x < this.radius) {
+            this.x = this.radius;
+            this.vx = Math.abs(this.vx) * CONFIG.WALL_BOUNCE;
+        } else if (this.x > CONFIG.GAME_WIDTH - this.radius) {
+            this.x = CONFIG.GAME_WIDTH - this.radius;
+            this.vx = -Math.abs(this.vx) * CONFIG.WALL_BOUNCE;
+        }
+    }
+    
+    /**
+     * Draw gold piece to canvas
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {boolean} debug - Whether to draw debug info
+     * @param {number} interpolation - Fraction of a step since the last update (0-1)
+     * @param {Object} palette - Colors to draw with (see Gold.palette)
+     */
+    draw(ctx, debug = false, interpolation = 1, palette = Gold.palette) {
+        const x = Utils.lerp(this.prevX, this.x, interpolation);
+        const y = Utils.lerp(this.prevY, this.y, interpolation);
+        
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(this.rotation);
+        Gold.drawShape(ctx, this.radius, this.getShimmerAmount(), palette);
+        ctx.restore();
+        
+        if (debug) {
+            this.drawDebug(ctx, x, y);
+        }
+    }
+    
+    /**
+     * Get how much the shimmer brightens the gold right now
+     * @returns {number} Shimmer amount (0-0.2)
+     */
+    getShimmerAmount() {
+        return (Math.sin(this.shimmer) + 1) * 0.1;
+    }
+    
+    /**
+     * Draw a gold piece centered on the origin, unrotated
+     * Shared by Gold.draw and pre-rendered sprites.
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} radius - Radius in pixels
+     * @param {number} shimmerAmount - Brightening from the shimmer (0-0.2)
+     * @param {Object} palette - Colors to draw with (see Gold.palette)
+     */
+    static drawShape(ctx, radius, shimmerAmount, palette) {
+        // Gold gradient with shimmer effect (brightest at the center)
+        const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, radius);
+        const [center, middle, edge] = palette.stops;
+        gradient.addColorStop(0, `hsl(${center[0]}, ${center[1]}%, ${center[2] + shimmerAmount * 10}%)`);
+        gradient.addColorStop(0.7, `hsl(${middle[0]}, ${middle[1]}%, ${middle[2] + shimmerAmount * 5}%)`);
+        gradient.addColorStop(1, `hsl(${edge[0]}, ${edge[1]}%, ${edge[2] + shimmerAmount * 3}%)`);
+        
+        // Shadow
+        ctx.globalAlpha = 0.3;
+        ctx.fillStyle = palette.shadow;
+        ctx.beginPath();
+        ctx.arc(2, 2, radius, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Main gold piece
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(0, 0, radius, 0, Math.PI * 2);
+        ctx.fill();
+        if (palette.outline) {
+            ctx.strokeStyle = palette.outline;
+            ctx.lineWidth = 3;
+            ctx.stroke();
+        }
+        
+        // Highlight
+        ctx.fillStyle = palette.highlight;
+        ctx.beginPath();
+        ctx.arc(-radius * 0.3, -radius * 0.3, radius * 0.4, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Stamped star, so gold is told apart by shape and not only by color
+        if (palette.mark) {
+            ctx.fillStyle = palette.mark;
+            ctx.beginPath();
+            for (let i = 0; i < 10; i++) {
+                const angle = -Math.PI / 2 + (i / 10) * Math.PI * 2;
+                const reach = radius * (i % 2 === 0 ? 0.55 : 0.22);
+                ctx.lineTo(Math.cos(angle) * reach, Math.sin(angle) * reach);
+            }
+            ctx.closePath();
+            ctx.fill();
+        }
+    }
+    
+    /**
+     * Draw the debug collision circle
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} x - Drawn center x
+     * @param {number} y - Drawn center y
+     */
+    drawDebug(ctx, x, y) {
+        ctx.strokeStyle = 'red';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x, y, this.radius, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+    
+    /**
+     * Check if gold piece is off screen
+     * @returns {boolean} True if off screen
+     */
+    isOffScreen() {
+        return this.y - this.radius > CONFIG.GAME_HEIGHT;
+    }
+    
+    /**
+     * Get collision bounds
+     * @returns {Object} Collision circle data
+     */
+    getCollisionBounds() {
+        return {
+            x: this.x,
+            y: this.y,
+            radius: this.radius - CONFIG.COLLISION_PADDING
+        };
+    }
+    
+    /**
+     * Calculate points value for this gold piece
+     * @returns {number} Points value
+     */
+    getPointValue() {
+        const sizeRatio = this.radius / CONFIG.GOLD_MAX_SIZE;
+        return Math.floor(CONFIG.SCORE_MULTIPLIER * sizeRatio * CONFIG.SIZE_BONUS_MULTIPLIER);
+    }
+}
+
+/**
+ * Default gold colors; themes pass their own palette to Gold.draw
+ * Gradient stops are [hue, saturation %, lightness %] from the center out,
+ * so the shimmer can brighten them.
+ */
+Gold.palette = {
+    stops: [[51, 100, 85], [45, 100, 70], [38, 80, 50]],
+    shadow: '#B8860B',
+    highlight: 'rgba(255, 255, 255, 0.4)',
+    outline: null,
+    mark: null // color of a stamped star, or null for plain gold
+};
+
+/**
+ * Weather Definitions
+ * Wind strength as a share of CONFIG.WIND_SPEED; rain and snow are drawn by
+ * the shell and only bring a breeze to the simulation
+ */
+const WeatherTypes = {
+    clear: { wind: 0 },
+    rain: { wind: 0.4 },
+    snow: { wind: 0.25 },
+    wind: { wind: 1 }
+};
+
+/**
+ * Hazard Definitions
+ * Size, fall speed and effect color for each hazard kind
+ */
+const HazardTypes = {
+    rock: { radius: 18, speed: 230, color: '#808080' },
+    bomb: { radius: 16, speed: 170, color: '#FF4500' },
+    storm: { width: 90, height: 40, speed: 90, color: '#708090' }
+};
+
+/**
+ * Hazard Class
+ * Falling objects that penalize the player when caught:
+ * rocks cost time, bombs cost points and storm clouds slow the basket
+ */
+class Hazard {
+    constructor(x, y, kind) {
+        this.reset(x, y, kind);
+    }
+    
+    /**
+     * Prepare hazard for (re)use
+     * @param {number} x - X position (center)
+     * @param {number} y - Y position (center)
+     * @param {string} kind - Key of HazardTypes
+     */
+    reset(x, y, kind) {
+        const type = HazardTypes[kind];
+        this.kind = kind;
+        this.x = x;
+        this.y = y;
+        this.prevX = x;
+        this.prevY = y;
+        this.speed = type.speed;
+        this.radius = type.radius || 0;
+        this.width = type.width || this.radius * 2;
+        this.height = type.height || this.radius * 2;
+        this.particleColor = type.color;
+        this.age = 0;
+        this.rotation = 0;
+        this.rotationSpeed = kind === 'rock' ? Utils.random(-3, 3) : 0;
+        
+        // Jagged outline for rocks, fixed per piece
+        this.outline = kind === 'rock'
+            ? Array.from({ length: 7 }, () => Utils.random(0.75, 1.1))
+            : null;
+    }
+    
+    /**
+     * Update hazard physics
+     * @param {number} deltaTime - Step length in seconds
+     */
+    update(deltaTime) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.y += this.speed * deltaTime;
+        this.rotation += this.rotationSpeed * deltaTime;
+        this.age += deltaTime;
+    }
+    
+    /**
+     * Draw hazard to canvas
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {boolean} debug - Whether to draw debug info
+     * @param {number} interpolation - Fraction of a step since the last update (0-1)
+     * @param {Object} palette - Colors to draw with (see Hazard.palette)
+     */
+    draw(ctx, debug = false, interpolation = 1, palette = Hazard.palette) {
+        const x = Utils.lerp(this.prevX, this.x, interpolation);
+        const y = Utils.lerp(this.prevY, this.y, interpolation);
+        
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(this.rotation);
+        if (this.kind === 'rock') {
+            this.drawRock(ctx, palette.rock);
+        } else if (this.kind === 'bomb') {
+            this.drawBomb(ctx, palette.bomb);
+        } else {
+            this.drawStorm(ctx, palette.storm);
+        }
+        if (palette.hatch) {
+            this.drawHatching(ctx, palette.hatch);
+        }
+        ctx.restore();
+        
+        // Debug collision shape
+        if (debug) {
+            const bounds = this.getCollisionBounds();
+            const dy = y - this.y;
+            ctx.strokeStyle = 'red';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            if (bounds.radius !== undefined) {
+                ctx.arc(x, y, bounds.radius, 0, Math.PI * 2);
+            } else {
+                ctx.rect(bounds.x, bounds.y + dy, bounds.width, bounds.height);
+            }
+            ctx.stroke();
+        }
+    }
+    
+    /**
+     * Trace the hazard's silhouette as the current path
+     * @param {CanvasRenderingContext2D} ctx - Canvas context translated to the hazard
+     */
+    traceOutline(ctx) {
+        ctx.beginPath();
+        if (this.kind === 'rock') {
+            this.outline.forEach((scale, i) => {
+                const angle = (i / this.outline.length) * Math.PI * 2;
+                const px = Math.cos(angle) * this.radius * scale;
+                const py = Math.sin(angle) * this.radius * scale;
+                if (i === 0) ctx.moveTo(px, py);
+                else ctx.lineTo(px, py);
+            });
+            ctx.closePath();
+        } else if (this.kind === 'bomb') {
+            ctx.arc(0, 0, this.radius, 0, Math.PI * 2);
+        } else {
+            const w = this.width;
+            const h = this.height;
+            ctx.arc(-w * 0.25, h * 0.05, h * 0.45, 0, Math.PI * 2);
+            ctx.arc(w * 0.05, -h * 0.1, h * 0.55, 0, Math.PI * 2);
+            ctx.arc(w * 0.3, h * 0.05, h * 0.4, 0, Math.PI * 2);
+        }
+    }
+    
+    /**
+     * Stripe the silhouette diagonally, so hazards are told apart by pattern
+     * and not only by color
+     * @param {CanvasRenderingContext2D} ctx - Canvas context translated to the hazard
+     * @param {string} color - Stripe color
+     */
+    drawHatching(ctx, color) {
+        const reach = Math.max(this.width, this.height);
+        
+        ctx.save();
+        this.traceOutline(ctx);
+        ctx.clip();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let offset = -reach * 2; offset <= reach * 2; offset += 7) {
+            ctx.moveTo(offset - reach, -reach);
+            ctx.lineTo(offset + reach, reach);
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+    
+    /**
+     * Draw a jagged rock
+     * @param {CanvasRenderingContext2D} ctx - Canvas context translated and rotated to the rock
+     * @param {Object} colors - fill and stroke
+     */
+    drawRock(ctx, colors) {
+        ctx.fillStyle = colors.fill;
+        ctx.strokeStyle = colors.stroke;
+        ctx.lineWidth = 2;
+        this.traceOutline(ctx);
+        ctx.fill();
+        ctx.stroke();
+        
+        // Crack
+        ctx.beginPath();
+        ctx.moveTo(-this.radius * 0.4, -this.radius * 0.2);
+        ctx.lineTo(0, this.radius * 0.1);
+        ctx.lineTo(this.radius * 0.3, -this.radius * 0.1);
+        ctx.stroke();
+    }
+    
+    /**
+     * Draw a round bomb with a sparking fuse
+     * @param {CanvasRenderingContext2D} ctx - Canvas context translated to the bomb
+     * @param {Object} colors - fill, fuse and spark
+     */
+    drawBomb(ctx, colors) {
+        ctx.fillStyle = colors.fill;
+        this.traceOutline(ctx);
+        ctx.fill();
+        
+        // Highlight
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.beginPath();
+        ctx.arc(-this.radius * 0.35, -this.radius * 0.35, this.radius * 0.3, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Fuse
+        ctx.strokeStyle = colors.fuse;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(0, -this.radius);
+        ctx.quadraticCurveTo(this.radius * 0.3, -this.radius * 1.5, this.radius * 0.6, -this.radius * 1.4);
+        ctx.stroke();
+        
+        // Flickering spark
+        const flicker = 3 + Math.abs(Math.sin(this.age * 20)) * 3;
+        ctx.fillStyle = colors.spark;
+        ctx.beginPath();
+        ctx.arc(this.radius * 0.6, -this.radius * 1.4, flicker, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    
+    /**
+     * Draw a dark storm cloud with a lightning bolt
+     * @param {CanvasRenderingContext2D} ctx - Canvas context translated to the cloud
+     * @param {Object} colors - fill and bolt
+     */
+    drawStorm(ctx, colors) {
+        const w = this.width;
+        const h = this.height;
+        
+        ctx.fillStyle = colors.fill;
+        this.traceOutline(ctx);
+        ctx.fill();
+        
+        // Lightning bolt
+        ctx.fillStyle = colors.bolt;
+        ctx.beginPath();
+        ctx.moveTo(0, h * 0.2);
+        ctx.lineTo(-w * 0.08, h * 0.6);
+        ctx.lineTo(0, h * 0.55);
+        ctx.lineTo(-w * 0.04, h * 0.9);
+        ctx.lineTo(w * 0.08, h * 0.45);
+        ctx.lineTo(0, h * 0.5);
+        ctx.closePath();
+        ctx.fill();
+    }
+    
+    /**
+     * Check if hazard is off screen
+     * @returns {boolean} True if off screen
+     */
+    isOffScreen() {
+        return this.y - this.height / 2 > CONFIG.GAME_HEIGHT;
+    }
+    
+    /**
+     * Get collision bounds
+     * Rocks and bombs collide as circles, storm clouds as rectangles.
+     * @returns {Object} Collision circle or rectangle data
+     */
+    getCollisionBounds() {
+        if (this.kind === 'storm') {
+            return {
+                x: this.x - this.width / 2,
+                y: this.y - this.height / 2,
+                width: this.width,
+                height: this.height
+            };
+        }
+        return {
+            x: this.x,
+            y: this.y,
+            radius: this.radius - CONFIG.COLLISION_PADDING
+        };
+    }
+}
+
+/**
+ * Default hazard colors; themes pass their own palette to Hazard.draw
+ */
+Hazard.palette = {
+    rock: { fill: '#696969', stroke: '#3C3C3C' },
+    bomb: { fill: '#1C1C1C', fuse: '#8B7355', spark: '#FFA500' },
+    storm: { fill: '#4A4F5A', bolt: '#FFE135' },
+    hatch: null // color of diagonal warning stripes, or null for none
+};
+
+/**
+ * Power-up Definitions
+ * Icon and color for each power-up kind; timed effects last POWERUP_DURATION
+ */
+const PowerUpTypes = {
+    magnet: { icon: '🧲', color: '#E53935', timed: true },
+    wide: { icon: '↔', color: '#43A047', timed: true },
+    slow: { icon: '🐢', color: '#1E88E5', timed: true },
+    time: { icon: '⏱', color: '#8E24AA', timed: false },
+    double: { icon: '×2', color: '#FB8C00', timed: true }
+};
+
+/**
+ * Power-up Class
+ * Collectible bubbles that grant a timed or instant effect
+ */
+class PowerUp {
+    constructor(x, y, kind) {
+        this.reset(x, y, kind);
+    }
+    
+    /**
+     * Prepare power-up for (re)use
+     * @param {number} x - X position (center)
+     * @param {number} y - Y position (center)
+     * @param {string} kind - Key of PowerUpTypes
+     */
+    reset(x, y, kind) {
+        const type = PowerUpTypes[kind];
+        this.kind = kind;
+        this.x = x;
+        this.y = y;
+        this.prevX = x;
+        this.prevY = y;
+        this.radius = 18;
+        this.speed = CONFIG.POWERUP_SPEED;
+        this.icon = type.icon;
+        this.particleColor = type.color;
+        this.age = 0;
+    }
+    
+    /**
+     * Update power-up physics
+     * @param {number} deltaTime - Step length in seconds
+     */
+    update(deltaTime) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.y += this.speed * deltaTime;
+        this.age += deltaTime;
+    }
+    
+    /**
+     * Draw power-up to canvas
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {boolean} debug - Whether to draw debug info
+     * @param {number} interpolation - Fraction of a step since the last update (0-1)
+     * @param {Object} palette - Colors to draw with (see PowerUp.palette)
+     */
+    draw(ctx, debug = false, interpolation = 1, palette = PowerUp.palette) {
+        const x = Utils.lerp(this.prevX, this.x, interpolation);
+        const y = Utils.lerp(this.prevY, this.y, interpolation);
+        const pulse = 1 + Math.sin(this.age * 6) * 0.08;
+        const color = palette.colors[this.kind] || this.particleColor;
+        
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.scale(pulse, pulse);
+        
+        // Glowing bubble, with a dashed ring when power-ups are told apart by pattern
+        ctx.shadowColor = color;
+        ctx.shadowBlur = 12;
+        ctx.fillStyle = palette.bubble;
+        ctx.beginPath();
+        ctx.arc(0, 0, this.radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.shadowBlur = 0;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 3;
+        if (palette.dashed) {
+            ctx.setLineDash([6, 4]);
+        }
+        ctx.stroke();
+        
+        // Icon
+        ctx.fillStyle = color;
+        ctx.font = `bold ${Math.round(this.radius)}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(this.icon, 0, 1);
+        ctx.restore();
+        
+        // Debug collision circle
+        if (debug) {
+            ctx.strokeStyle = 'red';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(x, y, this.radius, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    }
+    
+    /**
+     * Check if power-up is off screen
+     * @returns {boolean} True if off screen
+     */
+    isOffScreen() {
+        return this.y - this.radius > CONFIG.GAME_HEIGHT;
+    }
+    
+    /**
+     * Get collision bounds
+     * @returns {Object} Collision circle data
+     */
+    getCollisionBounds() {
+        return {
+            x: this.x,
+            y: this.y,
+            radius: this.radius
+        };
+    }
+}
+
+/**
+ * Default power-up colors; themes pass their own palette to PowerUp.draw
+ * colors overrides the PowerUpTypes color per kind.
+ */
+PowerUp.palette = {
+    bubble: 'rgba(255, 255, 255, 0.9)',
+    colors: {},
+    dashed: false
+};
+
+/**
+ * Basket Class
+ * Player-controlled basket that collects gold
+ */
+class Basket {
+    constructor(x, y) {
+        this.x = x;
+        this.y = y;
+        this.prevX = x;
+        this.prevY = y;
+        this.width = CONFIG.BASKET_WIDTH;
+        this.height = CONFIG.BASKET_HEIGHT;
+        this.vx = 0;
+        this.vy = 0;
+        this.flashTimer = 0;
+        
+        // Layers of falling objects the basket collides with
+        this.collisionMask = CollisionLayers.GOLD | CollisionLayers.HAZARD | CollisionLayers.POWER_UP;
+    }
+    
+    /**
+     * Update basket position and effects
+     * @param {number} deltaTime - Frame time in seconds
+     */
+    update(deltaTime) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+        
+        // Apply velocity
+        this.x += this.vx * deltaTime;
+        this.y += this.vy * deltaTime;
+        
+        // Constrain to game area, stopping against the edges
+        const margin = CONFIG.BASKET_MARGIN;
+        const x = Utils.clamp(this.x, margin, CONFIG.GAME_WIDTH - this.width - margin);
+        const y = Utils.clamp(this.y, margin, CONFIG.GAME_HEIGHT - this.height - margin);
+        if (x !== this.x) this.vx = 0;
+        if (y !== this.y) this.vy = 0;
+        this.x = x;
+        this.y = y;
+        
+        // Update flash effect
+        if (this.flashTimer > 0) {
+            this.flashTimer -= deltaTime * 1000;
+        }
+    }
+    
+    /**
+     * Draw basket to canvas
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {boolean} debug - Whether to draw debug info
+     * @param {number} interpolation - Fraction of a step since the last update (0-1)
+     * @param {Object} palette - Colors to draw with (see Basket.palette)
+     */
+    draw(ctx, debug = false, interpolation = 1, palette = Basket.palette) {
+        const x = Utils.lerp(this.prevX, this.x, interpolation);
+        const y = Utils.lerp(this.prevY, this.y, interpolation);
+        
+        ctx.save();
+        
+        // Flash effect when collecting
+        if (this.isFlashing()) {
+            ctx.shadowColor = palette.flash;
+            ctx.shadowBlur = 20;
+        }
+        Basket.drawShape(ctx, x, y, this.width, this.height, palette);
+        
+        ctx.restore();
+        
+        if (debug) {
+            this.drawDebug(ctx, x, y);
+        }
+    }
+    
+    /**
+     * Check if the basket is glowing from a recent catch
+     * @returns {boolean} True while the flash lasts
+     */
+    isFlashing() {
+        return this.flashTimer > 0;
+    }
+    
+    /**
+     * Draw a basket body, rim and handle
+     * Shared by Basket.draw and pre-rendered sprites. The rim reaches 2 pixels
+     * past each side and the handle rises width / 3 + 7 pixels above the top.
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} x - Left edge of the body
+     * @param {number} y - Top edge of the body
+     * @param {number} width - Body width
+     * @param {number} height - Body height
+     * @param {Object} palette - Colors to draw with (see Basket.palette)
+     */
+    static drawShape(ctx, x, y, width, height, palette) {
+        // Basket body (woven pattern)
+        ctx.fillStyle = palette.body;
+        ctx.fillRect(x, y, width, height);
+        
+        // Basket weave pattern
+        ctx.strokeStyle = palette.weave;
+        ctx.lineWidth = 2;
+        for (let i = 0; i < width; i += 8) {
+            ctx.beginPath();
+            ctx.moveTo(x + i, y);
+            ctx.lineTo(x + i, y + height);
+            ctx.stroke();
+        }
+        for (let j = 0; j < height; j += 6) {
+            ctx.beginPath();
+            ctx.moveTo(x, y + j);
+            ctx.lineTo(x + width, y + j);
+            ctx.stroke();
+        }
+        
+        // Basket rim
+        ctx.fillStyle = palette.rim;
+        ctx.fillRect(x - 2, y - 3, width + 4, 6);
+        if (palette.outline) {
+            ctx.strokeStyle = palette.outline;
+            ctx.lineWidth = 3;
+            ctx.strokeRect(x, y, width, height);
+        }
+        
+        // Handle
+        ctx.strokeStyle = palette.handle;
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.arc(x + width / 2, y - 5, width / 3, Math.PI, 0);
+        ctx.stroke();
+    }
+    
+    /**
+     * Draw the debug collision rectangle
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} x - Drawn left edge
+     * @param {number} y - Drawn top edge
+     */
+    drawDebug(ctx, x, y) {
+        ctx.strokeStyle = 'blue';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x, y, this.width, this.height);
+    }
+    
+    /**
+     * Set basket velocity
+     * @param {number} vx - X velocity
+     * @param {number} vy - Y velocity
+     */
+    setVelocity(vx, vy) {
+        this.vx = vx;
+        this.vy = vy;
+    }
+    
+    /**
+     * Change velocity toward a target, no faster than the basket can
+     * accelerate while steered or brake by friction when let go
+     * @param {number} targetVx - Wanted X velocity
+     * @param {number} targetVy - Wanted Y velocity
+     * @param {number} deltaTime - Step length in seconds
+     */
+    steer(targetVx, targetVy, deltaTime) {
+        const approach = (velocity, target) => {
+            const rate = target === 0 ? CONFIG.BASKET_FRICTION : CONFIG.BASKET_ACCELERATION;
+            const change = rate * deltaTime;
+            return velocity + Utils.clamp(target - velocity, -change, change);
+        };
+        this.vx = approach(this.vx, targetVx);
+        this.vy = approach(this.vy, targetVy);
+    }
+    
+    /**
+     * Change basket width, keeping it centered
+     * @param {number} width - New width in pixels
+     */
+    setWidth(width) {
+        const center = this.x + this.width / 2;
+        this.width = width;
+        this.x = center - width / 2;
+        this.prevX = this.x;
+    }
+    
+    /**
+     * Check whether a gold piece dropped in through the open rim this step
+     * Its center must cross the rim from above, measured against the basket
+     * so a rising basket scoops gold too, between the two ends of the rim.
+     * @param {Gold} gold - Gold piece, already moved this step
+     * @returns {boolean} True if the piece was caught
+     */
+    catchesThroughRim(gold) {
+        return gold.prevY < this.prevY && gold.y >= this.y &&
+            gold.x >= this.x && gold.x <= this.x + this.width;
+    }
+    
+    /**
+     * Trigger collection flash effect
+     */
+    flash() {
+        this.flashTimer = CONFIG.PICKUP_FLASH_DURATION;
+    }
+    
+    /**
+     * Get collision bounds
+     * @returns {Object} Collision rectangle data
+     */
+    getCollisionBounds() {
+        return {
+            x: this.x,
+            y: this.y,
+            width: this.width,
+            height: this.height
+        };
+    }
+}
+
+/**
+ * Default basket colors; themes pass their own palette to Basket.draw
+ */
+Basket.palette = {
+    body: '#8B4513',
+    weave: '#654321',
+    rim: '#A0522D',
+    handle: '#8B4513',
+    flash: '#FFD700',
+    outline: null
+};
+
+/**
+ * Object Pool Class
+ * Manages reusable gold pieces for performance. Each active object keeps its
+ * index in poolIndex so release can swap it with the last active object
+ * instead of searching and splicing; active order is not preserved.
+ */
+class ObjectPool {
+    constructor(createFn, resetFn) {
+        this.pool = [];
+        this.active = [];
+        this.createFn = createFn;
+        this.resetFn = resetFn;
+    }
+    
+    /**
+     * Get object from pool or create new one
+     * @param {...any} args - Arguments to pass to create function
+     * @returns {Object} Pooled object
+     */
+    get(...args) {
+        let obj;
+        if (this.pool.length > 0) {
+            obj = this.pool.pop();
+            this.resetFn(obj, ...args);
+        } else {
+            obj = this.createFn(...args);
+        }
+        obj.poolIndex = this.active.length;
+        this.active.push(obj);
+        return obj;
+    }
+    
+    /**
+     * Return object to pool
+     * Safe while looping over getActive() backwards: the object moved into
+     * the freed slot has already been visited.
+     * @param {Object} obj - Object to return
+     */
+    release(obj) {
+        const index = obj.poolIndex;
+        if (this.active[index] !== obj) return;
+        
+        const last = this.active.pop();
+        if (last !== obj) {
+            this.active[index] = last;
+            last.poolIndex = index;
+        }
+        obj.poolIndex = -1;
+        this.pool.push(obj);
+    }
+    
+    /**
+     * Return every active object to the pool
+     */
+    releaseAll() {
+        this.active.forEach(obj => {
+            obj.poolIndex = -1;
+            this.pool.push(obj);
+        });
+        this.active.length = 0;
+    }
+    
+    /**
+     * Get all active objects
+     * @returns {Array} Active objects
+     */
+    getActive() {
+        return this.active;
+    }
+    
+    /**
+     * Clear all objects
+     */
+    clear() {
+        this.active.length = 0;
+        this.pool.length = 0;
+    }
+}
+
+/**
+ * Collision layers, combined into masks to choose what a query can hit
+ */
+const CollisionLayers = {
+    BASKET: 1,
+    GOLD: 2,
+    HAZARD: 4,
+    POWER_UP: 8
+};
+
+/**
+ * Spatial Grid Class
+ * Uniform-grid broad phase. Objects are filed under every cell their
+ * bounding box touches, so a query only looks at objects in the cells it
+ * covers instead of every active object. Entries and cell lists are reused
+ * between rebuilds to keep each step free of garbage.
+ */
+class SpatialGrid {
+    /**
+     * @param {number} cellSize - Cell side in pixels
+     */
+    constructor(cellSize = CONFIG.COLLISION_CELL_SIZE) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // cell key -> entries touching the cell
+        this.entries = [];
+        this.count = 0; // entries in use since the last clear
+        this.queryBox = { left: 0, top: 0, right: 0, bottom: 0 };
+        this.queryId = 0;
+        this.candidates = 0; // entries looked at by queries since the last clear
+    }
+    
+    /**
+     * Empty the grid for a new step
+     */
+    clear() {
+        this.cells.forEach(cell => {
+            cell.length = 0;
+        });
+        this.count = 0;
+        this.candidates = 0;
+    }
+    
+    /**
+     * Add an object on a layer
+     * @param {Object} object - Object with getCollisionBounds()
+     * @param {number} layer - One of CollisionLayers
+     */
+    insert(object, layer) {
+        if (this.count === this.entries.length) {
+            this.entries.push({ object: null, layer: 0, stamp: 0, box: { left: 0, top: 0, right: 0, bottom: 0 } });
+        }
+        const entry = this.entries[this.count++];
+        entry.object = object;
+        entry.layer = layer;
+        const box = SpatialGrid.boundingBox(object.getCollisionBounds(), entry.box);
+        
+        const size = this.cellSize;
+        for (let cy = Math.floor(box.top / size); cy <= Math.floor(box.bottom / size); cy++) {
+            for (let cx = Math.floor(box.left / size); cx <= Math.floor(box.right / size); cx++) {
+                const key = SpatialGrid.cellKey(cx, cy);
+                let cell = this.cells.get(key);
+                if (!cell) {
+                    cell = [];
+                    this.cells.set(key, cell);
+                }
+                cell.push(entry);
+            }
+        }
+    }
+    
+    /**
+     * Find objects whose bounding boxes overlap an area
+     * Each object is reported once, in a stable order, however many cells
+     * it shares with the area.
+     * @param {Object} bounds - Circle (x, y, radius) or rectangle (x, y, width, height)
+     * @param {number} mask - Bitwise OR of the CollisionLayers to report
+     * @param {Array} results - Array to fill (emptied first)
+     * @returns {Array} Entries with object and layer
+     */
+    query(bounds, mask, results = []) {
+        results.length = 0;
+        const box = SpatialGrid.boundingBox(bounds, this.queryBox);
+        const stamp = ++this.queryId;
+        
+        const size = this.cellSize;
+        for (let cy = Math.floor(box.top / size); cy <= Math.floor(box.bottom / size); cy++) {
+            for (let cx = Math.floor(box.left / size); cx <= Math.floor(box.right / size); cx++) {
+                const cell = this.cells.get(SpatialGrid.cellKey(cx, cy));
+                if (!cell) continue;
+                
+                for (let i = 0; i < cell.length; i++) {
+                    const entry = cell[i];
+                    if (entry.stamp === stamp) continue;
+                    entry.stamp = stamp;
+                    this.candidates++;
+                    
+                    if ((entry.layer & mask) && SpatialGrid.boxesOverlap(entry.box, box)) {
+                        results.push(entry);
+                    }
+                }
+            }
+        }
+        return results;
+    }
+    
+    /**
+     * Get the map key of a cell
+     * @param {number} cx - Cell column
+     * @param {number} cy - Cell row
+     * @returns {number} Key unique for any on- or near-screen cell
+     */
+    static cellKey(cx, cy) {
+        return cx * 65536 + cy;
+    }
+    
+    /**
+     * Get the bounding box of collision bounds
+     * @param {Object} bounds - Circle (x, y, radius) or rectangle (x, y, width, height)
+     * @param {Object} out - Box to write into
+     * @returns {Object} out, with left, top, right and bottom
+     */
+    static boundingBox(bounds, out) {
+        if (bounds.radius !== undefined) {
+            out.left = bounds.x - bounds.radius;
+            out.top = bounds.y - bounds.radius;
+            out.right = bounds.x + bounds.radius;
+            out.bottom = bounds.y + bounds.radius;
+        } else {
+            out.left = bounds.x;
+            out.top = bounds.y;
+            out.right = bounds.x + bounds.width;
+            out.bottom = bounds.y + bounds.height;
+        }
+        return out;
+    }
+    
+    /**
+     * Check whether two boxes overlap (touching counts)
+     * @param {Object} a - Box with left, top, right, bottom
+     * @param {Object} b - Box with left, top, right, bottom
+     * @returns {boolean} True if they overlap
+     */
+    static boxesOverlap(a, b) {
+        return a.left <= b.right && a.right >= b.left && a.top <= b.bottom && a.bottom >= b.top;
+    }
+}
+
+/**
+ * Game Modes
+ * Each mode owns the rules for winning and losing a run:
+ * - timed: the timer counts down and running out ends the run
+ * - penalties: misses break combos and hazards apply their penalty
+ * - startingLives(): lives at the start (0 = no lives)
+ * - timerDrain(): timer seconds lost per second of play
+ * - onCatch(core) / onMiss(core): extra rules when gold is caught or missed
+ */
+const GameModes = {
+    timeAttack: {
+        name: 'Time Attack',
+        description: 'Catch as much gold as you can before the clock runs out.',
+        timed: true,
+        penalties: true,
+        startingLives: () => 0,
+        timerDrain: () => 1,
+        onCatch() {},
+        onMiss() {}
+    },
+    endless: {
+        name: 'Endless',
+        description: 'No clock. Every missed gold piece costs a life.',
+        timed: false,
+        penalties: true,
+        startingLives: () => CONFIG.ENDLESS_LIVES,
+        timerDrain: () => 0,
+        onCatch() {},
+        onMiss(core) {
+            core.loseLife();
+        }
+    },
+    zen: {
+        name: 'Zen',
+        description: 'No clock and no penalties. Relax and end the run from the pause menu.',
+        timed: false,
+        penalties: false,
+        startingLives: () => 0,
+        timerDrain: () => 0,
+        onCatch() {},
+        onMiss() {}
+    },
+    survival: {
+        name: 'Survival',
+        description: 'The clock drains fast. Every catch buys you more time.',
+        timed: true,
+        penalties: true,
+        startingLives: () => 0,
+        timerDrain: () => CONFIG.SURVIVAL_DRAIN_RATE,
+        onCatch(core) {
+            core.timeLeft = Math.min(core.timeLeft + CONFIG.SURVIVAL_CATCH_BONUS, CONFIG.INITIAL_TIMER);
+        },
+        onMiss() {}
+    }
+};
+
+/**
+ * Replay file format version, bumped whenever the layout changes or the
+ * simulation changes so older replays would play back differently
+ */
+const REPLAY_FORMAT_VERSION = 4;
+
+/**
+ * Allowed [min, max] for CONFIG numbers a replay may override that size the
+ * field, set the step length or divide the simulation; others must be >= 0
+ */
+const REPLAY_CONFIG_RANGES = {
+    GAME_WIDTH: [100, 4096], // pixels
+    GAME_HEIGHT: [100, 4096], // pixels
+    FIXED_TIMESTEP: [1 / 1000, 1 / 10], // seconds
+    MAX_FRAME_TIME: [1 / 1000, 1], // seconds
+    FPS_TARGET: [1, 1000],
+    BASKET_WIDTH: [1, 4096], // pixels
+    BASKET_HEIGHT: [1, 4096], // pixels
+    GOLD_MIN_SIZE: [1, 500], // pixels
+    GOLD_MAX_SIZE: [1, 500], // pixels
+    SPAWN_RATE_INTERVAL: [0.1, 3600], // seconds
+    WIND_GUST_PERIOD: [0.1, 3600], // seconds
+    COLLISION_CELL_SIZE: [10, 4096], // pixels
+    COMBO_STEP: [1, 1000] // catches
+};
+
+/**
+ * Replay Recorder Class
+ * Captures a run's per-step input stream, run-length encoded as
+ * [x, y, count] entries with axes quantized to hundredths
+ */
+class ReplayRecorder {
+    constructor(seed, mode) {
+        this.seed = seed;
+        this.mode = mode;
+        this.config = ReplayRecorder.snapshotConfig();
+        this.inputs = [];
+        this.steps = 0;
+    }
+    
+    /**
+     * Quantize an input sample to the precision stored in replays
+     * Live play applies the quantized value so it matches playback exactly.
+     * @param {Object} input - Input with x, y axes in [-1, 1]
+     * @returns {Object} Quantized input
+     */
+    static quantize(input) {
+        return {
+            x: Math.round(Utils.clamp(input.x, -1, 1) * 100) / 100,
+            y: Math.round(Utils.clamp(input.y, -1, 1) * 100) / 100
+        };
+    }
+    
+    /**
+     * Copy the gameplay configuration for storage in a replay
+     * @returns {Object} Configuration snapshot
+     */
+    static snapshotConfig() {
+        const snapshot = { ...CONFIG };
+        delete snapshot.DEBUG_ENABLED;
+        return snapshot;
+    }
+    
+    /**
+     * Record the input used for one simulation step
+     * @param {Object} input - Quantized input with x, y axes
+     */
+    record(input) {
+        const x = Math.round(input.x * 100);
+        const y = Math.round(input.y * 100);
+        const last = this.inputs[this.inputs.length - 1];
+        
+        if (last && last[0] === x && last[1] === y) {
+            last[2]++;
+        } else {
+            this.inputs.push([x, y, 1]);
+        }
+        this.steps++;
+    }
+    
+    /**
+     * Build the exportable replay
+     * @param {number} score - Final score of the run
+     * @param {string} outcome - Why the run ended (see GameCore.end)
+     * @returns {Object} Replay data
+     */
+    toReplay(score, outcome) {
+        return {
+            version: REPLAY_FORMAT_VERSION,
+            seed: this.seed,
+            mode: this.mode,
+            config: this.config,
+            steps: this.steps,
+            score: score,
+            outcome: outcome,
+            inputs: this.inputs.map(entry => entry.slice())
+        };
+    }
+}
+
+/**
+ * Replay Player Class
+ * Feeds a recorded input stream back into the simulation step by step
+ */
+class ReplayPlayer {
+    constructor(replay) {
+        ReplayPlayer.validate(replay);
+        this.replay = replay;
+        this.reset();
+    }
+    
+    /**
+     * Check that parsed data is a usable replay
+     * @param {Object} replay - Parsed replay data
+     * @throws {Error} If the data is not a valid replay
+     */
+    static validate(replay) {
+        if (!replay || typeof replay !== 'object') {
+            throw new Error('Replay must be an object');
+        }
+        if (replay.version !== REPLAY_FORMAT_VERSION) {
+            throw new Error(`Unsupported replay version: ${replay.version}`);
+        }
+        if (typeof replay.seed !== 'string' || !replay.config || typeof replay.config !== 'object') {
+            throw new Error('Replay is missing its seed or config');
+        }
+        ReplayPlayer.validateConfig(replay.config);
+        if (!Object.prototype.hasOwnProperty.call(GameModes, replay.mode)) {
+            throw new Error(`Unknown replay mode: ${replay.mode}`);
+        }
+        if (!Array.isArray(replay.inputs) || !replay.inputs.every(entry =>
+            Array.isArray(entry) && entry.length === 3 && entry.every(Number.isFinite) && entry[2] > 0
+        )) {
+            throw new Error('Replay input stream is malformed');
+        }
+        const total = replay.inputs.reduce((sum, entry) => sum + entry[2], 0);
+        if (total !== replay.steps) {
+            throw new Error('Replay step count does not match its inputs');
+        }
+    }
+    
+    /**
+     * Check that replay CONFIG overrides only change settings a recording
+     * stores, keep their types and stay in playable ranges
+     * @param {Object} config - Config recorded in the replay
+     * @throws {Error} If any override is unknown or out of range
+     */
+    static validateConfig(config) {
+        const snapshot = ReplayRecorder.snapshotConfig();
+        Object.entries(config).forEach(([key, value]) => {
+            if (!Object.prototype.hasOwnProperty.call(snapshot, key)) {
+                throw new Error(`Unknown replay setting: ${key}`);
+            }
+            const expected = snapshot[key];
+            let valid = typeof value === typeof expected;
+            if (valid && typeof expected === 'number') {
+                const [min, max] = REPLAY_CONFIG_RANGES[key] || [0, Infinity];
+                valid = Number.isFinite(value) && value >= min && value <= max;
+            } else if (valid && typeof expected === 'object') {
+                // Spawn mixes: the same kinds, with non-negative weights
+                valid = value !== null && !Array.isArray(value) &&
+                    Object.keys(value).length === Object.keys(expected).length &&
+                    Object.keys(expected).every(kind => Number.isFinite(value[kind]) && value[kind] >= 0);
+            } else if (valid && key === 'WEATHER') {
+                valid = Object.prototype.hasOwnProperty.call(WeatherTypes, value);
+            }
+            if (!valid) {
+                throw new Error(`Invalid replay setting: ${key}`);
+            }
+        });
+    }
+    
+    /**
+     * Rewind to the first step
+     */
+    reset() {
+        this.step = 0;
+        this.entryIndex = 0;
+        this.entryOffset = 0;
+    }
+    
+    /**
+     * Get the input for the next step and advance
+     * @returns {Object|null} Input with x, y axes, or null when finished
+     */
+    next() {
+        const entry = this.replay.inputs[this.entryIndex];
+        if (!entry) return null;
+        
+        this.step++;
+        this.entryOffset++;
+        if (this.entryOffset >= entry[2]) {
+            this.entryIndex++;
+            this.entryOffset = 0;
+        }
+        return { x: entry[0] / 100, y: entry[1] / 100 };
+    }
+    
+    /**
+     * Check if every recorded step has been played
+     * @returns {boolean} True when finished
+     */
+    isFinished() {
+        return this.step >= this.replay.steps;
+    }
+    
+    /**
+     * Check if playback has reached the point where the player quit
+     * A quit run ends on its last recorded step rather than from the
+     * simulation, so playback has to end it explicitly.
+     * @returns {boolean} True when a quit run has played every step
+     */
+    reachedQuit() {
+        return this.replay.outcome === 'quit' && this.isFinished();
+    }
+}
+
+/**
+ * Leaderboard format version, bumped whenever the stored layout changes
+ */
+const LEADERBOARD_FORMAT_VERSION = 1;
+
+/**
+ * Local Leaderboard
+ * Top runs per game mode (CONFIG.LEADERBOARD_SIZE by default), kept in a
+ * localStorage-style store as one versioned record. Older records are
+ * upgraded through Leaderboard.migrations when loaded. A record from a newer
+ * version is never written over: the board starts empty and readOnly, and
+ * keeps this session's runs to itself.
+ */
+class Leaderboard {
+    /**
+     * @param {Storage} storage - Object with getItem/setItem (localStorage in the browser)
+     * @param {string} key - Storage key for the record
+     * @param {number} size - Entries kept per mode
+     */
+    constructor(storage, key = 'goldSkyLeaderboard', size = CONFIG.LEADERBOARD_SIZE) {
+        this.storage = storage;
+        this.key = key;
+        this.size = size;
+        this.readOnly = false;
+        this.data = this.load();
+    }
+    
+    /**
+     * Read the stored record, migrating it to the current version
+     * Before the leaderboard existed only one high score per mode was kept;
+     * those are carried over as unnamed entries.
+     * @returns {Object} Record with version and per-mode entry lists
+     */
+    load() {
+        let data = null;
+        try {
+            data = JSON.parse(this.storage.getItem(this.key));
+        } catch (e) {
+            console.warn('Ignoring unreadable leaderboard:', e);
+        }
+        
+        if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) {
+            data = { version: 0, highScores: this.readLegacyHighScores() };
+        }
+        if (data.version > LEADERBOARD_FORMAT_VERSION) {
+            console.warn(`Ignoring leaderboard from a newer version: ${data.version}`);
+            this.readOnly = true;
+            return Leaderboard.empty();
+        }
+        
+        while (data.version < LEADERBOARD_FORMAT_VERSION) {
+            data = Leaderboard.migrations[data.version](data);
+        }
+        if (!data.modes || typeof data.modes !== 'object') {
+            return Leaderboard.empty();
+        }
+        return data;
+    }
+    
+    /**
+     * Read the single high score integers written before the leaderboard
+     * @returns {Object} Mode id -> high score
+     */
+    readLegacyHighScores() {
+        const highScores = {};
+        Object.keys(GameModes).forEach(modeId => {
+            const key = modeId === 'timeAttack' ? 'goldSkyHighScore' : `goldSkyHighScore:${modeId}`;
+            const score = parseInt(this.storage.getItem(key) || '0');
+            if (score > 0) {
+                highScores[modeId] = score;
+            }
+        });
+        return highScores;
+    }
+    
+    /**
+     * Write the record back to storage (unless it came from a newer version)
+     */
+    save() {
+        if (this.readOnly) return;
+        this.storage.setItem(this.key, JSON.stringify(this.data));
+    }
+    
+    /**
+     * Get the ranked entries for a mode
+     * @param {string} modeId - Key of GameModes
+     * @returns {Array} Entries, best first
+     */
+    getEntries(modeId) {
+        return this.data.modes[modeId] || [];
+    }
+    
+    /**
+     * Get the best score for a mode
+     * @param {string} modeId - Key of GameModes
+     * @returns {number} Top score (0 when the board is empty)
+     */
+    getHighScore(modeId) {
+        const entries = this.getEntries(modeId);
+        return entries.length > 0 ? entries[0].score : 0;
+    }
+    
+    /**
+     * Check whether a score would make the board
+     * @param {string} modeId - Key of GameModes
+     * @param {number} score - Run score
+     * @returns {boolean} True if the score earns a place
+     */
+    qualifies(modeId, score) {
+        const entries = this.getEntries(modeId);
+        if (score <= 0) return false;
+        return entries.length < this.size || score > entries[entries.length - 1].score;
+    }
+    
+    /**
+     * Add a run to a mode's board and save
+     * Ties keep the earlier run ahead.
+     * @param {string} modeId - Key of GameModes
+     * @param {Object} entry - Entry from Leaderboard.createEntry
+     * @returns {number} Zero-based rank, or -1 if the entry did not make the board
+     */
+    add(modeId, entry) {
+        if (!this.qualifies(modeId, entry.score)) return -1;
+        
+        const entries = this.getEntries(modeId).slice();
+        let rank = entries.findIndex(other => entry.score > other.score);
+        if (rank === -1) rank = entries.length;
+        entries.splice(rank, 0, entry);
+        
+        this.data.modes[modeId] = entries.slice(0, this.size);
+        this.save();
+        return rank;
+    }
+    
+    /**
+     * Change the name on an entry already on the board and save
+     * @param {Object} entry - Entry returned by getEntries or passed to add
+     * @param {string} name - New player name
+     */
+    renameEntry(entry, name) {
+        entry.name = Leaderboard.cleanName(name);
+        this.save();
+    }
+    
+    /**
+     * Build an entry from a finished run
+     * @param {string} name - Player name (trimmed and shortened)
+     * @param {Object} run - Run stats: score, catches, misses, bestCombo, seed
+     * @param {Date} date - When the run finished
+     * @returns {Object} Leaderboard entry
+     */
+    static createEntry(name, run, date = new Date()) {
+        const attempts = run.catches + run.misses;
+        return {
+            name: Leaderboard.cleanName(name),
+            score: run.score,
+            date: date.toISOString(),
+            catches: run.catches,
+            misses: run.misses,
+            accuracy: attempts > 0 ? run.catches / attempts : 0,
+            bestCombo: run.bestCombo,
+            seed: run.seed
+        };
+    }
+    
+    /**
+     * Tidy a typed player name
+     * @param {string} name - Raw name
+     * @returns {string} Name with collapsed whitespace, capped length, 'Player' when empty
+     */
+    static cleanName(name) {
+        const cleaned = String(name || '').replace(/\s+/g, ' ').trim().slice(0, CONFIG.PLAYER_NAME_MAX_LENGTH);
+        return cleaned || 'Player';
+    }
+    
+    /**
+     * Get an empty record at the current version
+     * @returns {Object} Record with no entries
+     */
+    static empty() {
+        return { version: LEADERBOARD_FORMAT_VERSION, modes: {} };
+    }
+}
+
+/**
+ * Upgrades from each stored version to the next, keyed by the old version
+ * Fields missing from older entries are filled with null.
+ */
+Leaderboard.migrations = {
+    // 0: the single high score integers from before the leaderboard
+    0(data) {
+        const record = Leaderboard.empty();
+        Object.entries(data.highScores || {}).forEach(([modeId, score]) => {
+            record.modes[modeId] = [{
+                name: 'Player',
+                score,
+                date: null,
+                catches: null,
+                misses: null,
+                accuracy: null,
+                bestCombo: null,
+                seed: null
+            }];
+        });
+        return record;
+    }
+};
+
+/**
+ * Campaign Levels
+ * Ordered stages; each sets CONFIG overrides for its run (spawn table,
+ * gold speeds, target score, time limit), the visual theme the shell draws
+ * it with and a sky background that replaces the theme's sky
+ */
+const CampaignLevels = [
+    {
+        name: 'Sunny Meadow',
+        theme: 'day',
+        background: ['#87CEEB', '#E0F6FF', '#F0F8FF'],
+        config: {
+            INITIAL_TIMER: 45,
+            TARGET_SCORE: 150,
+            SPAWN_RATE: 1.5,
+            GOLD_MIN_SPEED: 80,
+            GOLD_MAX_SPEED: 200,
+            HAZARD_CHANCE: 0,
+            HAZARD_CHANCE_INCREASE: 0,
+            POWERUP_CHANCE: 0.05
+        }
+    },
+    {
+        name: 'Rocky Hills',
+        theme: 'day',
+        background: ['#6CB4E4', '#CDEBF7', '#EAF6E3'],
+        config: {
+            INITIAL_TIMER: 50,
+            TARGET_SCORE: 250,
+            SPAWN_RATE: 2.0,
+            GOLD_MIN_SPEED: 100,
+            GOLD_MAX_SPEED: 250,
+            HAZARD_CHANCE: 0.08,
+            HAZARD_MIX: { rock: 1, bomb: 0, storm: 0 },
+            POWERUP_CHANCE: 0.05
+        }
+    },
+    {
+        name: 'Golden Hour',
+        theme: 'sunset',
+        background: ['#FF9A5A', '#FFC98B', '#FFE8C2'],
+        config: {
+            INITIAL_TIMER: 55,
+            TARGET_SCORE: 350,
+            SPAWN_RATE: 2.4,
+            GOLD_MIN_SPEED: 120,
+            GOLD_MAX_SPEED: 280,
+            HAZARD_CHANCE: 0.12,
+            HAZARD_MIX: { rock: 0.6, bomb: 0.4, storm: 0 },
+            POWERUP_CHANCE: 0.05
+        }
+    },
+    {
+        name: 'Thunderhead',
+        theme: 'day',
+        background: ['#4B5D73', '#8A9BB0', '#C5CED8'],
+        config: {
+            INITIAL_TIMER: 60,
+            TARGET_SCORE: 450,
+            SPAWN_RATE: 2.8,
+            GOLD_MIN_SPEED: 130,
+            GOLD_MAX_SPEED: 300,
+            HAZARD_CHANCE: 0.18,
+            HAZARD_MIX: { rock: 0.4, bomb: 0.3, storm: 0.3 },
+            POWERUP_CHANCE: 0.06,
+            WEATHER: 'rain'
+        }
+    },
+    {
+        name: 'Starfall',
+        theme: 'night',
+        background: ['#0B1D3A', '#23395D', '#3F5A7D'],
+        config: {
+            INITIAL_TIMER: 60,
+            TARGET_SCORE: 600,
+            SPAWN_RATE: 3.2,
+            GOLD_MIN_SPEED: 150,
+            GOLD_MAX_SPEED: 330,
+            HAZARD_CHANCE: 0.22,
+            HAZARD_MIX: { rock: 0.4, bomb: 0.35, storm: 0.25 },
+            POWERUP_CHANCE: 0.07,
+            WEATHER: 'snow'
+        }
+    }
+];
+
+/**
+ * Game State Manager
+ */
+const GameState = {
+    LOADING: 'loading',
+    MENU: 'menu',
+    PLAYING: 'playing',
+    PAUSED: 'paused',
+    GAME_OVER: 'game_over'
+};
+
+/**
+ * Game Core Class
+ * Runs one run of the simulation in fixed steps with no DOM access.
+ * The browser Game drives it each frame; Node tests and tools drive it directly.
+ * Win/lose rules come from the run's GameModes entry.
+ * Emits 'start', 'collect', 'miss', 'hazard', 'powerup', 'effectEnd',
+ * 'comboBreak', 'lifeLost', 'pause', 'resume' and 'end' events.
+ */
+class GameCore {
+    constructor() {
+        this.state = GameState.LOADING;
+        this.listeners = {};
+        
+        // Run state
+        this.seed = '';
+        this.modeId = 'timeAttack';
+        this.mode = GameModes.timeAttack;
+        this.score = 0;
+        this.combo = 0;
+        this.bestCombo = 0;
+        this.catches = 0;
+        this.misses = 0;
+        this.lives = 0;
+        this.timeLeft = CONFIG.INITIAL_TIMER;
+        this.lastSpawnTime = 0;
+        this.currentSpawnRate = CONFIG.SPAWN_RATE;
+        this.currentHazardChance = CONFIG.HAZARD_CHANCE;
+        this.slowTimer = 0;
+        
+        // Weather of the run and the current sideways wind (pixels per second)
+        this.weather = WeatherTypes.clear;
+        this.windDirection = 1;
+        this.wind = 0;
+        
+        // Active power-up effects: kind -> seconds remaining
+        this.effects = {};
+        
+        // Simulation clock (seconds of game time, frozen while paused)
+        this.gameTime = 0;
+        this.stepCount = 0;
+        
+        // Game objects
+        this.basket = null;
+        
+        // Broad-phase grid of falling objects, rebuilt every step
+        this.collisions = new SpatialGrid();
+        this.contacts = [];
+        
+        // Object pools for performance
+        this.goldPool = new ObjectPool(
+            (x, y) => new Gold(x, y),
+            (gold, x, y) => gold.reset(x, y)
+        );
+        this.hazardPool = new ObjectPool(
+            (x, y, kind) => new Hazard(x, y, kind),
+            (hazard, x, y, kind) => hazard.reset(x, y, kind)
+        );
+        this.powerUpPool = new ObjectPool(
+            (x, y, kind) => new PowerUp(x, y, kind),
+            (powerUp, x, y, kind) => powerUp.reset(x, y, kind)
+        );
+        
+        // Input recording for the current run
+        this.recorder = null;
+        this.replay = null;
+        
+        // Why the last run ended: 'timeout', 'target', 'lives' or 'quit'
+        this.outcome = null;
+    }
+    
+    /**
+     * Subscribe to a core event
+     * @param {string} event - Event name
+     * @param {Function} handler - Called with the event payload
+     */
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+    }
+    
+    /**
+     * Notify subscribers of an event
+     * @param {string} event - Event name
+     * @param {Object} payload - Event data
+     */
+    emit(event, payload = {}) {
+        (this.listeners[event] || []).forEach(handler => handler(payload));
+    }
+    
+    /**
+     * Move from loading to the menu
+     */
+    enterMenu() {
+        this.state = GameState.MENU;
+    }
+    
+    /**
+     * Reset all run state and begin playing from a seed
+     * @param {string} seed - Run seed
+     * @param {string} modeId - Key of GameModes
+     */
+    start(seed, modeId = 'timeAttack') {
+        if (!GameModes[modeId]) {
+            throw new Error(`Unknown game mode: ${modeId}`);
+        }
+        
+        // Seed all randomness for this run
+        this.seed = String(seed);
+        Random.setSeed(this.seed);
+        this.modeId = modeId;
+        this.mode = GameModes[modeId];
+        
+        // Reset game state
+        this.score = 0;
+        this.combo = 0;
+        this.bestCombo = 0;
+        this.catches = 0;
+        this.misses = 0;
+        this.lives = this.mode.startingLives();
+        this.timeLeft = CONFIG.INITIAL_TIMER;
+        this.gameTime = 0;
+        this.stepCount = 0;
+        this.lastSpawnTime = 0;
+        this.currentSpawnRate = CONFIG.SPAWN_RATE;
+        this.currentHazardChance = CONFIG.HAZARD_CHANCE;
+        this.slowTimer = 0;
+        this.clearEffects();
+        
+        // Windy runs pick a direction; calm ones leave the random sequence untouched
+        this.weather = WeatherTypes[CONFIG.WEATHER] || WeatherTypes.clear;
+        this.windDirection = this.weather.wind > 0 && Utils.random(0, 1) < 0.5 ? -1 : 1;
+        this.wind = 0;
+        
+        // Clear objects
+        this.goldPool.clear();
+        this.hazardPool.clear();
+        this.powerUpPool.clear();
+        this.collisions = new SpatialGrid(CONFIG.COLLISION_CELL_SIZE);
+        
+        // Create basket at bottom center
+        this.basket = new Basket(
+            (CONFIG.GAME_WIDTH - CONFIG.BASKET_WIDTH) / 2,
+            CONFIG.GAME_HEIGHT - CONFIG.BASKET_HEIGHT - 50
+        );
+        
+        this.recorder = new ReplayRecorder(this.seed, this.modeId);
+        this.replay = null;
+        this.outcome = null;
+        this.state = GameState.PLAYING;
+        this.emit('start', { seed: this.seed, mode: this.modeId });
+    }
+    
+    /**
+     * Pause a running game
+     */
+    pause() {
+        if (this.state === GameState.PLAYING) {
+            this.state = GameState.PAUSED;
+            this.emit('pause');
+        }
+    }
+    
+    /**
+     * Resume a paused game
+     */
+    resume() {
+        if (this.state === GameState.PAUSED) {
+            this.state = GameState.PLAYING;
+            this.emit('resume');
+        }
+    }
+    
+    /**
+     * End the run and keep its replay
+     * @param {string} outcome - Why the run ended: 'timeout' (time ran out),
+     *     'target' (target score reached), 'lives' (out of lives) or 'quit'
+     */
+    end(outcome = 'timeout') {
+        if (this.state !== GameState.PLAYING && this.state !== GameState.PAUSED) return;
+        
+        this.state = GameState.GAME_OVER;
+        this.outcome = outcome;
+        this.clearEffects();
+        this.replay = this.recorder.toReplay(this.score, outcome);
+        this.recorder = null;
+        this.emit('end', {
+            outcome,
+            mode: this.modeId,
+            score: this.score,
+            catches: this.catches,
+            misses: this.misses,
+            bestCombo: this.bestCombo,
+            replay: this.replay
+        });
+    }
+    
+    /**
+     * Take away a life, ending the run when none are left
+     */
+    loseLife() {
+        if (this.lives <= 0) return;
+        
+        this.lives--;
+        this.emit('lifeLost', { lives: this.lives });
+        if (this.lives === 0) {
+            this.end('lives');
+        }
+    }
+    
+    /**
+     * Advance the simulation by one fixed step
+     * @param {Object} input - Input with x, y axes in [-1, 1]
+     */
+    step(input) {
+        if (this.state !== GameState.PLAYING) return;
+        
+        const deltaTime = CONFIG.FIXED_TIMESTEP;
+        this.gameTime += deltaTime;
+        this.stepCount++;
+        
+        // Update timer (the mode sets how fast it drains, if at all)
+        if (this.mode.timed) {
+            this.timeLeft -= deltaTime * this.mode.timerDrain();
+            if (this.timeLeft <= 0) {
+                this.timeLeft = 0;
+                this.end('timeout');
+                return;
+            }
+        }
+        
+        // Update spawn rate and hazard mix based on game time
+        const rampSteps = Math.floor(this.gameTime / CONFIG.SPAWN_RATE_INTERVAL);
+        this.currentSpawnRate = CONFIG.SPAWN_RATE + rampSteps * CONFIG.SPAWN_RATE_INCREASE;
+        this.currentHazardChance = Math.min(
+            CONFIG.HAZARD_CHANCE + rampSteps * CONFIG.HAZARD_CHANCE_INCREASE,
+            CONFIG.HAZARD_MAX_CHANCE
+        );
+        
+        this.updateWind();
+        
+        // Handle input and update basket
+        const stepInput = ReplayRecorder.quantize(input);
+        this.recorder.record(stepInput);
+        this.updateBasket(deltaTime, stepInput);
+        
+        // Spawn gold pieces, hazards and power-ups
+        this.spawnGold();
+        
+        // Update falling objects (slow-motion scales how fast they fall)
+        const fallTime = this.effects.slow ? deltaTime * CONFIG.SLOW_MOTION_FACTOR : deltaTime;
+        this.updateGold(fallTime);
+        this.updateHazards(fallTime);
+        this.updatePowerUps(fallTime);
+        if (this.state !== GameState.PLAYING) return;
+        
+        // Catch, dodge or get hit by whatever reached the basket
+        this.resolveCollisions();
+        if (this.state !== GameState.PLAYING) return;
+        
+        // Count down power-up effects
+        this.updateEffects(deltaTime);
+        
+        // Reaching the target score wins the run
+        if (CONFIG.TARGET_SCORE > 0 && this.score >= CONFIG.TARGET_SCORE) {
+            this.end('target');
+        }
+    }
+    
+    /**
+     * Set the wind for this step: steady in direction, rising and falling in gusts
+     */
+    updateWind() {
+        const strength = this.weather.wind * CONFIG.WIND_SPEED;
+        const gust = 0.6 + 0.4 * Math.sin(this.gameTime * Math.PI * 2 / CONFIG.WIND_GUST_PERIOD);
+        this.wind = this.windDirection * strength * gust;
+    }
+    
+    /**
+     * Update basket from one step of input
+     * @param {number} deltaTime - Step length in seconds
+     * @param {Object} input - Input with x, y axes in [-1, 1]
+     */
+    updateBasket(deltaTime, input) {
+        if (!this.basket) return;
+        
+        // Storm clouds slow the basket for a while
+        let speed = CONFIG.BASKET_SPEED;
+        if (this.slowTimer > 0) {
+            this.slowTimer = Math.max(this.slowTimer - deltaTime, 0);
+            speed *= CONFIG.STORM_SLOW_FACTOR;
+        }
+        
+        this.basket.steer(input.x * speed, input.y * speed, deltaTime);
+        this.basket.update(deltaTime);
+    }
+    
+    /**
+     * Spawn new gold pieces, some of which are hazards or power-ups
+     */
+    spawnGold() {
+        const timeBetweenSpawns = 1 / this.currentSpawnRate;
+        
+        if (this.gameTime - this.lastSpawnTime >= timeBetweenSpawns) {
+            const x = Utils.random(CONFIG.GOLD_MAX_SIZE, CONFIG.GAME_WIDTH - CONFIG.GOLD_MAX_SIZE);
+            const y = -CONFIG.GOLD_MAX_SIZE;
+            const roll = Utils.random(0, 1);
+            if (roll < this.currentHazardChance) {
+                this.hazardPool.get(x, y, Utils.weightedPick(CONFIG.HAZARD_MIX));
+            } else if (roll < this.currentHazardChance + CONFIG.POWERUP_CHANCE) {
+                this.powerUpPool.get(x, y, Utils.weightedPick(CONFIG.POWERUP_MIX));
+            } else {
+                this.goldPool.get(x, y);
+            }
+            this.lastSpawnTime = this.gameTime;
+        }
+    }
+    
+    /**
+     * Update all gold pieces
+     * @param {number} deltaTime - Step length in seconds
+     */
+    updateGold(deltaTime) {
+        const activeGold = this.goldPool.getActive();
+        
+        for (let i = activeGold.length - 1; i >= 0 && this.state === GameState.PLAYING; i--) {
+            const gold = activeGold[i];
+            gold.update(deltaTime, this.wind);
+            
+            // Magnet pulls nearby gold toward the basket
+            if (this.effects.magnet && this.basket) {
+                this.pullTowardBasket(gold, deltaTime);
+            }
+            
+            // Remove if off screen; a miss breaks the combo
+            if (gold.isOffScreen()) {
+                this.goldPool.release(gold);
+                this.misses++;
+                this.emit('miss', { gold });
+                this.breakCombo();
+                this.mode.onMiss(this, gold);
+            }
+        }
+    }
+    
+    /**
+     * Update all hazards
+     * @param {number} deltaTime - Step length in seconds
+     */
+    updateHazards(deltaTime) {
+        const activeHazards = this.hazardPool.getActive();
+        
+        for (let i = activeHazards.length - 1; i >= 0 && this.state === GameState.PLAYING; i--) {
+            const hazard = activeHazards[i];
+            hazard.update(deltaTime);
+            
+            // Dodged hazards just leave
+            if (hazard.isOffScreen()) {
+                this.hazardPool.release(hazard);
+            }
+        }
+    }
+    
+    /**
+     * Apply the penalty for catching a hazard
+     * @param {Hazard} hazard - Caught hazard
+     */
+    applyHazard(hazard) {
+        let penalty = 0;
+        let costsLife = false;
+        
+        if (!this.mode.penalties) {
+            // Modes without penalties let hazards pass harmlessly
+        } else if (hazard.kind === 'rock' && !this.mode.timed) {
+            // Without a clock to take time from, rocks cost a life
+            penalty = 1;
+            costsLife = true;
+        } else if (hazard.kind === 'rock') {
+            penalty = Math.min(CONFIG.ROCK_TIME_PENALTY, this.timeLeft);
+            this.timeLeft -= penalty;
+        } else if (hazard.kind === 'bomb') {
+            penalty = Math.min(CONFIG.BOMB_POINT_PENALTY, this.score);
+            this.score -= penalty;
+        } else if (hazard.kind === 'storm') {
+            this.slowTimer = CONFIG.STORM_SLOW_DURATION;
+            penalty = CONFIG.STORM_SLOW_DURATION;
+        }
+        
+        this.emit('hazard', { hazard, penalty });
+        this.breakCombo();
+        if (costsLife) {
+            this.loseLife();
+        }
+    }
+    
+    /**
+     * Get the score multiplier earned by the current combo
+     * @returns {number} Multiplier (1 to COMBO_MAX_MULTIPLIER)
+     */
+    getComboMultiplier() {
+        return Math.min(1 + Math.floor(this.combo / CONFIG.COMBO_STEP), CONFIG.COMBO_MAX_MULTIPLIER);
+    }
+    
+    /**
+     * Reset the combo after a miss or a caught hazard
+     */
+    breakCombo() {
+        if (this.mode.penalties && this.combo > 0) {
+            const combo = this.combo;
+            this.combo = 0;
+            this.emit('comboBreak', { combo });
+        }
+    }
+    
+    /**
+     * Update all power-ups
+     * @param {number} deltaTime - Step length in seconds
+     */
+    updatePowerUps(deltaTime) {
+        const activePowerUps = this.powerUpPool.getActive();
+        
+        for (let i = activePowerUps.length - 1; i >= 0 && this.state === GameState.PLAYING; i--) {
+            const powerUp = activePowerUps[i];
+            powerUp.update(deltaTime);
+            
+            if (powerUp.isOffScreen()) {
+                this.powerUpPool.release(powerUp);
+            }
+        }
+    }
+    
+    /**
+     * Find what touched the basket this step and act on it
+     * Falling objects are filed in the broad-phase grid on their layers; the
+     * basket only looks at nearby objects on the layers in its mask, and the
+     * exact shape tests run on those alone.
+     */
+    resolveCollisions() {
+        if (!this.basket) return;
+        
+        const grid = this.collisions;
+        grid.clear();
+        this.goldPool.getActive().forEach(gold => grid.insert(gold, CollisionLayers.GOLD));
+        this.hazardPool.getActive().forEach(hazard => grid.insert(hazard, CollisionLayers.HAZARD));
+        this.powerUpPool.getActive().forEach(powerUp => grid.insert(powerUp, CollisionLayers.POWER_UP));
+        
+        const contacts = grid.query(this.basket.getCollisionBounds(), this.basket.collisionMask, this.contacts);
+        for (let i = 0; i < contacts.length && this.state === GameState.PLAYING; i++) {
+            const { object, layer } = contacts[i];
+            if (layer === CollisionLayers.GOLD) {
+                this.collideGold(object);
+            } else if (layer === CollisionLayers.HAZARD) {
+                this.collideHazard(object);
+            } else if (layer === CollisionLayers.POWER_UP) {
+                this.collidePowerUp(object);
+            }
+        }
+    }
+    
+    /**
+     * Catch a piece of gold that dropped in through the rim, or glance it
+     * off the basket if it clipped the sides or bottom
+     * @param {Gold} gold - Gold piece near the basket
+     */
+    collideGold(gold) {
+        if (this.basket.catchesThroughRim(gold)) {
+            // Collect gold (combo level is set by the catches before this one)
+            const multiplier = this.getComboMultiplier() *
+                (this.effects.double ? CONFIG.DOUBLE_SCORE_FACTOR : 1);
+            const points = gold.getPointValue() * multiplier;
+            this.score += points;
+            this.catches++;
+            this.combo++;
+            this.bestCombo = Math.max(this.bestCombo, this.combo);
+            this.basket.flash();
+            this.mode.onCatch(this, gold);
+            this.emit('collect', { gold, points, multiplier, combo: this.combo });
+            
+            // Remove gold
+            this.goldPool.release(gold);
+        } else if (gold.y > this.basket.y && Utils.circleRectCollision(
+            gold.getCollisionBounds(),
+            this.basket.getCollisionBounds()
+        )) {
+            this.glanceOffBasket(gold);
+        }
+    }
+    
+    /**
+     * Apply a hazard that hit the basket
+     * @param {Hazard} hazard - Hazard near the basket
+     */
+    collideHazard(hazard) {
+        if (Utils.shapeRectCollision(hazard.getCollisionBounds(), this.basket.getCollisionBounds())) {
+            this.applyHazard(hazard);
+            this.hazardPool.release(hazard);
+        }
+    }
+    
+    /**
+     * Activate a power-up that reached the basket
+     * @param {PowerUp} powerUp - Power-up near the basket
+     */
+    collidePowerUp(powerUp) {
+        if (Utils.circleRectCollision(powerUp.getCollisionBounds(), this.basket.getCollisionBounds())) {
+            this.activatePowerUp(powerUp.kind);
+            this.emit('powerup', { powerUp });
+            this.powerUpPool.release(powerUp);
+        }
+    }
+    
+    /**
+     * Push a piece of gold that hit the basket's side or bottom out past the
+     * nearer side, bouncing it away at least as fast as the basket moves
+     * @param {Gold} gold - Gold piece touching the basket
+     */
+    glanceOffBasket(gold) {
+        const { basket } = this;
+        const side = gold.x < basket.x + basket.width / 2 ? -1 : 1;
+        const bounds = gold.getCollisionBounds();
+        gold.x = side < 0 ? basket.x - bounds.radius : basket.x + basket.width + bounds.radius;
+        gold.vx = side * Math.max(Math.abs(gold.vx) * CONFIG.WALL_BOUNCE, side * basket.vx, 0);
+        gold.bounceOffWalls();
+    }
+    
+    /**
+     * Move a piece of gold toward the basket center if within magnet range
+     * @param {Gold} gold - Gold piece to pull
+     * @param {number} deltaTime - Step length in seconds
+     */
+    pullTowardBasket(gold, deltaTime) {
+        const centerX = this.basket.x + this.basket.width / 2;
+        const centerY = this.basket.y + this.basket.height / 2;
+        const dx = centerX - gold.x;
+        const dy = centerY - gold.y;
+        
+        if (dy > 0 && dx * dx + dy * dy <= CONFIG.MAGNET_RADIUS * CONFIG.MAGNET_RADIUS) {
+            const pull = Math.min(Math.abs(dx), CONFIG.MAGNET_STRENGTH * deltaTime);
+            gold.x += Math.sign(dx) * pull;
+        }
+    }
+    
+    /**
+     * Apply a caught power-up
+     * Timed effects refresh to full duration rather than stacking;
+     * time bonuses are instant and add up.
+     * @param {string} kind - Key of PowerUpTypes
+     */
+    activatePowerUp(kind) {
+        if (!PowerUpTypes[kind].timed) {
+            if (kind === 'time' && this.mode.timed) {
+                this.timeLeft += CONFIG.TIME_BONUS;
+            }
+            return;
+        }
+        
+        if (kind === 'wide' && !this.effects.wide && this.basket) {
+            this.basket.setWidth(CONFIG.BASKET_WIDTH * CONFIG.WIDE_BASKET_FACTOR);
+        }
+        this.effects[kind] = CONFIG.POWERUP_DURATION;
+    }
+    
+    /**
+     * Count down active effects and end the ones that run out
+     * @param {number} deltaTime - Step length in seconds
+     */
+    updateEffects(deltaTime) {
+        Object.keys(this.effects).forEach(kind => {
+            this.effects[kind] -= deltaTime;
+            if (this.effects[kind] <= 0) {
+                this.endEffect(kind);
+            }
+        });
+    }
+    
+    /**
+     * End one active effect and undo what it changed
+     * @param {string} kind - Key of PowerUpTypes
+     */
+    endEffect(kind) {
+        if (kind === 'wide' && this.basket) {
+            this.basket.setWidth(CONFIG.BASKET_WIDTH);
+        }
+        delete this.effects[kind];
+        this.emit('effectEnd', { kind });
+    }
+    
+    /**
+     * End every active effect
+     */
+    clearEffects() {
+        Object.keys(this.effects).forEach(kind => this.endEffect(kind));
+    }
+    
+    /**
+     * Re-run a replay headlessly under its recorded configuration
+     * @param {Object} replay - Replay data from ReplayRecorder.toReplay
+     * @returns {Object} Result with final score and steps simulated
+     */
+    static simulateReplay(replay) {
+        const player = new ReplayPlayer(replay);
+        const savedConfig = { ...CONFIG };
+        Object.assign(CONFIG, replay.config);
+        
+        try {
+            const core = new GameCore();
+            core.start(replay.seed, replay.mode);
+            while (core.state === GameState.PLAYING && !player.isFinished()) {
+                core.step(player.next());
+            }
+            
+            // A timed-out run ends on the step after its last input. Runs that
+            // are still going after that (quit runs, or replays cut short) end
+            // as quit, so untimed modes always finish.
+            if (core.state === GameState.PLAYING && !player.reachedQuit()) {
+                core.step({ x: 0, y: 0 });
+            }
+            if (core.state === GameState.PLAYING) {
+                core.end('quit');
+            }
+            return {
+                score: core.score,
+                steps: core.stepCount,
+                outcome: core.outcome,
+                catches: core.catches,
+                misses: core.misses,
+                bestCombo: core.bestCombo
+            };
+        } finally {
+            Object.assign(CONFIG, savedConfig);
+        }
+    }
+}
+
+// Export for Node (tests and tools); browsers use the globals above
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CONFIG,
+        Rng,
+        Random,
+        Utils,
+        Gold,
+        WeatherTypes,
+        HazardTypes,
+        Hazard,
+        PowerUpTypes,
+        PowerUp,
+        Basket,
+        ObjectPool,
+        CollisionLayers,
+        SpatialGrid,
+        CampaignLevels,
+        GameModes,
+        GameState,
+        REPLAY_FORMAT_VERSION,
+        ReplayRecorder,
+        ReplayPlayer,
+        LEADERBOARD_FORMAT_VERSION,
+        Leaderboard,
+        GameCore
+    };
+}
@@ -2,192 +2,367 @@
  * Gold Sky Game - Main Game Logic
  * A basket collecting game where players collect falling gold pieces
  * Built with vanilla JavaScript, HTML5 Canvas, and Web Audio API
+ * Browser shell around GameCore (core.js): rendering, input, audio and UI
  */
 
-// Game Configuration Constants
-const CONFIG = {
-    // Game dimensions and timing
-    GAME_WIDTH: 800,
-    GAME_HEIGHT: 600,
-    INITIAL_TIMER: 60, // seconds
-    FPS_TARGET: 60,
-    
-    // Basket properties
-    BASKET_WIDTH: 80,
-    BASKET_HEIGHT: 40,
-    BASKET_SPEED: 300, // pixels per second
-    BASKET_MARGIN: 10, // distance from edges
-    
-    // Gold piece properties
-    GOLD_MIN_SIZE: 15,
-    GOLD_MAX_SIZE: 35,
-    GOLD_MIN_SPEED: 100, // pixels per second
-    GOLD_MAX_SPEED: 250,
-    SPAWN_RATE: 2.0, // gold pieces per second
-    SPAWN_RATE_INCREASE: 0.1, // increase per 10 seconds
-    
-    // Physics and collision
-    GRAVITY: 200, // pixels per second squared
-    COLLISION_PADDING: 5, // pixels of overlap allowed
-    
-    // Scoring system
-    SCORE_MULTIPLIER: 10, // base points per gold size
-    SIZE_BONUS_MULTIPLIER: 1.5, // bonus for larger gold
-    
-    // Visual effects
-    PICKUP_FLASH_DURATION: 200, // milliseconds
-    PARTICLE_COUNT: 6,
-    PARTICLE_LIFETIME: 500, // milliseconds
-    
-    // Debug mode
-    DEBUG_ENABLED: false
+/**
+ * Synthesized Sound Definitions
+ * Each sound is a list of voices played together. A voice is an oscillator
+ * ('sine', 'square', 'sawtooth', 'triangle') gliding from frequency to
+ * endFrequency, or 'noise' through a lowpass filter. delay and duration are
+ * in seconds; gain is relative to the SFX volume.
+ */
+const SYNTH_SOUNDS = {
+    pickup: [
+        { type: 'sine', frequency: 880, endFrequency: 1320, duration: 0.12, gain: 0.35 },
+        { type: 'triangle', frequency: 1320, endFrequency: 1760, delay: 0.05, duration: 0.1, gain: 0.2 }
+    ],
+    miss: [
+        { type: 'triangle', frequency: 330, endFrequency: 110, duration: 0.35, gain: 0.35 }
+    ],
+    start: [
+        { type: 'square', frequency: 523, endFrequency: 523, duration: 0.1, gain: 0.15 },
+        { type: 'square', frequency: 659, endFrequency: 659, delay: 0.1, duration: 0.1, gain: 0.15 },
+        { type: 'square', frequency: 784, endFrequency: 1046, delay: 0.2, duration: 0.2, gain: 0.15 }
+    ],
+    rock: [
+        { type: 'square', frequency: 120, endFrequency: 60, duration: 0.25, gain: 0.3 },
+        { type: 'noise', filter: 900, duration: 0.15, gain: 0.3 }
+    ],
+    bomb: [
+        { type: 'sawtooth', frequency: 90, endFrequency: 30, duration: 0.45, gain: 0.35 },
+        { type: 'noise', filter: 500, duration: 0.6, gain: 0.5 }
+    ],
+    storm: [
+        { type: 'noise', filter: 300, duration: 0.7, gain: 0.4 },
+        { type: 'triangle', frequency: 220, endFrequency: 110, duration: 0.5, gain: 0.2 }
+    ],
+    powerup: [
+        { type: 'sine', frequency: 440, endFrequency: 880, duration: 0.12, gain: 0.3 },
+        { type: 'sine', frequency: 660, endFrequency: 1320, delay: 0.08, duration: 0.15, gain: 0.25 },
+        { type: 'sine', frequency: 880, endFrequency: 1760, delay: 0.16, duration: 0.2, gain: 0.2 }
+    ],
+    lifeLost: [
+        { type: 'square', frequency: 440, endFrequency: 220, duration: 0.2, gain: 0.2 },
+        { type: 'square', frequency: 330, endFrequency: 110, delay: 0.18, duration: 0.3, gain: 0.2 }
+    ],
+    cue: [
+        { type: 'sine', frequency: 330, endFrequency: 330, duration: 0.08, gain: 0.25 }
+    ]
 };
 
 /**
- * Utility Functions
+ * Accessible mode audio cues: a short tone for the nearest falling gold,
+ * panned to its side of the basket and rising in pitch as it falls
+ */
+const AUDIO_CUE_INTERVAL = 0.35; // seconds of game time between cues
+const AUDIO_CUE_OCTAVES = 2; // pitch rise from the top of the screen to the rim
+
+/**
+ * Background Music Settings
+ * The track is generated on the fly: a bass line following MUSIC_PROGRESSION
+ * and a melody picked from a pentatonic scale, in eighth notes.
+ */
+const MUSIC_BASE_TEMPO = 96; // beats per minute at the starting spawn rate
+const MUSIC_MAX_TEMPO = 160; // beats per minute
+const MUSIC_LOOKAHEAD = 0.15; // seconds of notes scheduled ahead
+const MUSIC_SCHEDULE_INTERVAL = 25; // milliseconds between scheduling passes
+const MUSIC_PROGRESSION = [0, 9, 5, 7]; // chord roots in semitones above the key (I-vi-IV-V)
+const MUSIC_SCALE = [0, 2, 4, 7, 9, 12, 14, 16]; // major pentatonic, semitones above the chord root
+const MUSIC_KEY = 220; // Hz of the key note (A3)
+
+/**
+ * Music Sequencer Class
+ * Schedules the generative background track ahead of time on the audio
+ * clock, so timer jitter never makes notes late. Tempo can change at any
+ * time and takes effect from the next note.
  */
-const Utils = {
+class MusicSequencer {
     /**
-     * Generate random number between min and max
-     * @param {number} min - Minimum value
-     * @param {number} max - Maximum value
-     * @returns {number} Random number
+     * @param {AudioContext} ctx - Audio context
+     * @param {AudioNode} output - Node the music plays into
      */
-    random(min, max) {
-        return Math.random() * (max - min) + min;
-    },
+    constructor(ctx, output) {
+        this.ctx = ctx;
+        this.output = output;
+        this.tempo = MUSIC_BASE_TEMPO;
+        this.timer = null;
+        this.step = 0;
+        this.nextNoteTime = 0;
+    }
     
     /**
-     * Generate random integer between min and max (inclusive)
-     * @param {number} min - Minimum value
-     * @param {number} max - Maximum value
-     * @returns {number} Random integer
+     * Start the track from its first bar
      */
-    randomInt(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
-    },
+    start() {
+        if (this.timer) return;
+        
+        this.step = 0;
+        this.nextNoteTime = this.ctx.currentTime + 0.05;
+        this.timer = setInterval(() => this.schedule(), MUSIC_SCHEDULE_INTERVAL);
+        this.schedule();
+    }
     
     /**
-     * Clamp value between min and max
-     * @param {number} value - Value to clamp
-     * @param {number} min - Minimum value
-     * @param {number} max - Maximum value
-     * @returns {number} Clamped value
+     * Stop scheduling (notes already scheduled finish on their own)
      */
-    clamp(value, min, max) {
-        return Math.min(Math.max(value, min), max);
-    },
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
     
     /**
-     * Check circle-rectangle collision
-     * @param {Object} circle - Circle object with x, y, radius
-     * @param {Object} rect - Rectangle object with x, y, width, height
-     * @returns {boolean} True if collision detected
+     * Schedule every note that falls inside the lookahead window
      */
-    circleRectCollision(circle, rect) {
-        const distX = Math.abs(circle.x - rect.x - rect.width / 2);
-        const distY = Math.abs(circle.y - rect.y - rect.height / 2);
-        
-        if (distX > (rect.width / 2 + circle.radius)) return false;
-        if (distY > (rect.height / 2 + circle.radius)) return false;
-        
-        if (distX <= (rect.width / 2)) return true;
-        if (distY <= (rect.height / 2)) return true;
+    schedule() {
+        while (this.nextNoteTime < this.ctx.currentTime + MUSIC_LOOKAHEAD) {
+            this.playStep(this.step, this.nextNoteTime);
+            this.nextNoteTime += 60 / this.tempo / 2;
+            this.step = (this.step + 1) % (MUSIC_PROGRESSION.length * 8);
+        }
+    }
+    
+    /**
+     * Play one eighth-note step: bass on the beat, sometimes a melody note
+     * @param {number} step - Eighth note within the progression
+     * @param {number} time - Audio clock time to play at
+     */
+    playStep(step, time) {
+        const root = MUSIC_PROGRESSION[Math.floor(step / 8)];
+        const eighth = 60 / this.tempo / 2;
         
-        const dx = distX - rect.width / 2;
-        const dy = distY - rect.height / 2;
-        return (dx * dx + dy * dy <= (circle.radius * circle.radius));
-    },
+        if (step % 2 === 0) {
+            this.note(MUSIC_KEY / 2 * Math.pow(2, root / 12), time, eighth * 1.8, 'triangle', 0.35);
+        }
+        if (Random.effects.next() < 0.45) {
+            const interval = MUSIC_SCALE[Random.effects.int(0, MUSIC_SCALE.length - 1)];
+            this.note(MUSIC_KEY * Math.pow(2, (root + interval) / 12), time, eighth * 0.9, 'sine', 0.18);
+        }
+    }
     
     /**
-     * Format time in MM:SS format
-     * @param {number} seconds - Time in seconds
-     * @returns {string} Formatted time string
+     * Play a single note with a short attack and decay
+     * @param {number} frequency - Pitch in Hz
+     * @param {number} time - Audio clock time to start
+     * @param {number} duration - Length in seconds
+     * @param {string} type - Oscillator type
+     * @param {number} level - Peak gain
      */
-    formatTime(seconds) {
-        const mins = Math.floor(seconds / 60);
-        const secs = Math.floor(seconds % 60);
-        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    note(frequency, time, duration, type, level) {
+        const oscillator = this.ctx.createOscillator();
+        const gain = this.ctx.createGain();
+        
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(frequency, time);
+        gain.gain.setValueAtTime(0.0001, time);
+        gain.gain.exponentialRampToValueAtTime(level, time + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+        
+        oscillator.connect(gain).connect(this.output);
+        oscillator.start(time);
+        oscillator.stop(time + duration + 0.05);
     }
-};
+}
 
 /**
  * Audio Manager Class
- * Handles all game audio with fallback for unsupported browsers
+ * Synthesizes all game audio with the Web Audio API. Sound effects and
+ * music run through their own gain nodes into a master gain, so each has
+ * its own volume. Without Web Audio support the game stays silent.
  */
 class AudioManager {
     constructor() {
-        this.sounds = {};
         this.muted = false;
-        this.volume = 0.7;
+        this.volumes = { master: 0.7, music: 0.5, sfx: 1 };
         this.supported = true;
         
         try {
-            // Test Web Audio API support
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
         } catch (e) {
-            console.warn('Web Audio API not supported, using fallback');
+            console.warn('Web Audio API not supported, sound is off');
             this.supported = false;
+            return;
         }
         
-        this.loadSounds();
+        const ctx = this.audioContext;
+        this.masterGain = ctx.createGain();
+        this.musicGain = ctx.createGain();
+        this.sfxGain = ctx.createGain();
+        this.musicGain.connect(this.masterGain);
+        this.sfxGain.connect(this.masterGain);
+        this.masterGain.connect(ctx.destination);
+        this.applyVolumes();
+        
+        this.noiseBuffer = this.createNoiseBuffer();
+        this.music = new MusicSequencer(ctx, this.musicGain);
+        this.unlockOnGesture();
     }
     
     /**
-     * Load all game sounds
+     * Resume the audio context on the first user gesture
+     * Browsers start contexts suspended until the page is interacted with.
      */
-    loadSounds() {
-        const soundElements = {
-            pickup: document.getElementById('pickupSound'),
-            miss: document.getElementById('missSound'),
-            start: document.getElementById('startSound')
+    unlockOnGesture() {
+        const events = ['pointerdown', 'keydown', 'touchstart'];
+        const unlock = () => {
+            this.audioContext.resume().then(() => {
+                events.forEach(type => document.removeEventListener(type, unlock, true));
+            }).catch(e => console.warn('Could not start audio:', e));
         };
-        
-        Object.entries(soundElements).forEach(([name, element]) => {
-            if (element) {
-                element.volume = this.volume;
-                this.sounds[name] = element;
-            }
-        });
+        events.forEach(type => document.addEventListener(type, unlock, true));
+    }
+    
+    /**
+     * Build one second of white noise for noise voices
+     * @returns {AudioBuffer} Noise buffer
+     */
+    createNoiseBuffer() {
+        const ctx = this.audioContext;
+        const buffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+        return buffer;
     }
     
     /**
      * Play a sound effect
-     * @param {string} name - Sound name
+     * @param {string} name - Key of SYNTH_SOUNDS
+     * @param {number} pitch - Frequency multiplier (1 = as defined)
      */
-    play(name) {
-        if (this.muted || !this.supported || !this.sounds[name]) return;
+    play(name, pitch = 1) {
+        if (this.muted || !this.supported) return;
+        
+        const voices = SYNTH_SOUNDS[name];
+        if (!voices) return;
         
         try {
-            this.sounds[name].currentTime = 0;
-            this.sounds[name].play().catch(e => {
-                console.warn(`Could not play sound ${name}:`, e);
-            });
+            const now = this.audioContext.currentTime;
+            voices.forEach(voice => this.playVoice(voice, now + (voice.delay || 0), pitch));
         } catch (e) {
             console.warn(`Error playing sound ${name}:`, e);
         }
     }
     
+    /**
+     * Play the accessible mode cue for a piece of gold
+     * @param {number} pan - Stereo position (-1 hard left to 1 hard right)
+     * @param {number} pitch - Frequency multiplier
+     */
+    playCue(pan, pitch) {
+        if (this.muted || !this.supported) return;
+        
+        try {
+            const now = this.audioContext.currentTime;
+            const panner = this.audioContext.createStereoPanner();
+            panner.pan.setValueAtTime(Utils.clamp(pan, -1, 1), now);
+            panner.connect(this.sfxGain);
+            SYNTH_SOUNDS.cue.forEach(voice => this.playVoice(voice, now + (voice.delay || 0), pitch, panner));
+        } catch (e) {
+            console.warn('Error playing audio cue:', e);
+        }
+    }
+    
+    /**
+     * Play one voice of a sound
+     * @param {Object} voice - Voice from SYNTH_SOUNDS
+     * @param {number} time - Audio clock time to start
+     * @param {number} pitch - Frequency multiplier
+     * @param {AudioNode} output - Node the voice plays into (the SFX channel by default)
+     */
+    playVoice(voice, time, pitch, output = this.sfxGain) {
+        const ctx = this.audioContext;
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(voice.gain, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + voice.duration);
+        
+        let source;
+        if (voice.type === 'noise') {
+            source = ctx.createBufferSource();
+            source.buffer = this.noiseBuffer;
+            const filter = ctx.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.setValueAtTime(voice.filter * pitch, time);
+            source.connect(filter).connect(gain);
+        } else {
+            source = ctx.createOscillator();
+            source.type = voice.type;
+            source.frequency.setValueAtTime(voice.frequency * pitch, time);
+            source.frequency.exponentialRampToValueAtTime(voice.endFrequency * pitch, time + voice.duration);
+            source.connect(gain);
+        }
+        
+        gain.connect(output);
+        source.start(time);
+        source.stop(time + voice.duration);
+    }
+    
+    /**
+     * Start the background music from the top
+     */
+    startMusic() {
+        if (!this.supported) return;
+        this.music.stop();
+        this.music.start();
+    }
+    
+    /**
+     * Stop the background music
+     */
+    stopMusic() {
+        if (!this.supported) return;
+        this.music.stop();
+    }
+    
+    /**
+     * Match the music tempo to the current spawn rate
+     * @param {number} spawnRate - Current gold pieces per second
+     */
+    setMusicIntensity(spawnRate) {
+        if (!this.supported) return;
+        const tempo = MUSIC_BASE_TEMPO * spawnRate / CONFIG.SPAWN_RATE;
+        this.music.tempo = Utils.clamp(tempo, MUSIC_BASE_TEMPO, MUSIC_MAX_TEMPO);
+    }
+    
     /**
      * Toggle mute state
+     * @returns {boolean} True when muted
      */
     toggleMute() {
-        this.muted = !this.muted;
-        Object.values(this.sounds).forEach(sound => {
-            sound.muted = this.muted;
-        });
+        this.setMuted(!this.muted);
         return this.muted;
     }
     
+    /**
+     * Mute or unmute all sound
+     * @param {boolean} muted - True to silence everything
+     */
+    setMuted(muted) {
+        this.muted = muted;
+        this.applyVolumes();
+    }
+    
     /**
      * Set volume level
      * @param {number} volume - Volume level (0-1)
+     * @param {string} channel - 'master', 'music' or 'sfx'
      */
-    setVolume(volume) {
-        this.volume = Utils.clamp(volume, 0, 1);
-        Object.values(this.sounds).forEach(sound => {
-            sound.volume = this.volume;
-        });
+    setVolume(volume, channel = 'master') {
+        if (!(channel in this.volumes)) return;
+        this.volumes[channel] = Utils.clamp(volume, 0, 1);
+        this.applyVolumes();
+    }
+    
+    /**
+     * Push the volume and mute settings to the gain nodes
+     */
+    applyVolumes() {
+        if (!this.supported) return;
+        const now = this.audioContext.currentTime;
+        this.masterGain.gain.setTargetAtTime(this.muted ? 0 : this.volumes.master, now, 0.02);
+        this.musicGain.gain.setTargetAtTime(this.volumes.music, now, 0.02);
+        this.sfxGain.gain.setTargetAtTime(this.volumes.sfx, now, 0.02);
     }
 }
 
@@ -197,13 +372,25 @@ class AudioManager {
  */
 class Particle {
     constructor(x, y, color = '#FFD700') {
+        this.reset(x, y, color);
+    }
+    
+    /**
+     * Prepare particle for (re)use
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {string} color - Particle color
+     */
+    reset(x, y, color = '#FFD700') {
         this.x = x;
         this.y = y;
-        this.vx = Utils.random(-100, 100);
-        this.vy = Utils.random(-150, -50);
+        this.prevX = x;
+        this.prevY = y;
+        this.vx = Random.effects.range(-100, 100);
+        this.vy = Random.effects.range(-150, -50);
         this.life = CONFIG.PARTICLE_LIFETIME;
         this.maxLife = CONFIG.PARTICLE_LIFETIME;
-        this.size = Utils.random(3, 8);
+        this.size = Random.effects.range(3, 8);
         this.color = color;
     }
     
@@ -212,6 +399,8 @@ class Particle {
      * @param {number} deltaTime - Frame time in seconds
      */
     update(deltaTime) {
+        this.prevX = this.x;
+        this.prevY = this.y;
         this.x += this.vx * deltaTime;
         this.y += this.vy * deltaTime;
         this.vy += CONFIG.GRAVITY * deltaTime;
@@ -221,14 +410,17 @@ class Particle {
     /**
      * Draw particle to canvas
      * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} interpolation - Fraction of a step since the last update (0-1)
      */
-    draw(ctx) {
-        const alpha = this.life / this.maxLife;
+    draw(ctx, interpolation = 1) {
+        const alpha = Math.max(this.life / this.maxLife, 0);
+        const x = Utils.lerp(this.prevX, this.x, interpolation);
+        const y = Utils.lerp(this.prevY, this.y, interpolation);
         ctx.save();
         ctx.globalAlpha = alpha;
         ctx.fillStyle = this.color;
         ctx.beginPath();
-        ctx.arc(this.x, this.y, this.size * alpha, 0, Math.PI * 2);
+        ctx.arc(x, y, this.size * alpha, 0, Math.PI * 2);
         ctx.fill();
         ctx.restore();
     }
@@ -243,582 +435,3523 @@ class Particle {
 }
 
 /**
- * Gold Piece Class
- * Represents falling gold pieces that can be collected
+ * Floating Text Class
+ * Score popups that drift up from the catch point and fade out
  */
-class Gold {
-    constructor(x, y) {
+class FloatingText {
+    constructor(x, y, text, color = '#FFFFFF') {
         this.x = x;
         this.y = y;
-        this.radius = Utils.random(CONFIG.GOLD_MIN_SIZE, CONFIG.GOLD_MAX_SIZE);
-        this.speed = Utils.random(CONFIG.GOLD_MIN_SPEED, CONFIG.GOLD_MAX_SPEED);
-        this.rotation = 0;
-        this.rotationSpeed = Utils.random(-5, 5);
-        this.shimmer = 0;
-        this.collected = false;
-        
-        // Larger gold falls slower (more realistic)
-        const sizeFactor = this.radius / CONFIG.GOLD_MAX_SIZE;
-        this.speed = CONFIG.GOLD_MIN_SPEED + (CONFIG.GOLD_MAX_SPEED - CONFIG.GOLD_MIN_SPEED) * (1 - sizeFactor * 0.5);
+        this.prevY = y;
+        this.text = text;
+        this.color = color;
+        this.life = CONFIG.FLOATING_TEXT_LIFETIME;
+        this.maxLife = CONFIG.FLOATING_TEXT_LIFETIME;
     }
     
     /**
-     * Update gold piece physics
-     * @param {number} deltaTime - Frame time in seconds
+     * Update text drift and lifetime
+     * @param {number} deltaTime - Step length in seconds
      */
     update(deltaTime) {
-        this.y += this.speed * deltaTime;
-        this.rotation += this.rotationSpeed * deltaTime;
-        this.shimmer += deltaTime * 4;
+        this.prevY = this.y;
+        this.y -= 60 * deltaTime;
+        this.life -= deltaTime * 1000;
     }
     
     /**
-     * Draw gold piece to canvas
+     * Draw text to canvas
      * @param {CanvasRenderingContext2D} ctx - Canvas context
-     * @param {boolean} debug - Whether to draw debug info
+     * @param {number} interpolation - Fraction of a step since the last update (0-1)
      */
-    draw(ctx, debug = false) {
+    draw(ctx, interpolation = 1) {
+        const alpha = Math.max(this.life / this.maxLife, 0);
+        const y = Utils.lerp(this.prevY, this.y, interpolation);
         ctx.save();
-        ctx.translate(this.x, this.y);
-        ctx.rotate(this.rotation);
-        
-        // Gold gradient with shimmer effect
-        const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, this.radius);
-        const shimmerAmount = (Math.sin(this.shimmer) + 1) * 0.1;
-        gradient.addColorStop(0, `hsl(51, 100%, ${85 + shimmerAmount * 10}%)`);
-        gradient.addColorStop(0.7, `hsl(45, 100%, ${70 + shimmerAmount * 5}%)`);
-        gradient.addColorStop(1, `hsl(38, 80%, ${50 + shimmerAmount * 3}%)`);
-        
-        // Shadow
-        ctx.globalAlpha = 0.3;
-        ctx.fillStyle = '#B8860B';
-        ctx.beginPath();
-        ctx.arc(2, 2, this.radius, 0, Math.PI * 2);
-        ctx.fill();
-        
-        // Main gold piece
-        ctx.globalAlpha = 1;
-        ctx.fillStyle = gradient;
-        ctx.beginPath();
-        ctx.arc(0, 0, this.radius, 0, Math.PI * 2);
-        ctx.fill();
-        
-        // Highlight
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
-        ctx.beginPath();
-        ctx.arc(-this.radius * 0.3, -this.radius * 0.3, this.radius * 0.4, 0, Math.PI * 2);
-        ctx.fill();
-        
+        ctx.globalAlpha = alpha;
+        ctx.font = 'bold 20px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.strokeText(this.text, this.x, y);
+        ctx.fillStyle = this.color;
+        ctx.fillText(this.text, this.x, y);
         ctx.restore();
-        
-        // Debug collision circle
-        if (debug) {
-            ctx.strokeStyle = 'red';
-            ctx.lineWidth = 2;
-            ctx.beginPath();
-            ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
-            ctx.stroke();
-        }
     }
     
     /**
-     * Check if gold piece is off screen
-     * @returns {boolean} True if off screen
+     * Check if text is still visible
+     * @returns {boolean} True if text should continue existing
+     */
+    isAlive() {
+        return this.life > 0;
+    }
+}
+
+/**
+ * Background motion tuning
+ */
+const SKY_DRIFT_SPEED = 15; // pixels per second the nearest clouds drift on a calm day
+const DAY_CYCLE_LENGTH = 120; // seconds from day to night in untimed modes
+const WEATHER_PARTICLE_COUNTS = { rain: 120, snow: 90, wind: 14 }; // drops, flakes or gusts on screen
+
+/**
+ * Cloud layers from far to near; nearer layers are bigger, more opaque and
+ * drift further for the same wind (parallax)
+ */
+const CLOUD_LAYERS = [
+    {
+        parallax: 0.3,
+        scale: 0.6,
+        alpha: 0.5,
+        clouds: [{ x: 60, y: 50, size: 30 }, { x: 330, y: 95, size: 24 }, { x: 560, y: 40, size: 28 }]
+    },
+    {
+        parallax: 0.6,
+        scale: 0.8,
+        alpha: 0.7,
+        clouds: [{ x: 200, y: 150, size: 32 }, { x: 480, y: 180, size: 26 }, { x: 720, y: 120, size: 30 }]
+    },
+    {
+        parallax: 1,
+        scale: 1,
+        alpha: 1,
+        clouds: [{ x: 100, y: 80, size: 40 }, { x: 300, y: 120, size: 30 }, { x: 600, y: 60, size: 35 }, { x: 750, y: 140, size: 25 }]
+    }
+];
+
+/**
+ * Weather kinds offered for free-play runs (keys of WeatherTypes) and the
+ * message keys of their labels
+ */
+const WEATHER_OPTIONS = {
+    clear: 'weather.clear',
+    rain: 'weather.rain',
+    snow: 'weather.snow',
+    wind: 'weather.wind'
+};
+
+/**
+ * Weather Effect Class
+ * Rain, snow or gust streaks drawn over the sky and pushed by the core's wind.
+ * Purely visual: positions come from the effects random stream.
+ */
+class WeatherEffect {
+    constructor() {
+        this.kind = 'clear';
+        this.drops = [];
+    }
+    
+    /**
+     * Fill the sky for a new run
+     * @param {string} kind - Key of WeatherTypes
      */
-    isOffScreen() {
-        return this.y - this.radius > CONFIG.GAME_HEIGHT;
+    reset(kind) {
+        this.kind = kind;
+        const count = WEATHER_PARTICLE_COUNTS[kind] || 0;
+        this.drops = Array.from({ length: count }, () => this.createDrop(Random.effects.range(0, CONFIG.GAME_HEIGHT)));
     }
     
     /**
-     * Get collision bounds
-     * @returns {Object} Collision circle data
+     * Make one drop, flake or gust
+     * @param {number} y - Starting height
+     * @returns {Object} Drop with position, speed, size and wobble phase
      */
-    getCollisionBounds() {
+    createDrop(y) {
+        const rng = Random.effects;
+        const speeds = { rain: [500, 700], snow: [40, 90], wind: [300, 500] };
+        const sizes = { rain: [10, 18], snow: [1.5, 3.5], wind: [30, 70] };
+        const [minSpeed, maxSpeed] = speeds[this.kind];
+        const [minSize, maxSize] = sizes[this.kind];
         return {
-            x: this.x,
-            y: this.y,
-            radius: this.radius - CONFIG.COLLISION_PADDING
+            x: rng.range(-50, CONFIG.GAME_WIDTH + 50),
+            y,
+            speed: rng.range(minSpeed, maxSpeed),
+            size: rng.range(minSize, maxSize),
+            phase: rng.range(0, Math.PI * 2)
         };
     }
     
     /**
-     * Calculate points value for this gold piece
-     * @returns {number} Points value
+     * Move every drop, wrapping them around the screen
+     * @param {number} deltaTime - Step length in seconds
+     * @param {number} wind - Sideways wind speed in pixels per second
+     */
+    update(deltaTime, wind) {
+        const span = CONFIG.GAME_WIDTH + 100;
+        this.drops.forEach((drop, i) => {
+            if (this.kind === 'wind') {
+                drop.x += (wind >= 0 ? 1 : -1) * drop.speed * deltaTime;
+                drop.y += Math.sin(drop.phase + drop.x / 80) * 20 * deltaTime;
+            } else if (this.kind === 'snow') {
+                drop.y += drop.speed * deltaTime;
+                drop.x += (wind * 1.5 + Math.sin(drop.phase + drop.y / 30) * 15) * deltaTime;
+            } else {
+                drop.y += drop.speed * deltaTime;
+                drop.x += wind * 3 * deltaTime;
+            }
+            
+            if (drop.y > CONFIG.GAME_HEIGHT + 20) {
+                this.drops[i] = this.createDrop(-20);
+            } else {
+                drop.x = ((drop.x + 50) % span + span) % span - 50;
+            }
+        });
+    }
+    
+    /**
+     * Draw the weather
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} wind - Sideways wind speed, for the slant of the rain
      */
-    getPointValue() {
-        const sizeRatio = this.radius / CONFIG.GOLD_MAX_SIZE;
-        return Math.floor(CONFIG.SCORE_MULTIPLIER * sizeRatio * CONFIG.SIZE_BONUS_MULTIPLIER);
+    draw(ctx, wind) {
+        if (this.drops.length === 0) return;
+        
+        ctx.save();
+        if (this.kind === 'rain') {
+            ctx.strokeStyle = 'rgba(174, 194, 224, 0.6)';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            this.drops.forEach(drop => {
+                ctx.moveTo(drop.x, drop.y);
+                ctx.lineTo(drop.x + wind * 3 / drop.speed * drop.size, drop.y + drop.size);
+            });
+            ctx.stroke();
+        } else if (this.kind === 'snow') {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+            this.drops.forEach(drop => {
+                ctx.beginPath();
+                ctx.arc(drop.x, drop.y, drop.size, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        } else {
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            this.drops.forEach(drop => {
+                ctx.moveTo(drop.x, drop.y);
+                ctx.lineTo(drop.x - (wind >= 0 ? 1 : -1) * drop.size, drop.y);
+            });
+            ctx.stroke();
+        }
+        ctx.restore();
     }
 }
 
 /**
- * Basket Class
- * Player-controlled basket that collects gold
+ * Sprite caching tuning
  */
-class Basket {
-    constructor(x, y) {
-        this.x = x;
-        this.y = y;
-        this.width = CONFIG.BASKET_WIDTH;
-        this.height = CONFIG.BASKET_HEIGHT;
-        this.vx = 0;
-        this.vy = 0;
-        this.flashTimer = 0;
+const GOLD_SHIMMER_FRAMES = 6; // shimmer brightness steps pre-rendered per gold size
+
+/**
+ * Image assets loaded before the menu opens. Set atlas to the URL of a JSON
+ * file ({ image, frames: { name: { x, y, w, h } } }, image relative to the
+ * JSON) to draw gold and the basket from images instead of the built-in
+ * shapes. Frames are looked up as '<theme>.gold' then 'gold' (and the same
+ * for 'basket').
+ */
+const ASSET_MANIFEST = {
+    atlas: null
+};
+
+/**
+ * Sprite Cache Class
+ * Pre-renders gold (per palette, whole-pixel radius and shimmer step) and
+ * baskets (per palette and size) into offscreen canvases, so a frame blits
+ * images instead of building gradients and weave lines for every object.
+ * Sprites are rendered at the screen's pixel density and rebuilt when it
+ * changes.
+ */
+class SpriteCache {
+    constructor() {
+        this.scale = 1; // device pixels per game pixel
+        this.gold = new WeakMap(); // palette -> Map of sprites
+        this.baskets = new WeakMap();
+        this.atlas = null;
+        this.still = false; // reduced motion: no shimmer, spin or catch glow
     }
     
     /**
-     * Update basket position and effects
-     * @param {number} deltaTime - Frame time in seconds
+     * Match the sprites to the screen, dropping any rendered at another density
+     * @param {number} scale - Device pixels per game pixel
      */
-    update(deltaTime) {
-        // Apply velocity
-        this.x += this.vx * deltaTime;
-        this.y += this.vy * deltaTime;
-        
-        // Constrain to game area
-        const margin = CONFIG.BASKET_MARGIN;
-        this.x = Utils.clamp(this.x, margin, CONFIG.GAME_WIDTH - this.width - margin);
-        this.y = Utils.clamp(this.y, margin, CONFIG.GAME_HEIGHT - this.height - margin);
-        
-        // Update flash effect
-        if (this.flashTimer > 0) {
-            this.flashTimer -= deltaTime * 1000;
-        }
+    setScale(scale) {
+        if (scale === this.scale) return;
+        this.scale = scale;
+        this.gold = new WeakMap();
+        this.baskets = new WeakMap();
     }
     
     /**
-     * Draw basket to canvas
-     * @param {CanvasRenderingContext2D} ctx - Canvas context
-     * @param {boolean} debug - Whether to draw debug info
+     * Create an offscreen canvas drawn in game pixels
+     * @param {number} width - Width in game pixels
+     * @param {number} height - Height in game pixels
+     * @returns {Object} { canvas, ctx }
      */
-    draw(ctx, debug = false) {
-        ctx.save();
-        
-        // Flash effect when collecting
-        if (this.flashTimer > 0) {
-            ctx.shadowColor = '#FFD700';
-            ctx.shadowBlur = 20;
+    createCanvas(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(width * this.scale);
+        canvas.height = Math.ceil(height * this.scale);
+        const ctx = canvas.getContext('2d');
+        ctx.scale(this.scale, this.scale);
+        return { canvas, ctx };
+    }
+    
+    /**
+     * Get the sprite map for a palette
+     * @param {WeakMap} store - this.gold or this.baskets
+     * @param {Object} palette - Palette the sprites are drawn with
+     * @returns {Map} Sprites by key
+     */
+    spritesFor(store, palette) {
+        if (!store.has(palette)) {
+            store.set(palette, new Map());
         }
-        
-        // Basket body (brown woven pattern)
-        ctx.fillStyle = '#8B4513';
-        ctx.fillRect(this.x, this.y, this.width, this.height);
-        
-        // Basket weave pattern
-        ctx.strokeStyle = '#654321';
-        ctx.lineWidth = 2;
-        for (let i = 0; i < this.width; i += 8) {
-            ctx.beginPath();
-            ctx.moveTo(this.x + i, this.y);
-            ctx.lineTo(this.x + i, this.y + this.height);
-            ctx.stroke();
+        return store.get(palette);
+    }
+    
+    /**
+     * Get (rendering on first use) a gold sprite
+     * @param {Object} palette - Gold palette
+     * @param {number} radius - Whole-pixel radius
+     * @param {number} frame - Shimmer step (0 to GOLD_SHIMMER_FRAMES - 1)
+     * @returns {Object} Sprite with canvas and half (game pixels from center to edge)
+     */
+    goldSprite(palette, radius, frame) {
+        const sprites = this.spritesFor(this.gold, palette);
+        const key = `${radius}:${frame}`;
+        if (!sprites.has(key)) {
+            // Room for the shadow offset and the outline
+            const half = radius + 4;
+            const { canvas, ctx } = this.createCanvas(half * 2, half * 2);
+            ctx.translate(half, half);
+            Gold.drawShape(ctx, radius, frame / (GOLD_SHIMMER_FRAMES - 1) * 0.2, palette);
+            sprites.set(key, { canvas, half });
         }
-        for (let j = 0; j < this.height; j += 6) {
-            ctx.beginPath();
-            ctx.moveTo(this.x, this.y + j);
-            ctx.lineTo(this.x + this.width, this.y + j);
-            ctx.stroke();
+        return sprites.get(key);
+    }
+    
+    /**
+     * Get (rendering on first use) a basket sprite
+     * @param {Object} palette - Basket palette
+     * @param {number} width - Body width
+     * @param {number} height - Body height
+     * @returns {Object} Sprite with canvas, left and top (game pixels the
+     *     sprite reaches past the body), width and height
+     */
+    basketSprite(palette, width, height) {
+        const sprites = this.spritesFor(this.baskets, palette);
+        const key = `${width}x${height}`;
+        if (!sprites.has(key)) {
+            const left = 4;
+            const top = Math.ceil(width / 3) + 9;
+            const sprite = { left, top, width: width + left * 2, height: height + top + 2 };
+            const { canvas, ctx } = this.createCanvas(sprite.width, sprite.height);
+            Basket.drawShape(ctx, left, top, width, height, palette);
+            sprite.canvas = canvas;
+            sprites.set(key, sprite);
         }
-        
-        // Basket rim
-        ctx.fillStyle = '#A0522D';
-        ctx.fillRect(this.x - 2, this.y - 3, this.width + 4, 6);
-        
-        // Handle
-        ctx.strokeStyle = '#8B4513';
-        ctx.lineWidth = 4;
-        ctx.beginPath();
-        ctx.arc(this.x + this.width / 2, this.y - 5, this.width / 3, Math.PI, 0);
-        ctx.stroke();
-        
-        ctx.restore();
-        
-        // Debug collision rectangle
-        if (debug) {
-            ctx.strokeStyle = 'blue';
-            ctx.lineWidth = 2;
-            ctx.strokeRect(this.x, this.y, this.width, this.height);
+        return sprites.get(key);
+    }
+    
+    /**
+     * Render the sprites a theme needs up front
+     * @param {Theme} theme - Theme about to be drawn
+     */
+    warm(theme) {
+        for (let radius = Math.floor(CONFIG.GOLD_MIN_SIZE); radius <= Math.ceil(CONFIG.GOLD_MAX_SIZE); radius++) {
+            for (let frame = 0; frame < GOLD_SHIMMER_FRAMES; frame++) {
+                this.goldSprite(theme.gold, radius, frame);
+            }
         }
+        this.basketSprite(theme.basket, CONFIG.BASKET_WIDTH, CONFIG.BASKET_HEIGHT);
     }
     
     /**
-     * Set basket velocity
-     * @param {number} vx - X velocity
-     * @param {number} vy - Y velocity
+     * Get a frame of the loaded atlas
+     * @param {string} name - Frame name
+     * @returns {Object|null} Frame with x, y, w, h in atlas pixels
      */
-    setVelocity(vx, vy) {
-        this.vx = vx;
-        this.vy = vy;
+    atlasFrame(name) {
+        return this.atlas && this.atlas.frames[name] ? this.atlas.frames[name] : null;
     }
     
     /**
-     * Trigger collection flash effect
+     * Draw a gold piece from its sprite (or atlas frame), rotated and
+     * shimmering unless the cache is still
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Gold} gold - Gold piece
+     * @param {Object} palette - Gold palette
+     * @param {Object|null} frame - Atlas frame to use instead of the built-in shape
+     * @param {boolean} debug - Whether to draw debug info
+     * @param {number} interpolation - Fraction of a step since the last update (0-1)
      */
-    flash() {
-        this.flashTimer = CONFIG.PICKUP_FLASH_DURATION;
+    drawGold(ctx, gold, palette, frame, debug, interpolation) {
+        const x = Utils.lerp(gold.prevX, gold.x, interpolation);
+        const y = Utils.lerp(gold.prevY, gold.y, interpolation);
+        
+        ctx.save();
+        ctx.translate(x, y);
+        if (!this.still) {
+            ctx.rotate(gold.rotation);
+        }
+        if (frame) {
+            ctx.drawImage(this.atlas.image, frame.x, frame.y, frame.w, frame.h,
+                -gold.radius, -gold.radius, gold.radius * 2, gold.radius * 2);
+        } else {
+            const shimmer = this.still ? 0 : Math.round(gold.getShimmerAmount() / 0.2 * (GOLD_SHIMMER_FRAMES - 1));
+            const sprite = this.goldSprite(palette, Math.round(gold.radius), shimmer);
+            ctx.drawImage(sprite.canvas, -sprite.half, -sprite.half, sprite.half * 2, sprite.half * 2);
+        }
+        ctx.restore();
+        
+        if (debug) {
+            gold.drawDebug(ctx, x, y);
+        }
     }
     
     /**
-     * Get collision bounds
-     * @returns {Object} Collision rectangle data
+     * Draw the basket from its sprite (or atlas frame), glowing after a catch
+     * unless the cache is still
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Basket} basket - Player basket
+     * @param {Object} palette - Basket palette
+     * @param {Object|null} frame - Atlas frame to use instead of the built-in shape
+     * @param {boolean} debug - Whether to draw debug info
+     * @param {number} interpolation - Fraction of a step since the last update (0-1)
      */
-    getCollisionBounds() {
-        return {
-            x: this.x,
-            y: this.y,
-            width: this.width,
-            height: this.height
-        };
+    drawBasket(ctx, basket, palette, frame, debug, interpolation) {
+        const x = Utils.lerp(basket.prevX, basket.x, interpolation);
+        const y = Utils.lerp(basket.prevY, basket.y, interpolation);
+        
+        ctx.save();
+        if (basket.isFlashing() && !this.still) {
+            ctx.shadowColor = palette.flash;
+            ctx.shadowBlur = 20;
+        }
+        if (frame) {
+            ctx.drawImage(this.atlas.image, frame.x, frame.y, frame.w, frame.h, x, y, basket.width, basket.height);
+        } else {
+            const sprite = this.basketSprite(palette, basket.width, basket.height);
+            ctx.drawImage(sprite.canvas, x - sprite.left, y - sprite.top, sprite.width, sprite.height);
+        }
+        ctx.restore();
+        
+        if (debug) {
+            basket.drawDebug(ctx, x, y);
+        }
     }
 }
 
 /**
- * Object Pool Class
- * Manages reusable gold pieces for performance
+ * Asset Loader Class
+ * Runs named loading tasks in order and reports progress after each one.
  */
-class ObjectPool {
-    constructor(createFn, resetFn) {
-        this.pool = [];
-        this.active = [];
-        this.createFn = createFn;
-        this.resetFn = resetFn;
-    }
-    
+class AssetLoader {
     /**
-     * Get object from pool or create new one
-     * @param {...any} args - Arguments to pass to create function
-     * @returns {Object} Pooled object
+     * @param {Function} onProgress - Called with the finished share (0-1) and the task name
      */
-    get(...args) {
-        let obj;
-        if (this.pool.length > 0) {
-            obj = this.pool.pop();
-            this.resetFn(obj, ...args);
-        } else {
-            obj = this.createFn(...args);
-        }
-        this.active.push(obj);
-        return obj;
+    constructor(onProgress) {
+        this.onProgress = onProgress;
     }
     
     /**
-     * Return object to pool
-     * @param {Object} obj - Object to return
+     * Run every task, going on to the next when one fails
+     * Every asset has a built-in fallback, so a failure is logged, not thrown.
+     * @param {Array} tasks - { name, load } where load returns a promise
+     * @returns {Promise<Array<string>>} Names of the tasks that failed
      */
-    release(obj) {
-        const index = this.active.indexOf(obj);
-        if (index > -1) {
-            this.active.splice(index, 1);
-            this.pool.push(obj);
+    async loadAll(tasks) {
+        const failed = [];
+        for (let i = 0; i < tasks.length; i++) {
+            try {
+                await tasks[i].load();
+            } catch (error) {
+                console.error(`Could not load ${tasks[i].name}:`, error);
+                failed.push(tasks[i].name);
+            }
+            this.onProgress((i + 1) / tasks.length, tasks[i].name);
         }
+        return failed;
     }
     
     /**
-     * Get all active objects
-     * @returns {Array} Active objects
+     * Load an image
+     * @param {string} url - Image URL
+     * @returns {Promise<HTMLImageElement>} Decoded image
      */
-    getActive() {
-        return this.active;
+    static loadImage(url) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error(`Could not load image ${url}`));
+            image.src = url;
+        });
     }
     
     /**
-     * Clear all objects
+     * Load a sprite atlas description and its image
+     * @param {string} url - URL of the atlas JSON
+     * @returns {Promise<Object>} Atlas with image and frames
      */
-    clear() {
-        this.active.length = 0;
-        this.pool.length = 0;
+    static async loadAtlas(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load atlas ${url}: ${response.status}`);
+        }
+        const atlas = await response.json();
+        if (typeof atlas.image !== 'string' || !atlas.frames || typeof atlas.frames !== 'object') {
+            throw new Error(`Atlas ${url} needs an image and frames`);
+        }
+        
+        const image = await AssetLoader.loadImage(new URL(atlas.image, new URL(url, window.location.href)).href);
+        return { image, frames: atlas.frames };
     }
 }
 
 /**
- * Game State Manager
+ * Visual themes: a label (message key), sky colors (top, middle, bottom),
+ * scenery layers drawn over the sky in order, and the gold and basket
+ * palettes (hazard and powerUp palettes are optional). Themes with dayCycle
+ * false keep their look when the sun and moon cycle is on. The high contrast
+ * theme is used whenever high contrast is on and is not offered on its own.
  */
-const GameState = {
-    LOADING: 'loading',
-    MENU: 'menu',
-    PLAYING: 'playing',
-    PAUSED: 'paused',
-    GAME_OVER: 'game_over'
+const THEMES = {
+    day: {
+        label: 'theme.day',
+        sky: ['#87CEEB', '#E0F6FF', '#F0F8FF'],
+        scenery: ['clouds'],
+        cloudColor: 'rgba(255, 255, 255, 0.8)',
+        gold: Gold.palette,
+        basket: Basket.palette
+    },
+    sunset: {
+        label: 'theme.sunset',
+        sky: ['#FF7E5F', '#FEB47B', '#FFE3B3'],
+        scenery: ['sun', 'clouds'],
+        cloudColor: 'rgba(255, 214, 196, 0.7)',
+        gold: { ...Gold.palette, stops: [[45, 100, 80], [35, 100, 62], [25, 85, 45]], shadow: '#8B4500' },
+        basket: { ...Basket.palette, flash: '#FFB347' }
+    },
+    night: {
+        label: 'theme.night',
+        sky: ['#0B1D3A', '#23395D', '#3F5A7D'],
+        scenery: ['stars', 'moon'],
+        gold: { ...Gold.palette, stops: [[55, 100, 88], [48, 100, 72], [40, 90, 55]], shadow: '#000814', highlight: 'rgba(255, 255, 255, 0.6)' },
+        basket: { body: '#5C3A21', weave: '#3E2716', rim: '#7A4E2D', handle: '#5C3A21', flash: '#FFF3B0', outline: null }
+    },
+    underwater: {
+        label: 'theme.underwater',
+        sky: ['#1B8BC6', '#0A4F7A', '#06304A'],
+        scenery: ['rays', 'bubbles'],
+        dayCycle: false,
+        gold: { ...Gold.palette, stops: [[50, 90, 80], [42, 85, 62], [35, 70, 45]], shadow: '#03324D', highlight: 'rgba(200, 255, 255, 0.5)' },
+        basket: { body: '#2F4F4F', weave: '#1C3030', rim: '#5F9EA0', handle: '#2F4F4F', flash: '#7FFFD4', outline: null }
+    },
+    highContrast: {
+        label: 'theme.highContrast',
+        selectable: false,
+        atlas: false, // keep the built-in outlined shapes
+        sky: ['#000000', '#000000', '#000000'],
+        scenery: [],
+        dayCycle: false,
+        gold: { stops: [[60, 100, 55], [55, 100, 50], [50, 100, 45]], shadow: '#000000', highlight: 'rgba(255, 255, 255, 0.7)', outline: '#FFFFFF', mark: '#000000' },
+        basket: { body: '#000000', weave: '#FFFFFF', rim: '#00FFFF', handle: '#FFFFFF', flash: '#FFFF00', outline: '#00FFFF' },
+        hazard: {
+            rock: { fill: '#000000', stroke: '#FFFFFF' },
+            bomb: { fill: '#000000', fuse: '#FFFFFF', spark: '#FFFF00' },
+            storm: { fill: '#000000', bolt: '#FFFF00' },
+            hatch: '#FFFFFF'
+        },
+        powerUp: { ...PowerUp.palette, dashed: true }
+    }
 };
 
 /**
- * Main Game Class
- * Core game logic and state management
+ * Color vision types: object palettes that stay apart for players with each
+ * kind of color blindness (from the Okabe-Ito colorblind-safe set), swapped
+ * in over any theme but high contrast. Each also codes object types by shape
+ * and pattern: a star on gold, stripes on hazards, a dashed ring on power-ups.
  */
-class Game {
-    constructor() {
+const COLOR_VISIONS = {
+    standard: {
+        label: 'colorVision.standard'
+    },
+    deuteranopia: {
+        label: 'colorVision.deuteranopia',
+        gold: { stops: [[56, 100, 80], [52, 100, 62], [48, 90, 45]], shadow: '#5A4A00', highlight: 'rgba(255, 255, 255, 0.5)', outline: '#3A2F00', mark: '#7A5C00' },
+        basket: { body: '#0072B2', weave: '#004C78', rim: '#56B4E9', handle: '#0072B2', flash: '#F0E442', outline: '#002A42' },
+        hazard: { ...Hazard.palette, hatch: '#F0E442' },
+        powerUp: {
+            ...PowerUp.palette,
+            colors: { magnet: '#E69F00', wide: '#56B4E9', slow: '#0072B2', time: '#CC79A7', double: '#000000' },
+            dashed: true
+        }
+    },
+    protanopia: {
+        label: 'colorVision.protanopia',
+        gold: { stops: [[58, 100, 84], [54, 100, 68], [50, 95, 52]], shadow: '#5A4A00', highlight: 'rgba(255, 255, 255, 0.5)', outline: '#3A2F00', mark: '#7A5C00' },
+        basket: { body: '#0072B2', weave: '#004C78', rim: '#56B4E9', handle: '#0072B2', flash: '#FFF27A', outline: '#002A42' },
+        hazard: { ...Hazard.palette, bomb: { ...Hazard.palette.bomb, spark: '#F0E442' }, hatch: '#F0E442' },
+        powerUp: {
+            ...PowerUp.palette,
+            colors: { magnet: '#E69F00', wide: '#56B4E9', slow: '#0072B2', time: '#CC79A7', double: '#000000' },
+            dashed: true
+        }
+    },
+    tritanopia: {
+        label: 'colorVision.tritanopia',
+        gold: { stops: [[18, 100, 78], [10, 95, 60], [4, 85, 44]], shadow: '#5C1A00', highlight: 'rgba(255, 255, 255, 0.5)', outline: '#4A1000', mark: '#FFFFFF' },
+        basket: { body: '#2F4F4F', weave: '#1A2E2E', rim: '#7FB8B8', handle: '#2F4F4F', flash: '#FF6F61', outline: '#0F1F1F' },
+        hazard: { ...Hazard.palette, hatch: '#FFFFFF' },
+        powerUp: {
+            ...PowerUp.palette,
+            colors: { magnet: '#D55E00', wide: '#009E9E', slow: '#000000', time: '#CC79A7', double: '#7F7F7F' },
+            dashed: true
+        }
+    }
+};
+
+/**
+ * Theme Class
+ * Draws the sky and its scenery, and draws gold and the basket from cached
+ * sprites in the theme's palettes (or from the sprite atlas, when one is
+ * loaded).
+ */
+class Theme {
+    /**
+     * @param {Object} definition - Entry of THEMES plus its id
+     * @param {SpriteCache} sprites - Shared sprite cache
+     */
+    constructor(definition, sprites) {
+        Object.assign(this, { hazard: Hazard.palette, powerUp: PowerUp.palette }, definition);
+        this.sprites = sprites;
+        
+        // Star field stays put between frames and visits
+        const rng = new Rng('stars');
+        this.stars = this.scenery.includes('stars')
+            ? Array.from({ length: 70 }, () => ({
+                x: rng.range(0, CONFIG.GAME_WIDTH),
+                y: rng.range(0, CONFIG.GAME_HEIGHT * 0.7),
+                size: rng.range(0.5, 2),
+                phase: rng.range(0, Math.PI * 2)
+            }))
+            : [];
+    }
+    
+    /**
+     * Get the themes players can pick
+     * @returns {Object} Theme id -> label message key
+     */
+    static choices() {
+        const choices = {};
+        Object.entries(THEMES).forEach(([id, theme]) => {
+            if (theme.selectable !== false) choices[id] = theme.label;
+        });
+        return choices;
+    }
+    
+    /**
+     * Draw the sky gradient and scenery
+     * With the day cycle on, the sun and moon follow the run instead of the
+     * theme's fixed ones.
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} time - Seconds since the page loaded, for animation
+     * @param {Array} sky - Top, middle and bottom colors to use instead of the theme's
+     * @param {Object} scene - drift (pixels the nearest clouds have moved) and
+     *     cycle (0 = morning to 1 = night, or null when the cycle is off)
+     */
+    drawSky(ctx, time, sky = this.sky, scene = { drift: 0, cycle: null }) {
+        const [top, middle, bottom] = sky;
+        const gradient = ctx.createLinearGradient(0, 0, 0, CONFIG.GAME_HEIGHT);
+        gradient.addColorStop(0, top);
+        gradient.addColorStop(0.7, middle);
+        gradient.addColorStop(1, bottom);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, CONFIG.GAME_WIDTH, CONFIG.GAME_HEIGHT);
+        
+        let scenery = this.scenery;
+        if (scene.cycle !== null && this.dayCycle !== false) {
+            this.drawDayCycle(ctx, scene.cycle);
+            scenery = scenery.filter(layer => layer !== 'sun' && layer !== 'moon');
+        }
+        
+        const layers = {
+            clouds: this.drawClouds,
+            sun: this.drawSun,
+            stars: this.drawStars,
+            moon: this.drawMoon,
+            rays: this.drawRays,
+            bubbles: this.drawBubbles
+        };
+        scenery.forEach(layer => layers[layer].call(this, ctx, time, scene));
+    }
+    
+    /**
+     * Draw the sun setting and the moon rising as the run goes on
+     * The sky darkens toward night over the second half.
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} progress - 0 at the start of the run, 1 at its end
+     */
+    drawDayCycle(ctx, progress) {
+        const dusk = Utils.clamp((progress - 0.5) / 0.4, 0, 1);
+        if (dusk > 0) {
+            ctx.fillStyle = `rgba(10, 20, 50, ${dusk * 0.6})`;
+            ctx.fillRect(0, 0, CONFIG.GAME_WIDTH, CONFIG.GAME_HEIGHT);
+        }
+        
+        const sunPath = Utils.clamp(progress / 0.7, 0, 1);
+        if (sunPath < 1) {
+            ctx.fillStyle = `hsl(${50 - sunPath * 25}, 100%, ${75 - sunPath * 15}%)`;
+            ctx.beginPath();
+            ctx.arc(Utils.lerp(0.15, 0.9, sunPath) * CONFIG.GAME_WIDTH,
+                Utils.lerp(0.15, 0.85, sunPath) * CONFIG.GAME_HEIGHT, 35, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        
+        const moonPath = Utils.clamp((progress - 0.6) / 0.4, 0, 1);
+        if (moonPath > 0) {
+            ctx.fillStyle = '#F4F1C9';
+            ctx.beginPath();
+            ctx.arc(Utils.lerp(0.1, 0.35, moonPath) * CONFIG.GAME_WIDTH,
+                Utils.lerp(0.85, 0.15, moonPath) * CONFIG.GAME_HEIGHT, 28, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+    
+    /**
+     * Draw the cloud layers, each drifting at its own parallax speed
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} time - Seconds (unused; clouds move with the drift)
+     * @param {Object} scene - Scene with drift in pixels for the nearest layer
+     */
+    drawClouds(ctx, time, scene) {
+        const span = CONFIG.GAME_WIDTH + 200;
+        
+        ctx.fillStyle = this.cloudColor;
+        CLOUD_LAYERS.forEach(layer => {
+            ctx.globalAlpha = layer.alpha;
+            const offset = scene.drift * layer.parallax;
+            layer.clouds.forEach(cloud => {
+                // Wrap around with room for the cloud to leave the screen whole
+                const x = ((cloud.x + offset + 100) % span + span) % span - 100;
+                const size = cloud.size * layer.scale;
+                ctx.beginPath();
+                ctx.arc(x, cloud.y, size, 0, Math.PI * 2);
+                ctx.arc(x + size * 0.6, cloud.y, size * 0.8, 0, Math.PI * 2);
+                ctx.arc(x + size * 1.2, cloud.y, size * 0.6, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        });
+        ctx.globalAlpha = 1;
+    }
+    
+    /**
+     * Draw a low sun with a soft glow
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawSun(ctx) {
+        const x = CONFIG.GAME_WIDTH * 0.7;
+        const y = CONFIG.GAME_HEIGHT * 0.55;
+        const glow = ctx.createRadialGradient(x, y, 20, x, y, 160);
+        glow.addColorStop(0, 'rgba(255, 240, 180, 0.9)');
+        glow.addColorStop(1, 'rgba(255, 160, 90, 0)');
+        ctx.fillStyle = glow;
+        ctx.fillRect(x - 160, y - 160, 320, 320);
+        
+        ctx.fillStyle = '#FFE08A';
+        ctx.beginPath();
+        ctx.arc(x, y, 45, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    
+    /**
+     * Draw twinkling stars
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} time - Seconds, for the twinkle
+     */
+    drawStars(ctx, time) {
+        ctx.fillStyle = '#FFFFFF';
+        this.stars.forEach(star => {
+            ctx.globalAlpha = 0.5 + Math.sin(time * 2 + star.phase) * 0.4;
+            ctx.fillRect(star.x, star.y, star.size, star.size);
+        });
+        ctx.globalAlpha = 1;
+    }
+    
+    /**
+     * Draw a crescent moon
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawMoon(ctx) {
+        const x = CONFIG.GAME_WIDTH * 0.15;
+        const y = CONFIG.GAME_HEIGHT * 0.15;
+        ctx.fillStyle = '#F4F1C9';
+        ctx.beginPath();
+        ctx.arc(x, y, 30, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Bite out of the disc in the sky's top color
+        ctx.fillStyle = this.sky[0];
+        ctx.beginPath();
+        ctx.arc(x + 12, y - 6, 26, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    
+    /**
+     * Draw slanted light rays from the surface
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} time - Seconds, for the sway
+     */
+    drawRays(ctx, time) {
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.06)';
+        for (let i = 0; i < 5; i++) {
+            const x = 80 + i * 170 + Math.sin(time * 0.5 + i) * 20;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x + 60, 0);
+            ctx.lineTo(x + 160, CONFIG.GAME_HEIGHT);
+            ctx.lineTo(x + 40, CONFIG.GAME_HEIGHT);
+            ctx.fill();
+        }
+    }
+    
+    /**
+     * Draw bubbles rising and wobbling
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} time - Seconds, for the movement
+     */
+    drawBubbles(ctx, time) {
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.lineWidth = 1.5;
+        for (let i = 0; i < 12; i++) {
+            const speed = 20 + (i % 4) * 10;
+            const x = (i * 67) % CONFIG.GAME_WIDTH + Math.sin(time * 2 + i) * 6;
+            const y = CONFIG.GAME_HEIGHT - ((time * speed + i * 97) % (CONFIG.GAME_HEIGHT + 20));
+            ctx.beginPath();
+            ctx.arc(x, y, 3 + (i % 3) * 2, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    }
+    
+    /**
+     * Draw a gold piece in this theme's colors
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Gold} gold - Gold piece
+     * @param {boolean} debug - Whether to draw debug info
+     * @param {number} interpolation - Fraction of a step since the last update (0-1)
+     */
+    drawGold(ctx, gold, debug, interpolation) {
+        this.sprites.drawGold(ctx, gold, this.gold, this.atlasFrame('gold'), debug, interpolation);
+    }
+    
+    /**
+     * Draw the basket in this theme's colors
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Basket} basket - Player basket
+     * @param {boolean} debug - Whether to draw debug info
+     * @param {number} interpolation - Fraction of a step since the last update (0-1)
+     */
+    drawBasket(ctx, basket, debug, interpolation) {
+        this.sprites.drawBasket(ctx, basket, this.basket, this.atlasFrame('basket'), debug, interpolation);
+    }
+    
+    /**
+     * Draw a hazard in this theme's colors
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Hazard} hazard - Hazard
+     * @param {boolean} debug - Whether to draw debug info
+     * @param {number} interpolation - Fraction of a step since the last update (0-1)
+     */
+    drawHazard(ctx, hazard, debug, interpolation) {
+        hazard.draw(ctx, debug, interpolation, this.hazard);
+    }
+    
+    /**
+     * Draw a power-up in this theme's colors
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {PowerUp} powerUp - Power-up
+     * @param {boolean} debug - Whether to draw debug info
+     * @param {number} interpolation - Fraction of a step since the last update (0-1)
+     */
+    drawPowerUp(ctx, powerUp, debug, interpolation) {
+        powerUp.draw(ctx, debug, interpolation, this.powerUp);
+    }
+    
+    /**
+     * Find this theme's atlas frame for a sprite
+     * @param {string} name - 'gold' or 'basket'
+     * @returns {Object|null} Frame, or null to draw the built-in shape
+     */
+    atlasFrame(name) {
+        if (this.atlas === false) return null;
+        return this.sprites.atlasFrame(`${this.id}.${name}`) || this.sprites.atlasFrame(name);
+    }
+}
+
+/**
+ * Keyboard actions and the message keys of their labels in the settings screen
+ */
+const INPUT_ACTIONS = {
+    moveLeft: 'action.moveLeft',
+    moveRight: 'action.moveRight',
+    moveUp: 'action.moveUp',
+    moveDown: 'action.moveDown',
+    pause: 'action.pause',
+    confirm: 'action.confirm'
+};
+
+/**
+ * Default key bindings: two slots per action, as KeyboardEvent.code values
+ * (physical keys, so WASD stays in place on AZERTY and other layouts)
+ */
+const DEFAULT_KEY_BINDINGS = {
+    moveLeft: ['ArrowLeft', 'KeyA'],
+    moveRight: ['ArrowRight', 'KeyD'],
+    moveUp: ['ArrowUp', 'KeyW'],
+    moveDown: ['ArrowDown', 'KeyS'],
+    pause: ['Escape', 'KeyP'],
+    confirm: ['Space', null]
+};
+
+/**
+ * Key Bindings Class
+ * Maps physical keys to input actions, detects conflicts when rebinding and
+ * keeps the bindings in localStorage.
+ */
+class KeyBindings {
+    /**
+     * @param {I18n} i18n - Messages for the key names
+     */
+    constructor(i18n) {
+        this.i18n = i18n;
+        this.bindings = this.load();
+        this.layoutMap = null;
+        this.onLayoutChange = null; // Called once the keyboard layout is known, to relabel keys
+        
+        // Label keys as printed on the player's keyboard where the browser can tell us
+        if (navigator.keyboard && navigator.keyboard.getLayoutMap) {
+            navigator.keyboard.getLayoutMap()
+                .then(map => {
+                    this.layoutMap = map;
+                    if (this.onLayoutChange) this.onLayoutChange();
+                })
+                .catch(() => {});
+        }
+    }
+    
+    /**
+     * Read saved bindings, filling gaps from the defaults
+     * @returns {Object} Action -> [primary, secondary] key codes
+     */
+    load() {
+        const bindings = KeyBindings.defaults();
+        try {
+            const saved = JSON.parse(localStorage.getItem('goldSkyKeyBindings'));
+            if (saved && saved.version === 1 && saved.bindings) {
+                Object.keys(bindings).forEach(action => {
+                    const slots = saved.bindings[action];
+                    if (Array.isArray(slots) && slots.length === 2 &&
+                        slots.every(code => code === null || typeof code === 'string')) {
+                        bindings[action] = slots.slice();
+                    }
+                });
+            }
+        } catch (e) {
+            console.warn('Ignoring unreadable key bindings:', e);
+        }
+        return bindings;
+    }
+    
+    /**
+     * Save the bindings
+     */
+    save() {
+        localStorage.setItem('goldSkyKeyBindings', JSON.stringify({ version: 1, bindings: this.bindings }));
+    }
+    
+    /**
+     * Get a fresh copy of the default bindings
+     * @returns {Object} Action -> [primary, secondary] key codes
+     */
+    static defaults() {
+        const bindings = {};
+        Object.entries(DEFAULT_KEY_BINDINGS).forEach(([action, slots]) => {
+            bindings[action] = slots.slice();
+        });
+        return bindings;
+    }
+    
+    /**
+     * Find the action bound to a key
+     * @param {string} code - KeyboardEvent.code
+     * @returns {string|null} Action name
+     */
+    actionFor(code) {
+        return Object.keys(this.bindings).find(action => this.bindings[action].includes(code)) || null;
+    }
+    
+    /**
+     * Check if any key bound to an action is held
+     * @param {string} action - Action name
+     * @param {Object} keys - Held keys by code
+     * @returns {boolean} True when held
+     */
+    isHeld(action, keys) {
+        return this.bindings[action].some(code => code !== null && keys[code]);
+    }
+    
+    /**
+     * Bind a key to one slot of an action
+     * A key can only do one thing, so a key already used by another slot is refused.
+     * @param {string} action - Action name
+     * @param {number} slot - 0 for primary, 1 for secondary
+     * @param {string} code - KeyboardEvent.code
+     * @returns {Object|null} The conflicting { action, slot }, or null when bound
+     */
+    bind(action, slot, code) {
+        for (const [other, slots] of Object.entries(this.bindings)) {
+            const otherSlot = slots.indexOf(code);
+            if (otherSlot !== -1 && (other !== action || otherSlot !== slot)) {
+                return { action: other, slot: otherSlot };
+            }
+        }
+        
+        this.bindings[action][slot] = code;
+        this.save();
+        return null;
+    }
+    
+    /**
+     * Remove the key from one slot of an action
+     * @param {string} action - Action name
+     * @param {number} slot - 0 for primary, 1 for secondary
+     */
+    clear(action, slot) {
+        this.bindings[action][slot] = null;
+        this.save();
+    }
+    
+    /**
+     * Go back to the default bindings
+     */
+    reset() {
+        this.bindings = KeyBindings.defaults();
+        this.save();
+    }
+    
+    /**
+     * Get a short readable name for a key
+     * @param {string|null} code - KeyboardEvent.code
+     * @returns {string} Key label ('—' when unbound)
+     */
+    describe(code) {
+        if (code === null) return '—';
+        
+        const arrows = {
+            ArrowLeft: '←',
+            ArrowRight: '→',
+            ArrowUp: '↑',
+            ArrowDown: '↓'
+        };
+        const names = {
+            Escape: 'key.escape',
+            Space: 'key.space',
+            Enter: 'key.enter',
+            ShiftLeft: 'key.shiftLeft',
+            ShiftRight: 'key.shiftRight',
+            ControlLeft: 'key.controlLeft',
+            ControlRight: 'key.controlRight'
+        };
+        if (arrows[code]) return arrows[code];
+        if (names[code]) return this.i18n.t(names[code]);
+        if (this.layoutMap && this.layoutMap.has(code)) return this.layoutMap.get(code).toUpperCase();
+        if (code.startsWith('Key')) return code.slice(3);
+        if (code.startsWith('Digit')) return code.slice(5);
+        return code;
+    }
+    
+    /**
+     * Describe the keys bound to an action
+     * @param {string} action - Action name
+     * @returns {string} Labels joined with '/'
+     */
+    describeAction(action) {
+        const labels = this.bindings[action].filter(code => code !== null).map(code => this.describe(code));
+        return labels.length > 0 ? labels.join('/') : this.i18n.t('key.unbound');
+    }
+}
+
+/**
+ * Standard-mapping gamepad button indices used by the game
+ */
+const GAMEPAD_BUTTONS = { a: 0, b: 1, start: 9, up: 12, down: 13, left: 14, right: 15 };
+
+/**
+ * Gamepad tuning
+ */
+const GAMEPAD_DEADZONE = 0.2; // default stick deadzone, share of full tilt
+const GAMEPAD_DEADZONE_MAX = 0.5; // largest deadzone the settings screen offers
+const GAMEPAD_MENU_THRESHOLD = 0.5; // stick tilt that counts as a menu direction
+
+/**
+ * Gamepad Input Class
+ * Polls the Gamepad API once per frame. The left stick gives analog
+ * movement outside a radial deadzone; the D-pad is digital. Button presses
+ * (with stick flicks as up/down/left/right) are reported once per press
+ * for pausing and menu navigation.
+ */
+class GamepadInput {
+    constructor() {
+        this.deadzone = GAMEPAD_DEADZONE;
+        this.stick = { x: 0, y: 0 };
+        this.dpad = { x: 0, y: 0 };
+        this.held = {};
+    }
+    
+    /**
+     * Read the first connected gamepad
+     * @returns {Array} Names of buttons pressed since the last poll
+     */
+    poll() {
+        const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+        const pad = pads.find(candidate => candidate && candidate.connected);
+        if (!pad) {
+            this.stick = { x: 0, y: 0 };
+            this.dpad = { x: 0, y: 0 };
+            this.held = {};
+            return [];
+        }
+        
+        const down = {};
+        Object.entries(GAMEPAD_BUTTONS).forEach(([name, index]) => {
+            down[name] = Boolean(pad.buttons[index] && pad.buttons[index].pressed);
+        });
+        this.stick = this.applyDeadzone(pad.axes[0] || 0, pad.axes[1] || 0);
+        this.dpad = {
+            x: (down.right ? 1 : 0) - (down.left ? 1 : 0),
+            y: (down.down ? 1 : 0) - (down.up ? 1 : 0)
+        };
+        
+        // A firm stick flick counts as a direction press for menus
+        down.left = down.left || this.stick.x < -GAMEPAD_MENU_THRESHOLD;
+        down.right = down.right || this.stick.x > GAMEPAD_MENU_THRESHOLD;
+        down.up = down.up || this.stick.y < -GAMEPAD_MENU_THRESHOLD;
+        down.down = down.down || this.stick.y > GAMEPAD_MENU_THRESHOLD;
+        
+        const pressed = Object.keys(down).filter(name => down[name] && !this.held[name]);
+        this.held = down;
+        return pressed;
+    }
+    
+    /**
+     * Apply a radial deadzone, rescaling the rest of the range to start from zero
+     * @param {number} x - Raw horizontal axis
+     * @param {number} y - Raw vertical axis
+     * @returns {Object} Stick position with x, y in [-1, 1]
+     */
+    applyDeadzone(x, y) {
+        const magnitude = Math.hypot(x, y);
+        if (magnitude <= this.deadzone) {
+            return { x: 0, y: 0 };
+        }
+        
+        const scale = Math.min((magnitude - this.deadzone) / (1 - this.deadzone), 1) / magnitude;
+        return { x: Utils.clamp(x * scale, -1, 1), y: Utils.clamp(y * scale, -1, 1) };
+    }
+}
+
+/**
+ * Viewport Class
+ * Maps the fixed CONFIG.GAME_WIDTH x GAME_HEIGHT game space onto a canvas
+ * of any size. The game is scaled to fit without changing its aspect ratio:
+ * centered with letterbox bars in landscape, and pinned to the top in
+ * portrait so the space below stays free for thumbs and touch controls.
+ * The backing store follows devicePixelRatio for sharp drawing.
+ */
+class Viewport {
+    /**
+     * @param {HTMLCanvasElement} canvas - Game canvas
+     * @param {HTMLElement} container - Element whose width the canvas fills
+     */
+    constructor(canvas, container) {
+        this.canvas = canvas;
+        this.container = container;
+        this.width = CONFIG.GAME_WIDTH; // CSS pixels
+        this.height = CONFIG.GAME_HEIGHT;
+        this.dpr = 1;
+        this.scale = 1; // CSS pixels per game pixel
+        this.offsetX = 0; // CSS pixels from the canvas edge to the game area
+        this.offsetY = 0;
+        this.portrait = false;
+    }
+    
+    /**
+     * Size the canvas to the space available and work out the game transform
+     * The canvas takes the container's width and the window height below its
+     * top edge, so its size never depends on its own previous size.
+     */
+    fit() {
+        const rect = this.container.getBoundingClientRect();
+        const width = rect.width > 0 ? rect.width : CONFIG.GAME_WIDTH;
+        const height = window.innerHeight - Math.max(rect.top, 0) > 0
+            ? window.innerHeight - Math.max(rect.top, 0)
+            : CONFIG.GAME_HEIGHT;
+        
+        this.width = Math.floor(width);
+        this.height = Math.floor(height);
+        this.dpr = window.devicePixelRatio || 1;
+        this.portrait = this.height > this.width;
+        this.scale = Math.min(this.width / CONFIG.GAME_WIDTH, this.height / CONFIG.GAME_HEIGHT);
+        this.offsetX = (this.width - CONFIG.GAME_WIDTH * this.scale) / 2;
+        this.offsetY = this.portrait ? 0 : (this.height - CONFIG.GAME_HEIGHT * this.scale) / 2;
+        
+        // Resizing the backing store also resets the context transform
+        this.canvas.width = Math.round(this.width * this.dpr);
+        this.canvas.height = Math.round(this.height * this.dpr);
+        this.canvas.style.width = `${this.width}px`;
+        this.canvas.style.height = `${this.height}px`;
+    }
+    
+    /**
+     * Clear the whole canvas and set up drawing in game coordinates
+     * The transform is set outright each frame, never stacked, and drawing is
+     * clipped to the game area so nothing spills into the letterbox bars.
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    begin(ctx) {
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        const scale = this.scale * this.dpr;
+        ctx.save();
+        ctx.setTransform(scale, 0, 0, scale, this.offsetX * this.dpr, this.offsetY * this.dpr);
+        ctx.beginPath();
+        ctx.rect(0, 0, CONFIG.GAME_WIDTH, CONFIG.GAME_HEIGHT);
+        ctx.clip();
+    }
+    
+    /**
+     * Finish a frame started with begin
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    end(ctx) {
+        ctx.restore();
+    }
+    
+    /**
+     * Convert a position on the page to game coordinates
+     * Positions in the letterbox bars fall outside 0..GAME_WIDTH/HEIGHT.
+     * @param {number} clientX - Horizontal page position in CSS pixels
+     * @param {number} clientY - Vertical page position in CSS pixels
+     * @returns {Object} Position with x, y in game pixels
+     */
+    toGame(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (clientX - rect.left - this.offsetX) / this.scale,
+            y: (clientY - rect.top - this.offsetY) / this.scale
+        };
+    }
+    
+    /**
+     * Call back when the device pixel ratio changes (browser zoom or moving
+     * the window to another screen), which does not always fire resize
+     * @param {Function} callback - Called after each change
+     */
+    watchPixelRatio(callback) {
+        if (!window.matchMedia) return;
+        
+        const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        if (!query.addEventListener) return;
+        query.addEventListener('change', () => {
+            callback();
+            this.watchPixelRatio(callback);
+        }, { once: true });
+    }
+}
+
+/**
+ * Pointer and tilt control tuning
+ */
+const POINTER_FOLLOW_DISTANCE = 60; // pixels from the target at which the basket moves at full speed
+const SWIPE_SENSITIVITY = 1.5; // basket pixels moved per pixel swiped
+const TILT_MAX_ANGLE = 25; // degrees of tilt for full speed
+const TILT_DEADZONE = 3; // degrees of tilt ignored around level
+
+/**
+ * Control schemes offered alongside the keyboard and gamepad, with the
+ * message keys of their labels
+ */
+const CONTROL_SCHEMES = {
+    buttons: 'controlScheme.buttons',
+    drag: 'controlScheme.drag',
+    swipe: 'controlScheme.swipe',
+    tilt: 'controlScheme.tilt'
+};
+
+/**
+ * Pointer Input Class
+ * Turns pointer events on the game area into a target position for the
+ * basket. In 'drag' mode the target is the pointer itself (a mouse is
+ * followed without holding a button); in 'swipe' mode a drag moves the
+ * target by how far the pointer travelled since it went down.
+ */
+class PointerInput {
+    /**
+     * @param {HTMLElement} element - Element receiving pointer events
+     * @param {Viewport} viewport - Converts page positions to game coordinates
+     * @param {Function} getBasketCenter - Returns the basket center in game coordinates, or null
+     */
+    constructor(element, viewport, getBasketCenter) {
+        this.element = element;
+        this.viewport = viewport;
+        this.getBasketCenter = getBasketCenter;
+        this.mode = 'drag';
+        this.target = null;
+        this.pointerId = null;
+        this.anchor = null;
+        
+        element.addEventListener('pointerdown', (e) => this.handleDown(e));
+        element.addEventListener('pointermove', (e) => this.handleMove(e));
+        ['pointerup', 'pointercancel'].forEach(type => {
+            element.addEventListener(type, (e) => this.handleUp(e));
+        });
+        element.addEventListener('pointerleave', (e) => {
+            if (e.pointerType === 'mouse' && this.pointerId === null) this.target = null;
+        });
+    }
+    
+    /**
+     * Convert a pointer event to game coordinates
+     * @param {PointerEvent} e - Pointer event
+     * @returns {Object} Position with x, y in game pixels
+     */
+    toGame(e) {
+        return this.viewport.toGame(e.clientX, e.clientY);
+    }
+    
+    /**
+     * Start following a pointer (one at a time)
+     * @param {PointerEvent} e - Pointer event
+     */
+    handleDown(e) {
+        if (this.pointerId !== null || e.target.closest('button, select, input')) return;
+        
+        this.pointerId = e.pointerId;
+        if (this.element.setPointerCapture) {
+            this.element.setPointerCapture(e.pointerId);
+        }
+        
+        const point = this.toGame(e);
+        const basket = this.getBasketCenter();
+        this.anchor = { point, basket };
+        this.target = this.mode === 'drag' ? point : basket;
+    }
+    
+    /**
+     * Move the target with the pointer
+     * @param {PointerEvent} e - Pointer event
+     */
+    handleMove(e) {
+        const point = this.toGame(e);
+        
+        if (this.pointerId === null) {
+            // Mice are followed without a button held in drag mode
+            if (this.mode === 'drag' && e.pointerType === 'mouse') this.target = point;
+            return;
+        }
+        if (e.pointerId !== this.pointerId) return;
+        
+        if (this.mode === 'drag') {
+            this.target = point;
+        } else if (this.anchor.basket) {
+            this.target = {
+                x: this.anchor.basket.x + (point.x - this.anchor.point.x) * SWIPE_SENSITIVITY,
+                y: this.anchor.basket.y + (point.y - this.anchor.point.y) * SWIPE_SENSITIVITY
+            };
+        }
+    }
+    
+    /**
+     * Stop following a lifted pointer
+     * @param {PointerEvent} e - Pointer event
+     */
+    handleUp(e) {
+        if (e.pointerId !== this.pointerId) return;
+        
+        this.pointerId = null;
+        this.anchor = null;
+        if (this.mode !== 'drag' || e.pointerType !== 'mouse') this.target = null;
+    }
+    
+    /**
+     * Get movement toward the target
+     * Speed scales with distance so the basket eases into place instead of
+     * overshooting.
+     * @returns {Object} Input with x, y axes in [-1, 1]
+     */
+    read() {
+        const basket = this.getBasketCenter();
+        if (!this.target || !basket) return { x: 0, y: 0 };
+        
+        return {
+            x: Utils.clamp((this.target.x - basket.x) / POINTER_FOLLOW_DISTANCE, -1, 1),
+            y: Utils.clamp((this.target.y - basket.y) / POINTER_FOLLOW_DISTANCE, -1, 1)
+        };
+    }
+    
+    /**
+     * Forget the current target (used when a run starts)
+     */
+    reset() {
+        this.target = null;
+        this.pointerId = null;
+        this.anchor = null;
+    }
+}
+
+/**
+ * Tilt Input Class
+ * Steers with the device orientation sensor. Left/right tilt moves the basket
+ * sideways; forward/back tilt is measured from how the device was held when
+ * calibrate() was last called.
+ */
+class TiltInput {
+    constructor() {
+        this.supported = typeof window.DeviceOrientationEvent !== 'undefined';
+        this.beta = 0;
+        this.gamma = 0;
+        this.neutralBeta = null;
+        
+        window.addEventListener('deviceorientation', (e) => {
+            if (e.beta === null || e.gamma === null) return;
+            this.beta = e.beta;
+            this.gamma = e.gamma;
+            if (this.neutralBeta === null) this.neutralBeta = e.beta;
+        });
+    }
+    
+    /**
+     * Ask for sensor access where the browser requires it (iOS)
+     * Must be called from a user gesture.
+     * @returns {Promise<boolean>} True if tilt can be used
+     */
+    async requestPermission() {
+        if (!this.supported) return false;
+        if (typeof DeviceOrientationEvent.requestPermission !== 'function') return true;
+        
+        try {
+            return await DeviceOrientationEvent.requestPermission() === 'granted';
+        } catch (e) {
+            console.warn('Tilt permission request failed:', e);
+            return false;
+        }
+    }
+    
+    /**
+     * Treat the current forward/back tilt as level
+     */
+    calibrate() {
+        this.neutralBeta = null;
+    }
+    
+    /**
+     * Get movement from the current tilt
+     * @returns {Object} Input with x, y axes in [-1, 1]
+     */
+    read() {
+        if (this.neutralBeta === null) return { x: 0, y: 0 };
+        
+        let sideways = this.gamma;
+        let forward = this.beta - this.neutralBeta;
+        
+        // Sensor axes stay fixed to the device, so swap them in landscape
+        const angle = (screen.orientation && screen.orientation.angle) || 0;
+        if (angle === 90) {
+            [sideways, forward] = [forward, -sideways];
+        } else if (angle === 270) {
+            [sideways, forward] = [-forward, sideways];
+        }
+        
+        const axis = (degrees) => {
+            if (Math.abs(degrees) <= TILT_DEADZONE) return 0;
+            return Utils.clamp((degrees - Math.sign(degrees) * TILT_DEADZONE) / (TILT_MAX_ANGLE - TILT_DEADZONE), -1, 1);
+        };
+        return { x: axis(sideways), y: axis(forward) };
+    }
+}
+
+/**
+ * Online leaderboard request timeout in milliseconds
+ */
+const ONLINE_REQUEST_TIMEOUT = 5000;
+
+/**
+ * Online Leaderboard Client
+ * Talks to a self-hosted leaderboard server (server/leaderboard-server.js).
+ * Stays disabled until a server URL is set with ?server=<url>. Submissions
+ * that cannot reach the server are queued and sent when the browser is back
+ * online; requests never throw, so the game carries on when offline.
+ */
+class OnlineLeaderboard {
+    /**
+     * @param {string} baseUrl - Server address ('' disables the client)
+     */
+    constructor(baseUrl) {
+        this.baseUrl = (baseUrl || '').replace(/\/+$/, '');
+        this.queue = this.loadQueue();
+        this.flushing = null; // Running flushQueue(), shared by overlapping calls
+    }
+    
+    /**
+     * Pick the server URL from ?server=<url>, remembering it between visits
+     * An empty ?server= forgets the saved address.
+     * @returns {string} Server address, or '' when none is set
+     */
+    static configuredUrl() {
+        const urlParams = new URLSearchParams(window.location.search);
+        if (urlParams.has('server')) {
+            localStorage.setItem('goldSkyServerUrl', urlParams.get('server').trim());
+        }
+        return localStorage.getItem('goldSkyServerUrl') || '';
+    }
+    
+    /**
+     * Check if a server is configured
+     * @returns {boolean} True when online features should be shown
+     */
+    isEnabled() {
+        return this.baseUrl !== '';
+    }
+    
+    /**
+     * Send a request to the server
+     * Failures carry a reason ('offline', 'unreachable' or 'server'), and
+     * server failures the HTTP status and the server's own error, if any.
+     * @param {string} path - API path
+     * @param {Object} options - fetch options
+     * @returns {Promise<Object>} { ok, body } on success; { ok: false, offline, reason, status, error } otherwise
+     */
+    async request(path, options = {}) {
+        if (!navigator.onLine) {
+            return { ok: false, offline: true, reason: 'offline' };
+        }
+        
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), ONLINE_REQUEST_TIMEOUT);
+        try {
+            const response = await fetch(this.baseUrl + path, { ...options, signal: controller.signal });
+            const body = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                return { ok: false, offline: false, reason: 'server', status: response.status, error: body.error };
+            }
+            return { ok: true, body };
+        } catch (e) {
+            // Network failures and timeouts: the server could not be reached
+            return { ok: false, offline: true, reason: 'unreachable' };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+    
+    /**
+     * Get the ranked scores for a mode
+     * @param {string} modeId - Key of GameModes
+     * @returns {Promise<Object>} Request result; body.scores holds the entries
+     */
+    fetchScores(modeId) {
+        return this.request(`/api/scores?mode=${encodeURIComponent(modeId)}`);
+    }
+    
+    /**
+     * Submit a run, queueing it if the server cannot be reached
+     * @param {Object} submission - { name, mode, seed, score, replay }
+     * @returns {Promise<Object>} Request result, with queued set when it will be retried
+     */
+    async submit(submission) {
+        const result = await this.post(submission);
+        if (!result.ok && result.offline) {
+            this.queue.push(submission);
+            this.saveQueue();
+            return { ...result, queued: true };
+        }
+        return result;
+    }
+    
+    /**
+     * Post one submission
+     * @param {Object} submission - { name, mode, seed, score, replay }
+     * @returns {Promise<Object>} Request result; body.rank is the online rank
+     */
+    post(submission) {
+        return this.request('/api/scores', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(submission)
+        });
+    }
+    
+    /**
+     * Retry queued submissions, stopping at the first that cannot reach the server
+     * Submissions the server rejects are dropped. A call made while a flush is
+     * running joins it rather than sending the same submissions twice.
+     * @returns {Promise} Resolves when the flush ends
+     */
+    flushQueue() {
+        if (!this.flushing) {
+            this.flushing = this.sendQueue().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+    
+    /**
+     * Send queued submissions one at a time, for flushQueue()
+     */
+    async sendQueue() {
+        while (this.isEnabled() && this.queue.length > 0) {
+            const submission = this.queue[0];
+            const result = await this.post(submission);
+            if (!result.ok && result.offline) break;
+            if (!result.ok) {
+                console.warn('Queued score was rejected:', result.error || result.status);
+            }
+            // submit() may have queued more while this one was in flight
+            this.queue = this.queue.filter(item => item !== submission);
+            this.saveQueue();
+        }
+    }
+    
+    /**
+     * Read queued submissions
+     * @returns {Array} Submissions waiting to be sent
+     */
+    loadQueue() {
+        try {
+            const queue = JSON.parse(localStorage.getItem('goldSkyOnlineQueue'));
+            return Array.isArray(queue) ? queue : [];
+        } catch (e) {
+            console.warn('Ignoring unreadable score queue:', e);
+            return [];
+        }
+    }
+    
+    /**
+     * Save queued submissions
+     * When storage is full or blocked the queue is kept for this visit only.
+     */
+    saveQueue() {
+        try {
+            localStorage.setItem('goldSkyOnlineQueue', JSON.stringify(this.queue));
+        } catch (e) {
+            console.warn('Could not save score queue:', e);
+        }
+    }
+}
+
+/**
+ * Difficulty presets: CONFIG overrides for free-play runs
+ * Only Normal plays with the standard settings, so only Normal runs are ranked.
+ */
+const DIFFICULTIES = {
+    easy: {
+        label: 'difficulty.easy',
+        config: { GOLD_MIN_SPEED: 70, GOLD_MAX_SPEED: 180, HAZARD_CHANCE: 0.05, HAZARD_MAX_CHANCE: 0.2, BASKET_WIDTH: 100 }
+    },
+    normal: {
+        label: 'difficulty.normal',
+        config: {}
+    },
+    hard: {
+        label: 'difficulty.hard',
+        config: { GOLD_MIN_SPEED: 140, GOLD_MAX_SPEED: 330, SPAWN_RATE: 2.5, HAZARD_CHANCE: 0.15, HAZARD_MAX_CHANCE: 0.45, BASKET_WIDTH: 70 }
+    }
+};
+
+/**
+ * Game speeds for accessible play
+ * A slower speed stretches game time over more real time, so the run plays
+ * out the same but off the leaderboards.
+ */
+const GAME_SPEEDS = {
+    normal: { label: 'speed.normal', scale: 1 },
+    slow: { label: 'speed.slow', scale: 0.75 },
+    slower: { label: 'speed.slower', scale: 0.5 }
+};
+
+/**
+ * Interface languages and the message keys of their names ('auto' follows
+ * the browser; every other language has a catalog)
+ */
+const LANGUAGES = {
+    auto: 'language.auto',
+    en: 'language.en',
+    es: 'language.es'
+};
+
+/**
+ * Message catalogs: LOCALES_PATH/<language>.json holds { direction, messages }
+ * (direction is 'ltr' or 'rtl'). Messages a catalog lacks come from the
+ * fallback language.
+ */
+const LOCALES_PATH = 'locales/';
+const FALLBACK_LANGUAGE = 'en';
+
+/**
+ * Internationalization Class
+ * Looks up interface text in the message catalogs and formats plurals,
+ * numbers, lists and dates with Intl for the current language. Messages can
+ * hold {name} placeholders; plural messages are objects keyed by
+ * Intl.PluralRules category ('one', 'other', ...) and picked by the count
+ * parameter.
+ */
+class I18n {
+    constructor() {
+        this.language = FALLBACK_LANGUAGE;
+        this.requested = FALLBACK_LANGUAGE;
+        this.catalogs = {};
+        this.setFormats();
+    }
+    
+    /**
+     * Pick the language for a setting
+     * 'auto' takes the first browser language with a catalog, else the fallback.
+     * @param {string} preference - Key of LANGUAGES
+     * @param {Array<string>} browserLanguages - Language tags, most preferred first
+     * @returns {string} Language with a catalog
+     */
+    static resolve(preference, browserLanguages = navigator.languages || [navigator.language || FALLBACK_LANGUAGE]) {
+        const isLanguage = code => code !== 'auto' && Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+        if (isLanguage(preference)) return preference;
+        return browserLanguages
+            .map(tag => tag.split('-')[0].toLowerCase())
+            .find(isLanguage) || FALLBACK_LANGUAGE;
+    }
+    
+    /**
+     * Switch language, loading its catalog and the fallback's first
+     * A catalog that cannot be loaded leaves the fallback language in use.
+     * @param {string} language - Language with a catalog
+     * @returns {Promise} Resolves once the language is in use
+     */
+    async use(language) {
+        this.requested = language;
+        for (const code of new Set([FALLBACK_LANGUAGE, language])) {
+            if (this.catalogs[code]) continue;
+            try {
+                this.addCatalog(code, await I18n.loadCatalog(code));
+            } catch (e) {
+                console.warn(`Could not load ${code} messages:`, e);
+            }
+        }
+        
+        // A later switch wins over one still loading
+        if (this.requested !== language) return;
+        this.language = this.catalogs[language] ? language : FALLBACK_LANGUAGE;
+        this.setFormats();
+    }
+    
+    /**
+     * Fetch a message catalog
+     * @param {string} language - Language code
+     * @returns {Promise<Object>} Catalog with direction and messages
+     */
+    static async loadCatalog(language) {
+        const url = `${LOCALES_PATH}${language}.json`;
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load messages ${url}: ${response.status}`);
+        }
+        return response.json();
+    }
+    
+    /**
+     * Add a message catalog
+     * @param {string} language - Language code
+     * @param {Object} catalog - { direction, messages }
+     */
+    addCatalog(language, catalog) {
+        if (!catalog || !catalog.messages || typeof catalog.messages !== 'object' ||
+            !['ltr', 'rtl'].includes(catalog.direction)) {
+            throw new Error(`Messages for ${language} need a direction and messages`);
+        }
+        this.catalogs[language] = catalog;
+    }
+    
+    /**
+     * Build the Intl formatters for the current language
+     */
+    setFormats() {
+        this.pluralRules = new Intl.PluralRules(this.language);
+        this.numberFormat = new Intl.NumberFormat(this.language);
+        this.listFormat = Intl.ListFormat ? new Intl.ListFormat(this.language, { type: 'unit' }) : null;
+    }
+    
+    /**
+     * Get the writing direction of the current language
+     * @returns {string} 'ltr' or 'rtl'
+     */
+    direction() {
+        const catalog = this.catalogs[this.language];
+        return catalog ? catalog.direction : 'ltr';
+    }
+    
+    /**
+     * Find a message in one catalog
+     * @param {string} language - Language code
+     * @param {string} key - Message key
+     * @returns {string|Object|undefined} Message, plural forms, or undefined when missing
+     */
+    lookup(language, key) {
+        const catalog = this.catalogs[language];
+        return catalog && Object.prototype.hasOwnProperty.call(catalog.messages, key)
+            ? catalog.messages[key]
+            : undefined;
+    }
+    
+    /**
+     * Check if any loaded catalog has a message
+     * @param {string} key - Message key
+     * @returns {boolean} True when the message can be shown
+     */
+    has(key) {
+        return this.lookup(this.language, key) !== undefined || this.lookup(FALLBACK_LANGUAGE, key) !== undefined;
+    }
+    
+    /**
+     * Get a message in the current language
+     * Falls back to the fallback language, then to the key itself. Number
+     * parameters are formatted for the language.
+     * @param {string} key - Message key
+     * @param {Object} params - Values for the {name} placeholders; count picks the plural form
+     * @returns {string} Message text
+     */
+    t(key, params = {}) {
+        let message = this.lookup(this.language, key);
+        if (message === undefined) message = this.lookup(FALLBACK_LANGUAGE, key);
+        if (message === undefined) return key;
+        
+        if (typeof message === 'object') {
+            message = message[this.pluralRules.select(params.count)] || message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            if (!Object.prototype.hasOwnProperty.call(params, name)) return placeholder;
+            const value = params[name];
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
+    }
+    
+    /**
+     * Format a number for the current language
+     * @param {number} value - Number to format
+     * @param {Object} options - Intl.NumberFormat options (e.g. { style: 'percent' })
+     * @returns {string} Formatted number
+     */
+    formatNumber(value, options) {
+        const format = options ? new Intl.NumberFormat(this.language, options) : this.numberFormat;
+        return format.format(value);
+    }
+    
+    /**
+     * Join items into a list for the current language
+     * @param {Array<string>} items - List items
+     * @returns {string} Joined list
+     */
+    formatList(items) {
+        return this.listFormat ? this.listFormat.format(items) : items.join(', ');
+    }
+    
+    /**
+     * Format a date for the current language
+     * @param {number|Date} date - Timestamp or date
+     * @returns {string} Short date
+     */
+    formatDate(date) {
+        return new Date(date).toLocaleDateString(this.language);
+    }
+    
+    /**
+     * Translate the marked text and attributes of a page
+     * data-i18n sets the text; data-i18n-aria-label, data-i18n-placeholder
+     * and data-i18n-content set those attributes. Each holds a message key.
+     * The markup's own text stays for messages no catalog has.
+     * @param {Document|Element} root - Page or element to translate
+     */
+    translatePage(root) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            if (this.has(element.dataset.i18n)) {
+                element.textContent = this.t(element.dataset.i18n);
+            }
+        });
+        
+        ['aria-label', 'placeholder', 'content'].forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                const key = element.getAttribute(`data-i18n-${attribute}`);
+                if (this.has(key)) {
+                    element.setAttribute(attribute, this.t(key));
+                }
+            });
+        });
+    }
+}
+
+/**
+ * Version of the stored settings record
+ */
+const SETTINGS_FORMAT_VERSION = 1;
+
+/**
+ * Player Settings Class
+ * All preferences in one versioned localStorage record. Unknown or invalid
+ * values fall back to the defaults, and older records are upgraded through
+ * Settings.migrations when loaded. A record from a newer version is never
+ * written over: this session plays with the defaults and keeps them to itself.
+ */
+class Settings {
+    /**
+     * @param {Storage} storage - Object with getItem/setItem/removeItem (localStorage in the browser)
+     * @param {string} key - Storage key for the record
+     */
+    constructor(storage = localStorage, key = 'goldSkySettings') {
+        this.storage = storage;
+        this.key = key;
+        this.readOnly = false;
+        this.values = this.load();
+    }
+    
+    /**
+     * Get the default settings
+     * Reduced motion starts on when the system asks for it.
+     * @returns {Object} Fresh settings record without its version
+     */
+    static defaults() {
+        const prefersReducedMotion = typeof window !== 'undefined' && window.matchMedia
+            ? window.matchMedia('(prefers-reduced-motion: reduce)').matches
+            : false;
+        return {
+            volumes: { master: 0.7, music: 0.5, sfx: 1 },
+            muted: false,
+            highContrast: false,
+            reducedMotion: prefersReducedMotion,
+            colorVision: 'standard',
+            controlScheme: 'buttons',
+            difficulty: 'normal',
+            language: 'auto',
+            theme: 'day',
+            weather: 'clear',
+            dayCycle: false,
+            accessibleMode: false,
+            gameSpeed: 'normal',
+            gamepadDeadzone: GAMEPAD_DEADZONE
+        };
+    }
+    
+    /**
+     * Read the stored record, migrating it to the current version
+     * Before this record existed only the control scheme was saved, under
+     * its own key; it is carried over and that key removed.
+     * @returns {Object} Valid settings
+     */
+    load() {
+        let data = null;
+        try {
+            data = JSON.parse(this.storage.getItem(this.key));
+        } catch (e) {
+            console.warn('Ignoring unreadable settings:', e);
+        }
+        
+        if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) {
+            data = { version: 0, controlScheme: this.storage.getItem('goldSkyControlScheme') };
+        }
+        if (data.version > SETTINGS_FORMAT_VERSION) {
+            console.warn(`Ignoring settings from a newer version: ${data.version}`);
+            this.readOnly = true;
+            return Settings.defaults();
+        }
+        
+        const migrated = data.version < SETTINGS_FORMAT_VERSION;
+        while (data.version < SETTINGS_FORMAT_VERSION) {
+            data = Settings.migrations[data.version](data, this.storage);
+        }
+        
+        const values = Settings.validate(data);
+        if (migrated) {
+            this.values = values;
+            this.save();
+        }
+        return values;
+    }
+    
+    /**
+     * Keep the valid values of a record, using defaults for the rest
+     * @param {Object} data - Record read from storage
+     * @returns {Object} Valid settings
+     */
+    static validate(data) {
+        const values = Settings.defaults();
+        const isVolume = value => typeof value === 'number' && value >= 0 && value <= 1;
+        
+        if (data.volumes && typeof data.volumes === 'object') {
+            Object.keys(values.volumes).forEach(channel => {
+                if (isVolume(data.volumes[channel])) {
+                    values.volumes[channel] = data.volumes[channel];
+                }
+            });
+        }
+        ['muted', 'highContrast', 'reducedMotion', 'dayCycle', 'accessibleMode'].forEach(key => {
+            if (typeof data[key] === 'boolean') {
+                values[key] = data[key];
+            }
+        });
+        const options = [
+            ['controlScheme', CONTROL_SCHEMES],
+            ['difficulty', DIFFICULTIES],
+            ['language', LANGUAGES],
+            ['theme', Theme.choices()],
+            ['colorVision', COLOR_VISIONS],
+            ['weather', WEATHER_OPTIONS],
+            ['gameSpeed', GAME_SPEEDS]
+        ];
+        options.forEach(([key, choices]) => {
+            if (Object.prototype.hasOwnProperty.call(choices, data[key])) {
+                values[key] = data[key];
+            }
+        });
+        if (typeof data.gamepadDeadzone === 'number' && data.gamepadDeadzone >= 0 && data.gamepadDeadzone <= GAMEPAD_DEADZONE_MAX) {
+            values.gamepadDeadzone = data.gamepadDeadzone;
+        }
+        return values;
+    }
+    
+    /**
+     * Write the record back to storage (unless it came from a newer version)
+     */
+    save() {
+        if (this.readOnly) return;
+        this.storage.setItem(this.key, JSON.stringify({ version: SETTINGS_FORMAT_VERSION, ...this.values }));
+    }
+    
+    /**
+     * Get one setting
+     * @param {string} name - Setting name
+     * @returns {*} Current value
+     */
+    get(name) {
+        return this.values[name];
+    }
+    
+    /**
+     * Change one setting and save, ignoring invalid values
+     * Setting the current value again does not write to storage, so putting
+     * the loaded settings into effect leaves the stored record alone.
+     * @param {string} name - Setting name
+     * @param {*} value - New value
+     * @returns {boolean} True when the value was stored
+     */
+    set(name, value) {
+        const values = Settings.validate({ ...this.values, [name]: value });
+        if (JSON.stringify(values[name]) !== JSON.stringify(value)) return false;
+        if (JSON.stringify(this.values[name]) === JSON.stringify(value)) return true;
+        
+        this.values = values;
+        this.save();
+        return true;
+    }
+    
+    /**
+     * Change one volume channel and save
+     * @param {string} channel - 'master', 'music' or 'sfx'
+     * @param {number} volume - Volume level (0-1)
+     */
+    setVolume(channel, volume) {
+        this.set('volumes', { ...this.values.volumes, [channel]: Utils.clamp(volume, 0, 1) });
+    }
+}
+
+/**
+ * Upgrades from each stored version to the next, keyed by the old version
+ */
+Settings.migrations = {
+    // 0: only the control scheme, saved under goldSkyControlScheme
+    0(data, storage) {
+        storage.removeItem('goldSkyControlScheme');
+        return { version: 1, controlScheme: data.controlScheme };
+    }
+};
+
+/**
+ * Debug tuning
+ */
+const STRESS_TEST_OBJECTS = 1500; // falling objects kept on screen by the stress test
+const FRAME_TIME_SMOOTHING = 0.1; // weight of the newest frame in the averaged frame times
+
+/**
+ * Screen reader announcements (the score and time left only in accessible mode)
+ */
+const TIME_WARNINGS = [30, 10, 5]; // seconds left that are read out in timed modes
+const SCORE_ANNOUNCE_INTERVAL = 5; // seconds of game time between score read-outs
+const ANNOUNCE_DELAY = 50; // milliseconds between clearing the live region and filling it
+
+/**
+ * Main Game Class
+ * Core game logic and state management
+ */
+class Game {
+    constructor() {
         this.canvas = document.getElementById('gameCanvas');
         this.ctx = this.canvas.getContext('2d');
-        this.state = GameState.LOADING;
+        this.viewport = new Viewport(this.canvas, document.getElementById('gameArea'));
+        
+        // Simulation core (basket, gold, scoring, timer, state machine)
+        this.core = new GameCore();
+        
+        // Selected game mode and its high score (each mode keeps its own board)
+        this.modeId = 'timeAttack';
+        this.leaderboard = new Leaderboard(localStorage);
+        this.highScore = this.leaderboard.getHighScore(this.modeId);
+        
+        // Entry for the last finished run while its name can still be edited,
+        // and the screen the leaderboard returns to
+        this.pendingEntry = null;
+        this.leaderboardReturn = 'startScreen';
+        
+        // Optional online leaderboard and the finished run it can be sent
+        this.online = new OnlineLeaderboard(OnlineLeaderboard.configuredUrl());
+        this.onlineSubmission = null;
+        
+        // Campaign: index of the level being played (null outside the campaign)
+        // and the furthest level reached, saved between sessions
+        this.campaignLevel = null;
+        this.campaignProgress = this.loadCampaignProgress();
+        
+        // Live CONFIG values while a level, replay or difficulty overrides them,
+        // and the difficulty, weather and speed of the current run
+        this.liveConfig = null;
+        this.runDifficulty = 'normal';
+        this.runWeather = 'clear';
+        this.runSpeed = 'normal';
+        
+        // Accessible mode: game time until the next audio cue, and the last
+        // score and time left read out
+        this.cueTimer = 0;
+        this.announcedScore = 0;
+        this.scoreAnnounceTimer = 0;
+        this.announcedTimeLeft = 0;
+        
+        // Player preferences, saved between sessions
+        this.settings = new Settings();
+        
+        // Interface text in the player's language (catalogs load with the assets)
+        this.i18n = new I18n();
+        
+        // Frame timing for the fixed-step loop
+        this.accumulator = 0;
+        this.interpolation = 1;
+        
+        // Input state (held keys by KeyboardEvent.code)
+        this.keys = {};
+        this.bindings = new KeyBindings(this.i18n);
+        this.bindings.onLayoutChange = () => this.renderBindings();
+        this.rebinding = null;
+        this.suppressKeyUp = null;
+        this.settingsReturn = 'startScreen';
+        this.touches = {};
+        this.buttonPointers = new Map();
+        this.gamepad = new GamepadInput();
+        this.pointer = new PointerInput(document.getElementById('gameArea'), this.viewport, () => this.getBasketCenter());
+        this.tilt = new TiltInput();
+        this.controlScheme = 'buttons';
+        
+        // Visual themes, one per entry of THEMES, with drifting clouds and weather
+        this.sprites = new SpriteCache();
+        this.themes = {};
+        Object.entries(THEMES).forEach(([id, definition]) => {
+            this.themes[id] = new Theme({ id, ...definition }, this.sprites);
+        });
+        this.colorVisionThemes = new Map();
+        this.skyDrift = 0;
+        this.weatherEffect = new WeatherEffect();
+        
+        // Visual effects
+        this.particlePool = new ObjectPool(
+            (x, y, color) => new Particle(x, y, color),
+            (particle, x, y, color) => particle.reset(x, y, color)
+        );
+        this.floatingTexts = [];
+        
+        // Last rendered power-up HUD markup
+        this.effectsMarkup = '';
+        
+        // Performance tracking (frame times are averaged milliseconds)
+        this.lastFrameTime = 0;
+        this.fps = 0;
+        this.frameCount = 0;
+        this.fpsTimer = 0;
+        this.frameTimes = { update: 0, render: 0 };
+        
+        // Debug mode; stressTest is the object count of a running stress test
+        this.debugMode = false;
+        this.stressTest = 0;
+        
+        // Replay playback
+        this.replayPlayer = null;
+        this.lastReplay = null;
+        this.replayPaused = false;
+        this.playbackSpeed = 1;
+        
+        // Audio manager
+        this.audio = new AudioManager();
+        
+        // Initialize
+        this.setupCanvas();
+        this.setupEventListeners();
+        this.setupUI();
+        this.setupCoreEvents();
+        this.loadAssets();
+    }
+    
+    /**
+     * React to simulation events with sound, effects and UI
+     */
+    setupCoreEvents() {
+        this.core.on('collect', ({ gold, points, multiplier }) => {
+            // Bigger gold rings lower
+            const size = (gold.radius - CONFIG.GOLD_MIN_SIZE) / (CONFIG.GOLD_MAX_SIZE - CONFIG.GOLD_MIN_SIZE);
+            this.audio.play('pickup', Utils.lerp(1.4, 0.7, Utils.clamp(size, 0, 1)));
+            this.createPickupParticles(gold.x, gold.y);
+            const amount = this.i18n.formatNumber(points);
+            const text = multiplier > 1 ? `+${amount} ×${multiplier}` : `+${amount}`;
+            this.floatingTexts.push(new FloatingText(gold.x, gold.y - gold.radius, text,
+                multiplier > 1 ? '#FFD700' : '#FFFFFF'));
+        });
+        this.core.on('miss', () => this.audio.play('miss'));
+        this.core.on('hazard', ({ hazard }) => {
+            this.audio.play(hazard.kind);
+            this.createPickupParticles(hazard.x, hazard.y, hazard.particleColor);
+        });
+        this.core.on('powerup', ({ powerUp }) => {
+            this.audio.play('powerup');
+            this.createPickupParticles(powerUp.x, powerUp.y, powerUp.particleColor);
+        });
+        this.core.on('lifeLost', () => this.audio.play('lifeLost'));
+        this.core.on('end', () => this.endGame());
+    }
+    
+    /**
+     * Size the canvas to the window and set rendering properties
+     * Safe to call again on resize: the viewport sets the transform each
+     * frame instead of scaling the context.
+     */
+    setupCanvas() {
+        this.viewport.fit();
+        this.sprites.setScale(this.viewport.scale * this.viewport.dpr);
+        
+        // Resizing the canvas resets these, so set them again every time
+        this.ctx.imageSmoothingEnabled = true;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+    }
+    
+    /**
+     * Setup input event listeners
+     */
+    setupEventListeners() {
+        // Keyboard input
+        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        document.addEventListener('keyup', (e) => this.handleKeyUp(e));
+        
+        // Focus management
+        document.getElementById('gameArea').addEventListener('click', () => {
+            document.getElementById('gameArea').focus();
+        });
+        
+        // Touch controls for mobile: each pointer holds its own button, so
+        // several directions can be held at once and lifting one finger
+        // only releases the button under it
+        const touchButtons = {
+            leftBtn: 'left',
+            rightBtn: 'right',
+            upBtn: 'up',
+            downBtn: 'down'
+        };
+        
+        Object.entries(touchButtons).forEach(([id, direction]) => {
+            const btn = document.getElementById(id);
+            btn.addEventListener('pointerdown', (e) => {
+                e.preventDefault();
+                if (btn.setPointerCapture) {
+                    btn.setPointerCapture(e.pointerId);
+                }
+                this.buttonPointers.set(e.pointerId, direction);
+                this.updateTouches();
+            });
+            ['pointerup', 'pointercancel', 'lostpointercapture'].forEach(type => {
+                btn.addEventListener(type, (e) => {
+                    if (this.buttonPointers.delete(e.pointerId)) {
+                        this.updateTouches();
+                    }
+                });
+            });
+            btn.addEventListener('contextmenu', (e) => e.preventDefault());
+        });
+        
+        // Window resize handler
+        window.addEventListener('resize', () => this.handleResize());
+        this.viewport.watchPixelRatio(() => this.handleResize());
+        
+        // Follow the system reduced motion preference when it changes
+        const reducedMotionQuery = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)');
+        if (reducedMotionQuery && reducedMotionQuery.addEventListener) {
+            reducedMotionQuery.addEventListener('change', (e) => this.setReducedMotion(e.matches));
+        }
+        
+        // Send scores queued while offline
+        window.addEventListener('online', () => this.online.flushQueue());
+        
+        // Visibility change handler (pause when tab not visible)
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden && this.core.state === GameState.PLAYING) {
+                this.pauseGame();
+            }
+        });
+    }
+    
+    /**
+     * Setup UI event listeners
+     */
+    setupUI() {
+        // Game control buttons
+        document.getElementById('startBtn').addEventListener('click', () => this.startGame());
+        document.getElementById('pauseBtn').addEventListener('click', () => this.togglePause());
+        document.getElementById('resumeBtn').addEventListener('click', () => this.resumeGame());
+        document.getElementById('restartBtn').addEventListener('click', () => this.restartGame());
+        document.getElementById('endRunBtn').addEventListener('click', () => this.endRun());
+        document.getElementById('playAgainBtn').addEventListener('click', () => {
+            if (this.campaignLevel !== null) {
+                this.startLevel(this.campaignLevel);
+            } else {
+                this.startGame();
+            }
+        });
+        
+        // Campaign buttons
+        document.getElementById('campaignBtn').addEventListener('click', () => this.startLevel(this.campaignProgress));
+        document.getElementById('newCampaignBtn').addEventListener('click', () => {
+            this.saveCampaignProgress(0);
+            this.startLevel(0);
+        });
+        document.getElementById('nextLevelBtn').addEventListener('click', () => this.startLevel(this.campaignLevel + 1));
+        document.getElementById('levelMenuBtn').addEventListener('click', () => this.showMenu());
+        this.updateCampaignButtons();
+        
+        // Audio controls
+        document.getElementById('muteBtn').addEventListener('click', () => this.toggleMute());
+        
+        // Accessibility and debug controls
+        document.getElementById('contrastBtn').addEventListener('click', () => this.toggleHighContrast());
+        document.getElementById('debugBtn').addEventListener('click', () => this.toggleDebug());
+        
+        // Share button
+        document.getElementById('shareBtn').addEventListener('click', () => this.shareScore());
+        
+        // Replay buttons
+        const replayFileInput = document.getElementById('replayFileInput');
+        document.getElementById('loadReplayBtn').addEventListener('click', () => replayFileInput.click());
+        replayFileInput.addEventListener('change', () => {
+            if (replayFileInput.files.length > 0) {
+                this.loadReplayFile(replayFileInput.files[0]);
+                replayFileInput.value = '';
+            }
+        });
+        document.getElementById('watchReplayBtn').addEventListener('click', () => {
+            if (this.lastReplay) this.startReplay(this.lastReplay);
+        });
+        document.getElementById('saveReplayBtn').addEventListener('click', () => this.exportReplay());
+        
+        // Replay playback controls
+        document.getElementById('replayPauseBtn').addEventListener('click', () => this.toggleReplayPause());
+        document.getElementById('replaySpeed').addEventListener('change', (e) => {
+            this.playbackSpeed = parseInt(e.target.value) || 1;
+        });
+        document.getElementById('replaySeek').addEventListener('input', (e) => {
+            this.seekReplay(parseInt(e.target.value) || 0);
+        });
+        
+        // Settings screen
+        document.getElementById('settingsBtn').addEventListener('click', () => this.showSettings('startScreen'));
+        document.getElementById('pauseSettingsBtn').addEventListener('click', () => this.showSettings('pauseScreen'));
+        document.getElementById('settingsBackBtn').addEventListener('click', () => this.hideSettings());
+        document.getElementById('resetBindingsBtn').addEventListener('click', () => {
+            this.bindings.reset();
+            this.rebinding = null;
+            this.renderBindings();
+            document.getElementById('bindingsMessage').textContent = this.i18n.t('bindings.resetDone');
+        });
+        this.updateControlsText();
+        this.buildSettingsControls();
+        
+        // Mode and control scheme selection
+        this.buildModeSelect();
+        this.buildControlSelect();
+        
+        // Put the saved preferences into effect
+        this.applySettings();
+        
+        // Leaderboard screen and name entry
+        this.buildLeaderboardModes();
+        document.getElementById('leaderboardBtn').addEventListener('click', () => {
+            this.showLeaderboard(this.modeId, 'startScreen');
+        });
+        document.getElementById('gameOverLeaderboardBtn').addEventListener('click', () => {
+            this.showLeaderboard(this.core.modeId, 'gameOverScreen');
+        });
+        document.getElementById('leaderboardBackBtn').addEventListener('click', () => this.hideLeaderboard());
+        document.getElementById('leaderboardMode').addEventListener('change', () => this.renderLeaderboard());
+        document.getElementById('leaderboardSource').addEventListener('change', () => this.renderLeaderboard());
+        document.getElementById('leaderboardSourceSection').hidden = !this.online.isEnabled();
+        document.getElementById('submitOnlineBtn').addEventListener('click', () => this.submitOnline());
+        this.online.flushQueue();
+        document.getElementById('nameEntry').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitPlayerName();
+        });
+        
+        // Seed controls
+        document.getElementById('dailySeedBtn').addEventListener('click', () => {
+            document.getElementById('seedInput').value = Random.dailySeed();
+        });
+        
+        // Update high score display
+        document.getElementById('highScore').textContent = this.i18n.formatNumber(this.highScore);
+        
+        // Check for debug mode in URL
+        const urlParams = new URLSearchParams(window.location.search);
+        if (urlParams.get('debug') === 'true') {
+            this.debugMode = true;
+            CONFIG.DEBUG_ENABLED = true;
+        }
+        
+        // Prefill seed from URL (?seed=...)
+        if (urlParams.has('seed')) {
+            document.getElementById('seedInput').value = urlParams.get('seed');
+        }
+    }
+    
+    /**
+     * Load game assets with progress tracking
+     */
+    async loadAssets() {
+        const loadingScreen = document.getElementById('loadingScreen');
+        const progressBar = document.getElementById('loadingProgress');
+        
+        const tasks = [
+            { name: 'Messages', load: () => this.setLanguage(this.settings.get('language')) },
+            { name: 'Fonts', load: () => (document.fonts ? document.fonts.ready : Promise.resolve()) },
+            { name: 'Sprites', load: async () => this.sprites.warm(this.currentTheme()) }
+        ];
+        if (ASSET_MANIFEST.atlas) {
+            tasks.push({
+                name: 'Sprite atlas',
+                load: async () => {
+                    this.sprites.atlas = await AssetLoader.loadAtlas(ASSET_MANIFEST.atlas);
+                }
+            });
+        }
+        
+        const loader = new AssetLoader(progress => {
+            progressBar.style.width = `${progress * 100}%`;
+        });
+        
+        await loader.loadAll(tasks);
+        
+        // Hide loading screen and show menu
+        loadingScreen.classList.remove('active');
+        document.getElementById('startScreen').classList.add('active');
+        this.core.enterMenu();
+    }
+    
+    /**
+     * Handle keyboard input
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleKeyDown(e) {
+        // A key pressed while rebinding is the new binding
+        if (this.rebinding) {
+            e.preventDefault();
+            this.finishRebinding(e.code);
+            return;
+        }
+        
+        // Leave typing in form fields alone
+        if (e.target && ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+        
+        // Prevent default for game keys
+        const action = this.bindings.actionFor(e.code);
+        if (action) {
+            e.preventDefault();
+        }
+        
+        this.keys[e.code] = true;
+        
+        // Global shortcuts
+        if (action === 'pause' && !e.repeat) {
+            this.togglePause();
+        }
+        if (action === 'confirm' && this.core.state === GameState.MENU &&
+            document.getElementById('startScreen').classList.contains('active') &&
+            !(e.target && e.target.tagName === 'BUTTON')) {
+            this.startGame();
+        }
+    }
+    
+    /**
+     * Poll the gamepad and act on button presses
+     * Start toggles pause during a run. On screens, directions move focus
+     * between controls (left/right change a focused dropdown), A or Start
+     * activates the focused control and B goes back.
+     */
+    handleGamepad() {
+        const pressed = this.gamepad.poll();
+        if (pressed.length === 0) return;
+        
+        const state = this.core.state;
+        if (pressed.includes('start') && (state === GameState.PLAYING || state === GameState.PAUSED)) {
+            this.togglePause();
+            return;
+        }
+        
+        const screens = document.querySelectorAll('.game-screen.active');
+        const screen = screens[screens.length - 1];
+        if (!screen) return;
+        
+        const focused = screen.contains(document.activeElement) ? document.activeElement : null;
+        pressed.forEach(name => {
+            if ((name === 'left' || name === 'right') && focused && focused.tagName === 'SELECT') {
+                this.stepSelect(focused, name === 'left' ? -1 : 1);
+            } else if ((name === 'left' || name === 'right') && focused && focused.type === 'range') {
+                this.stepRange(focused, name === 'left' ? -1 : 1);
+            } else if (name === 'up' || name === 'left') {
+                this.moveMenuFocus(screen, -1);
+            } else if (name === 'down' || name === 'right') {
+                this.moveMenuFocus(screen, 1);
+            } else if (name === 'a' || name === 'start') {
+                if (focused) {
+                    focused.click();
+                } else {
+                    this.moveMenuFocus(screen, 1);
+                }
+            } else if (name === 'b') {
+                this.menuBack(screen);
+            }
+        });
+    }
+    
+    /**
+     * Move keyboard focus to the next or previous usable control on a screen
+     * @param {HTMLElement} screen - Active screen
+     * @param {number} direction - 1 for next, -1 for previous
+     */
+    moveMenuFocus(screen, direction) {
+        const controls = Array.from(screen.querySelectorAll('button, input, select'))
+            .filter(control => !control.disabled && !control.closest('[hidden]') && control.type !== 'file');
+        if (controls.length === 0) return;
+        
+        const index = controls.indexOf(document.activeElement);
+        const next = index === -1
+            ? (direction > 0 ? 0 : controls.length - 1)
+            : (index + direction + controls.length) % controls.length;
+        controls[next].focus();
+    }
+    
+    /**
+     * Pick the previous or next option of a dropdown
+     * @param {HTMLSelectElement} select - Focused dropdown
+     * @param {number} direction - 1 for next, -1 for previous
+     */
+    stepSelect(select, direction) {
+        const index = Utils.clamp(select.selectedIndex + direction, 0, select.options.length - 1);
+        if (index !== select.selectedIndex) {
+            select.selectedIndex = index;
+            select.dispatchEvent(new Event('change'));
+        }
+    }
+    
+    /**
+     * Move a slider by one step
+     * @param {HTMLInputElement} input - Focused range input
+     * @param {number} direction - 1 for up, -1 for down
+     */
+    stepRange(input, direction) {
+        if (direction > 0) {
+            input.stepUp();
+        } else {
+            input.stepDown();
+        }
+        input.dispatchEvent(new Event('input'));
+    }
+    
+    /**
+     * Leave a screen with the controller's back button
+     * @param {HTMLElement} screen - Active screen
+     */
+    menuBack(screen) {
+        if (screen.id === 'pauseScreen') {
+            this.resumeGame();
+        } else if (screen.id === 'leaderboardScreen') {
+            this.hideLeaderboard();
+        } else if (screen.id === 'settingsScreen') {
+            this.hideSettings();
+        }
+    }
+    
+    /**
+     * Rebuild the held touch directions from the pointers on the buttons
+     */
+    updateTouches() {
+        this.touches = {};
+        this.buttonPointers.forEach(direction => {
+            this.touches[direction] = true;
+        });
+    }
+    
+    /**
+     * Get the basket center for pointer controls
+     * @returns {Object|null} Center with x, y in game pixels, or null before a run
+     */
+    getBasketCenter() {
+        const { basket } = this.core;
+        return basket ? { x: basket.x + basket.width / 2, y: basket.y + basket.height / 2 } : null;
+    }
+    
+    /**
+     * Fill the control scheme picker and restore the saved choice
+     */
+    buildControlSelect() {
+        const select = document.getElementById('controlScheme');
+        Object.entries(CONTROL_SCHEMES).forEach(([id, label]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.dataset.i18n = label;
+            option.textContent = this.i18n.t(label);
+            option.disabled = id === 'tilt' && !this.tilt.supported;
+            select.appendChild(option);
+        });
+        
+        // Tilt saved on another device falls back to buttons without losing the choice
+        const saved = this.settings.get('controlScheme');
+        this.setControlScheme(saved === 'tilt' && !this.tilt.supported ? 'buttons' : saved);
+        
+        select.addEventListener('change', async () => {
+            const scheme = select.value;
+            
+            // Tilt needs sensor permission on some browsers, asked for during this tap
+            if (scheme === 'tilt' && !await this.tilt.requestPermission()) {
+                select.value = this.controlScheme;
+                document.getElementById('controlNote').textContent = this.i18n.t('settings.tiltUnavailable');
+                return;
+            }
+            document.getElementById('controlNote').textContent = '';
+            this.setControlScheme(scheme);
+            this.settings.set('controlScheme', scheme);
+        });
+    }
+    
+    /**
+     * Switch the touch/mouse/tilt control scheme
+     * The keyboard and gamepad work with every scheme.
+     * @param {string} scheme - Key of CONTROL_SCHEMES
+     */
+    setControlScheme(scheme) {
+        this.controlScheme = scheme;
+        this.pointer.mode = scheme === 'swipe' ? 'swipe' : 'drag';
+        this.pointer.reset();
+        document.getElementById('controlScheme').value = scheme;
+        document.getElementById('mobileControls').hidden = scheme !== 'buttons';
+        
+        // Stop the browser from scrolling or zooming while steering on the game area
+        document.getElementById('gameArea').style.touchAction = scheme === 'drag' || scheme === 'swipe' ? 'none' : '';
+    }
+    
+    /**
+     * Handle keyboard release
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleKeyUp(e) {
+        this.keys[e.code] = false;
+        
+        // Keep the key that finished a rebinding from also clicking the focused button
+        if (this.suppressKeyUp === e.code) {
+            this.suppressKeyUp = null;
+            e.preventDefault();
+        }
+    }
+    
+    /**
+     * Open the settings screen
+     * @param {string} returnTo - Id of the screen the back button returns to
+     */
+    showSettings(returnTo) {
+        this.settingsReturn = returnTo;
+        this.renderBindings();
+        document.getElementById('bindingsMessage').textContent = '';
+        
+        document.getElementById(returnTo).classList.remove('active');
+        document.getElementById('settingsScreen').classList.add('active');
+    }
+    
+    /**
+     * Close the settings screen
+     */
+    hideSettings() {
+        this.cancelRebinding();
+        document.getElementById('settingsScreen').classList.remove('active');
+        document.getElementById(this.settingsReturn).classList.add('active');
+    }
+    
+    /**
+     * Fill the settings screen choices and hook up its controls
+     * Options carry the message keys of their labels, so they are relabelled
+     * with the rest of the page when the language changes.
+     */
+    buildSettingsControls() {
+        const fillSelect = (select, choices) => {
+            Object.entries(choices).forEach(([id, label]) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.dataset.i18n = label;
+                option.textContent = this.i18n.t(label);
+                select.appendChild(option);
+            });
+        };
+        const difficultySelect = document.getElementById('difficultySetting');
+        const languageSelect = document.getElementById('languageSetting');
+        fillSelect(difficultySelect, Object.fromEntries(
+            Object.entries(DIFFICULTIES).map(([id, difficulty]) => [id, difficulty.label])
+        ));
+        fillSelect(languageSelect, LANGUAGES);
+        fillSelect(document.getElementById('themeSetting'), Theme.choices());
+        fillSelect(document.getElementById('colorVisionSetting'), Object.fromEntries(
+            Object.entries(COLOR_VISIONS).map(([id, colorVision]) => [id, colorVision.label])
+        ));
+        fillSelect(document.getElementById('weatherSetting'), WEATHER_OPTIONS);
+        fillSelect(document.getElementById('gameSpeedSetting'), Object.fromEntries(
+            Object.entries(GAME_SPEEDS).map(([id, speed]) => [id, speed.label])
+        ));
+        
+        document.querySelectorAll('#settingsScreen input[data-channel]').forEach(slider => {
+            slider.addEventListener('input', () => this.setVolume(slider.dataset.channel, slider.value / 100));
+        });
+        document.getElementById('gamepadDeadzoneSetting').addEventListener('input', (e) => this.setGamepadDeadzone(e.target.value / 100));
+        document.getElementById('muteSetting').addEventListener('change', (e) => this.setMuted(e.target.checked));
+        document.getElementById('highContrastSetting').addEventListener('change', (e) => this.setHighContrast(e.target.checked));
+        document.getElementById('reducedMotionSetting').addEventListener('change', (e) => this.setReducedMotion(e.target.checked));
+        difficultySelect.addEventListener('change', () => this.settings.set('difficulty', difficultySelect.value));
+        languageSelect.addEventListener('change', () => this.setLanguage(languageSelect.value));
+        document.getElementById('themeSetting').addEventListener('change', (e) => this.settings.set('theme', e.target.value));
+        document.getElementById('colorVisionSetting').addEventListener('change', (e) => this.settings.set('colorVision', e.target.value));
+        document.getElementById('dayCycleSetting').addEventListener('change', (e) => this.settings.set('dayCycle', e.target.checked));
+        document.getElementById('weatherSetting').addEventListener('change', (e) => this.settings.set('weather', e.target.value));
+        document.getElementById('accessibleModeSetting').addEventListener('change', (e) => this.settings.set('accessibleMode', e.target.checked));
+        document.getElementById('gameSpeedSetting').addEventListener('change', (e) => this.settings.set('gameSpeed', e.target.value));
+    }
+    
+    /**
+     * Put every saved preference into effect and show it in the settings screen
+     * (the control scheme is restored by buildControlSelect, and the language
+     * once its messages have loaded in loadAssets)
+     */
+    applySettings() {
+        const { volumes } = this.settings.values;
+        Object.entries(volumes).forEach(([channel, volume]) => this.setVolume(channel, volume));
+        this.setMuted(this.settings.get('muted'));
+        this.setHighContrast(this.settings.get('highContrast'));
+        this.setReducedMotion(this.settings.get('reducedMotion'));
+        document.getElementById('languageSetting').value = this.settings.get('language');
+        document.getElementById('difficultySetting').value = this.settings.get('difficulty');
+        document.getElementById('themeSetting').value = this.settings.get('theme');
+        document.getElementById('colorVisionSetting').value = this.settings.get('colorVision');
+        document.getElementById('dayCycleSetting').checked = this.settings.get('dayCycle');
+        document.getElementById('weatherSetting').value = this.settings.get('weather');
+        document.getElementById('accessibleModeSetting').checked = this.settings.get('accessibleMode');
+        document.getElementById('gameSpeedSetting').value = this.settings.get('gameSpeed');
+        this.setGamepadDeadzone(this.settings.get('gamepadDeadzone'));
+    }
+    
+    /**
+     * Set and save the volume of one audio channel
+     * @param {string} channel - 'master', 'music' or 'sfx'
+     * @param {number} volume - Volume level (0-1)
+     */
+    setVolume(channel, volume) {
+        this.audio.setVolume(volume, channel);
+        this.settings.setVolume(channel, volume);
+        
+        const saved = this.settings.values.volumes[channel];
+        document.getElementById(`${channel}Volume`).value = Math.round(saved * 100);
+        document.getElementById(`${channel}VolumeValue`).textContent = this.i18n.formatNumber(saved, { style: 'percent' });
+    }
+    
+    /**
+     * Set and save how far the gamepad stick must tilt before it moves the basket
+     * @param {number} deadzone - Share of full tilt (0 to GAMEPAD_DEADZONE_MAX)
+     */
+    setGamepadDeadzone(deadzone) {
+        this.settings.set('gamepadDeadzone', Utils.clamp(deadzone, 0, GAMEPAD_DEADZONE_MAX));
         
-        // Game state
-        this.score = 0;
-        this.highScore = parseInt(localStorage.getItem('goldSkyHighScore') || '0');
-        this.timeLeft = CONFIG.INITIAL_TIMER;
-        this.gameStartTime = 0;
-        this.lastSpawnTime = 0;
-        this.currentSpawnRate = CONFIG.SPAWN_RATE;
+        const saved = this.settings.get('gamepadDeadzone');
+        this.gamepad.deadzone = saved;
+        document.getElementById('gamepadDeadzoneSetting').value = Math.round(saved * 100);
+        document.getElementById('gamepadDeadzoneValue').textContent = this.i18n.formatNumber(saved, { style: 'percent' });
+    }
+    
+    /**
+     * Mute or unmute all sound and save the choice
+     * @param {boolean} muted - True to silence everything
+     */
+    setMuted(muted) {
+        this.audio.setMuted(muted);
+        this.settings.set('muted', muted);
         
-        // Input state
-        this.keys = {};
-        this.touches = {};
+        document.getElementById('muteBtn').textContent = muted ? '🔇' : '🔊';
+        document.getElementById('muteSetting').checked = muted;
+        this.labelToggleButtons();
+    }
+    
+    /**
+     * Turn high contrast on or off and save the choice
+     * @param {boolean} enabled - True for high contrast
+     */
+    setHighContrast(enabled) {
+        document.body.classList.toggle('high-contrast', enabled);
+        this.settings.set('highContrast', enabled);
         
-        // Game objects
-        this.basket = null;
-        this.particles = [];
-        
-        // Object pools for performance
-        this.goldPool = new ObjectPool(
-            (x, y) => new Gold(x, y),
-            (gold, x, y) => {
-                gold.x = x;
-                gold.y = y;
-                gold.collected = false;
-                gold.rotation = 0;
-                gold.shimmer = 0;
-                gold.radius = Utils.random(CONFIG.GOLD_MIN_SIZE, CONFIG.GOLD_MAX_SIZE);
-                const sizeFactor = gold.radius / CONFIG.GOLD_MAX_SIZE;
-                gold.speed = CONFIG.GOLD_MIN_SPEED + (CONFIG.GOLD_MAX_SPEED - CONFIG.GOLD_MIN_SPEED) * (1 - sizeFactor * 0.5);
-                gold.rotationSpeed = Utils.random(-5, 5);
-            }
-        );
+        document.getElementById('highContrastSetting').checked = enabled;
+        this.labelToggleButtons();
+    }
+    
+    /**
+     * Name the mute and high contrast buttons after what pressing them does
+     */
+    labelToggleButtons() {
+        document.getElementById('muteBtn').setAttribute('aria-label',
+            this.i18n.t(this.settings.get('muted') ? 'hud.unmute' : 'hud.mute'));
+        document.getElementById('contrastBtn').setAttribute('aria-label',
+            this.i18n.t(this.settings.get('highContrast') ? 'hud.contrastOff' : 'hud.contrastOn'));
+    }
+    
+    /**
+     * Turn reduced motion on or off and save the choice
+     * Stops the scenery and weather, gold shimmer and spin, the basket's
+     * catch glow and particle bursts.
+     * @param {boolean} enabled - True to cut down on movement effects
+     */
+    setReducedMotion(enabled) {
+        document.body.classList.toggle('reduced-motion', enabled);
+        this.settings.set('reducedMotion', enabled);
+        this.sprites.still = enabled;
+        document.getElementById('reducedMotionSetting').checked = enabled;
         
-        // Performance tracking
-        this.lastFrameTime = 0;
-        this.fps = 0;
-        this.frameCount = 0;
-        this.fpsTimer = 0;
+        if (enabled) {
+            this.particlePool.releaseAll();
+        }
+    }
+    
+    /**
+     * Pick the interface language and save the choice
+     * @param {string} language - Key of LANGUAGES
+     * @returns {Promise} Resolves once the page is in the new language
+     */
+    setLanguage(language) {
+        this.settings.set('language', language);
+        document.getElementById('languageSetting').value = language;
         
-        // Debug mode
-        this.debugMode = false;
+        return this.i18n.use(I18n.resolve(language)).then(() => this.applyLanguage());
+    }
+    
+    /**
+     * Show the interface in the current language
+     * Marked page text is translated; text the game writes itself is
+     * written again. Right-to-left languages flip the page layout, but the
+     * game area keeps its own left-to-right layout so controls match the
+     * playfield.
+     */
+    applyLanguage() {
+        const root = document.documentElement;
+        root.lang = this.i18n.language;
+        root.dir = this.i18n.direction();
+        this.i18n.translatePage(document);
         
-        // Audio manager
-        this.audio = new AudioManager();
+        Object.entries(this.settings.values.volumes).forEach(([channel, volume]) => this.setVolume(channel, volume));
+        this.setGamepadDeadzone(this.settings.get('gamepadDeadzone'));
+        this.labelToggleButtons();
+        this.renderBindings();
+        document.getElementById('bindingsMessage').textContent = '';
+        document.getElementById('controlNote').textContent = '';
+        this.updateCampaignButtons();
+        this.updateLevelDisplay();
+        this.updateReplayControls();
+        this.effectsMarkup = '';
+        this.updateUI();
+        document.getElementById('highScore').textContent = this.i18n.formatNumber(this.highScore);
+    }
+    
+    /**
+     * Fill the key bindings table from the current bindings
+     */
+    renderBindings() {
+        const body = document.getElementById('bindingsBody');
+        body.textContent = '';
         
-        // Initialize
-        this.setupCanvas();
-        this.setupEventListeners();
-        this.setupUI();
-        this.loadAssets();
+        Object.entries(INPUT_ACTIONS).forEach(([action, label]) => {
+            const row = document.createElement('tr');
+            const name = document.createElement('th');
+            name.scope = 'row';
+            name.textContent = this.i18n.t(label);
+            row.appendChild(name);
+            
+            [0, 1].forEach(slot => {
+                const cell = document.createElement('td');
+                const button = document.createElement('button');
+                button.className = 'binding-btn';
+                button.dataset.action = action;
+                button.dataset.slot = slot;
+                
+                const waiting = this.rebinding && this.rebinding.action === action && this.rebinding.slot === slot;
+                button.textContent = waiting
+                    ? this.i18n.t('bindings.waiting')
+                    : this.bindings.describe(this.bindings.bindings[action][slot]);
+                button.setAttribute('aria-label', this.i18n.t(slot === 0 ? 'bindings.primaryLabel' : 'bindings.secondaryLabel',
+                    { action: name.textContent, key: button.textContent }));
+                button.addEventListener('click', () => this.startRebinding(action, slot));
+                cell.appendChild(button);
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+        this.updateControlsText();
     }
     
     /**
-     * Setup canvas properties
+     * Wait for a key to bind to an action slot (clicking the slot again cancels)
+     * @param {string} action - Action name
+     * @param {number} slot - 0 for primary, 1 for secondary
      */
-    setupCanvas() {
-        // Set internal resolution
-        this.canvas.width = CONFIG.GAME_WIDTH;
-        this.canvas.height = CONFIG.GAME_HEIGHT;
+    startRebinding(action, slot) {
+        const same = this.rebinding && this.rebinding.action === action && this.rebinding.slot === slot;
+        this.rebinding = same ? null : { action, slot };
+        document.getElementById('bindingsMessage').textContent = same
+            ? ''
+            : this.i18n.t('bindings.prompt', { action: this.i18n.t(INPUT_ACTIONS[action]) });
+        this.renderBindings();
+        this.focusBinding(action, slot);
+    }
+    
+    /**
+     * Bind the pressed key, or report the action already using it
+     * Escape cancels, so it can only be bound again by resetting the keys.
+     * @param {string} code - KeyboardEvent.code
+     */
+    finishRebinding(code) {
+        const { action, slot } = this.rebinding;
+        const message = document.getElementById('bindingsMessage');
         
-        // Enable high-DPI rendering
-        const dpr = window.devicePixelRatio || 1;
-        const rect = this.canvas.getBoundingClientRect();
-        this.canvas.width = rect.width * dpr;
-        this.canvas.height = rect.height * dpr;
-        this.ctx.scale(dpr, dpr);
-        this.canvas.style.width = rect.width + 'px';
-        this.canvas.style.height = rect.height + 'px';
+        if (code === 'Escape') {
+            message.textContent = '';
+        } else if (code === 'Backspace' || code === 'Delete') {
+            this.bindings.clear(action, slot);
+            message.textContent = this.i18n.t('bindings.cleared', { action: this.i18n.t(INPUT_ACTIONS[action]) });
+        } else {
+            const conflict = this.bindings.bind(action, slot, code);
+            if (conflict) {
+                message.textContent = this.i18n.t('bindings.conflict',
+                    { key: this.bindings.describe(code), action: this.i18n.t(INPUT_ACTIONS[conflict.action]) });
+                return;
+            }
+            message.textContent = this.i18n.t('bindings.bound',
+                { action: this.i18n.t(INPUT_ACTIONS[action]), key: this.bindings.describe(code) });
+        }
         
-        // Set rendering properties
-        this.ctx.imageSmoothingEnabled = true;
-        this.ctx.textAlign = 'center';
-        this.ctx.textBaseline = 'middle';
+        this.rebinding = null;
+        this.suppressKeyUp = code;
+        this.renderBindings();
+        this.focusBinding(action, slot);
     }
     
     /**
-     * Setup input event listeners
+     * Stop waiting for a key without changing anything
      */
-    setupEventListeners() {
-        // Keyboard input
-        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
-        document.addEventListener('keyup', (e) => this.handleKeyUp(e));
+    cancelRebinding() {
+        if (!this.rebinding) return;
+        this.rebinding = null;
+        this.renderBindings();
+    }
+    
+    /**
+     * Put focus back on a binding button after the table is rebuilt
+     * @param {string} action - Action name
+     * @param {number} slot - 0 for primary, 1 for secondary
+     */
+    focusBinding(action, slot) {
+        const button = document.querySelector(`.binding-btn[data-action="${action}"][data-slot="${slot}"]`);
+        if (button) button.focus();
+    }
+    
+    /**
+     * Describe the current keys in the start screen controls text
+     */
+    updateControlsText() {
+        const keys = {};
+        Object.keys(INPUT_ACTIONS).forEach(action => {
+            keys[action] = this.bindings.describeAction(action);
+        });
+        const controlKeys = this.i18n.t('start.controlKeys', keys);
+        document.getElementById('controlsKeys').textContent = this.i18n.t('start.controls', { keys: controlKeys });
+    }
+    
+    /**
+     * Handle window resize
+     */
+    handleResize() {
+        this.setupCanvas();
+    }
+    
+    /**
+     * Pick the seed for the next run
+     * Uses the start screen seed field when filled, otherwise a fresh seed
+     * @returns {string} Run seed
+     */
+    resolveSeed() {
+        const seed = document.getElementById('seedInput').value.trim();
+        return seed || Random.generateSeed();
+    }
+    
+    /**
+     * Fill the start screen mode picker from GameModes
+     */
+    buildModeSelect() {
+        const fieldset = document.getElementById('modeSelect');
         
-        // Focus management
-        document.getElementById('gameArea').addEventListener('click', () => {
-            document.getElementById('gameArea').focus();
+        Object.keys(GameModes).forEach(id => {
+            const label = document.createElement('label');
+            label.className = 'mode-option';
+            
+            const input = document.createElement('input');
+            input.type = 'radio';
+            input.name = 'gameMode';
+            input.value = id;
+            input.checked = id === this.modeId;
+            input.addEventListener('change', () => this.selectMode(id));
+            
+            const name = document.createElement('strong');
+            name.dataset.i18n = `mode.${id}.name`;
+            name.textContent = this.i18n.t(name.dataset.i18n);
+            const description = document.createElement('span');
+            description.className = 'mode-description';
+            description.dataset.i18n = `mode.${id}.description`;
+            description.textContent = this.i18n.t(description.dataset.i18n);
+            
+            label.append(input, ' ', name, ' ', description);
+            fieldset.appendChild(label);
+        });
+    }
+    
+    /**
+     * Switch the selected mode and show its high score
+     * @param {string} modeId - Key of GameModes
+     */
+    selectMode(modeId) {
+        this.modeId = modeId;
+        this.highScore = this.leaderboard.getHighScore(modeId);
+        document.getElementById('highScore').textContent = this.i18n.formatNumber(this.highScore);
+    }
+    
+    /**
+     * Fill the leaderboard mode picker from GameModes
+     */
+    buildLeaderboardModes() {
+        const select = document.getElementById('leaderboardMode');
+        Object.keys(GameModes).forEach(id => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.dataset.i18n = `mode.${id}.name`;
+            option.textContent = this.i18n.t(option.dataset.i18n);
+            select.appendChild(option);
         });
+    }
+    
+    /**
+     * Open the leaderboard screen
+     * @param {string} modeId - Mode to show first
+     * @param {string} returnTo - Id of the screen the back button returns to
+     */
+    showLeaderboard(modeId, returnTo) {
+        this.leaderboardReturn = returnTo;
+        document.getElementById('leaderboardMode').value = modeId;
+        this.renderLeaderboard();
         
-        // Touch controls for mobile
-        const touchButtons = {
-            leftBtn: () => this.touches.left = true,
-            rightBtn: () => this.touches.right = true,
-            upBtn: () => this.touches.up = true,
-            downBtn: () => this.touches.down = true
-        };
+        document.getElementById(returnTo).classList.remove('active');
+        document.getElementById('leaderboardScreen').classList.add('active');
+    }
+    
+    /**
+     * Close the leaderboard screen
+     */
+    hideLeaderboard() {
+        document.getElementById('leaderboardScreen').classList.remove('active');
+        document.getElementById(this.leaderboardReturn).classList.add('active');
+    }
+    
+    /**
+     * Show the board picked on the leaderboard screen (mode and local/online)
+     */
+    async renderLeaderboard() {
+        const modeId = document.getElementById('leaderboardMode').value;
+        const status = document.getElementById('leaderboardStatus');
         
-        Object.entries(touchButtons).forEach(([id, action]) => {
-            const btn = document.getElementById(id);
-            btn.addEventListener('touchstart', (e) => {
-                e.preventDefault();
-                action();
-            });
-            btn.addEventListener('touchend', (e) => {
-                e.preventDefault();
-                this.touches = {};
-            });
-            btn.addEventListener('mousedown', (e) => {
-                e.preventDefault();
-                action();
-            });
-            btn.addEventListener('mouseup', (e) => {
-                e.preventDefault();
-                this.touches = {};
-            });
-        });
+        if (document.getElementById('leaderboardSource').value !== 'online') {
+            status.hidden = true;
+            this.renderLeaderboardRows(this.leaderboard.getEntries(modeId));
+            return;
+        }
         
-        // Window resize handler
-        window.addEventListener('resize', () => this.handleResize());
+        this.renderLeaderboardRows([]);
+        document.getElementById('leaderboardEmpty').hidden = true;
+        status.hidden = false;
+        status.textContent = this.i18n.t('leaderboard.loading');
         
-        // Visibility change handler (pause when tab not visible)
-        document.addEventListener('visibilitychange', () => {
-            if (document.hidden && this.state === GameState.PLAYING) {
-                this.pauseGame();
+        const result = await this.online.fetchScores(modeId);
+        
+        // Ignore answers for a board that is no longer selected
+        if (document.getElementById('leaderboardMode').value !== modeId ||
+            document.getElementById('leaderboardSource').value !== 'online') return;
+        
+        if (result.ok) {
+            status.hidden = true;
+            this.renderLeaderboardRows(result.body.scores);
+        } else {
+            status.textContent = this.i18n.t('leaderboard.onlineFailed', { error: this.describeOnlineError(result) });
+        }
+    }
+    
+    /**
+     * Fill the leaderboard table
+     * The last run's entry is highlighted. Names are player text, so cells
+     * are filled with textContent rather than markup.
+     * @param {Array} entries - Ranked entries, best first
+     */
+    renderLeaderboardRows(entries) {
+        const body = document.getElementById('leaderboardBody');
+        body.textContent = '';
+        
+        entries.forEach((entry, index) => {
+            const row = document.createElement('tr');
+            if (entry === this.pendingEntry) {
+                row.className = 'highlight';
             }
+            
+            const count = value => (value === null ? '—' : this.i18n.formatNumber(value));
+            const cells = [
+                this.i18n.formatNumber(index + 1),
+                entry.name,
+                this.i18n.formatNumber(entry.score),
+                entry.accuracy === null ? '—' : this.i18n.formatNumber(entry.accuracy, { style: 'percent' }),
+                count(entry.catches),
+                count(entry.misses),
+                count(entry.bestCombo),
+                entry.date === null ? '—' : this.i18n.formatDate(entry.date)
+            ];
+            cells.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
         });
+        
+        document.getElementById('leaderboardEmpty').hidden = entries.length > 0;
     }
     
     /**
-     * Setup UI event listeners
+     * Save the name typed for the last run's leaderboard entry
      */
-    setupUI() {
-        // Game control buttons
-        document.getElementById('startBtn').addEventListener('click', () => this.startGame());
-        document.getElementById('pauseBtn').addEventListener('click', () => this.togglePause());
-        document.getElementById('resumeBtn').addEventListener('click', () => this.resumeGame());
-        document.getElementById('restartBtn').addEventListener('click', () => this.restartGame());
-        document.getElementById('playAgainBtn').addEventListener('click', () => this.startGame());
+    submitPlayerName() {
+        if (!this.pendingEntry) return;
         
-        // Audio controls
-        document.getElementById('muteBtn').addEventListener('click', () => this.toggleMute());
+        const name = document.getElementById('playerName').value;
+        this.leaderboard.renameEntry(this.pendingEntry, name);
+        localStorage.setItem('goldSkyPlayerName', this.pendingEntry.name);
+        document.getElementById('playerName').value = this.pendingEntry.name;
+        document.getElementById('nameEntrySaved').hidden = false;
+    }
+    
+    /**
+     * Send the last run to the online leaderboard
+     * The server re-simulates the replay to check the score.
+     */
+    async submitOnline() {
+        if (!this.onlineSubmission) return;
         
-        // Accessibility and debug controls
-        document.getElementById('contrastBtn').addEventListener('click', () => this.toggleHighContrast());
-        document.getElementById('debugBtn').addEventListener('click', () => this.toggleDebug());
+        const button = document.getElementById('submitOnlineBtn');
+        const status = document.getElementById('onlineStatus');
+        const nameEntry = document.getElementById('nameEntry');
+        const name = nameEntry.hidden
+            ? localStorage.getItem('goldSkyPlayerName')
+            : document.getElementById('playerName').value;
+        const submission = { ...this.onlineSubmission, name: Leaderboard.cleanName(name) };
         
-        // Share button
-        document.getElementById('shareBtn').addEventListener('click', () => this.shareScore());
+        button.disabled = true;
+        status.textContent = this.i18n.t('online.submitting');
+        let result;
+        try {
+            result = await this.online.submit(submission);
+        } catch (error) {
+            result = { ok: false, error: error.message };
+        }
         
-        // Update high score display
-        document.getElementById('highScore').textContent = this.highScore;
+        if (result.ok) {
+            this.onlineSubmission = null;
+            status.textContent = result.body.rank === -1
+                ? this.i18n.t('online.unranked')
+                : this.i18n.t('online.ranked', { rank: result.body.rank + 1 });
+        } else if (result.queued) {
+            this.onlineSubmission = null;
+            status.textContent = this.i18n.t('online.queued');
+        } else {
+            button.disabled = false;
+            status.textContent = this.i18n.t('online.rejected', { error: this.describeOnlineError(result) });
+        }
+    }
+    
+    /**
+     * Explain why an online request failed
+     * @param {Object} result - Failed result from OnlineLeaderboard.request
+     * @returns {string} The server's own error, or a message for the reason
+     */
+    describeOnlineError(result) {
+        return result.error || this.i18n.t(`online.${result.reason}`, { status: result.status });
+    }
+    
+    /**
+     * Start new game
+     */
+    startGame() {
+        this.stopReplay();
+        this.campaignLevel = null;
+        this.restoreLiveConfig();
+        this.runDifficulty = this.settings.get('difficulty');
+        this.runWeather = this.settings.get('weather');
+        this.runSpeed = this.settings.get('gameSpeed');
+        if (this.runDifficulty !== 'normal' || this.runWeather !== 'clear') {
+            this.applyRunConfig({ ...DIFFICULTIES[this.runDifficulty].config, WEATHER: this.runWeather });
+        }
+        this.updateLevelDisplay();
+        this.resetRun(this.resolveSeed(), this.modeId);
+        this.audio.play('start');
+        this.announce(this.i18n.t('announce.started', { mode: this.i18n.t(`mode.${this.modeId}.name`) }));
         
-        // Check for debug mode in URL
-        const urlParams = new URLSearchParams(window.location.search);
-        if (urlParams.get('debug') === 'true') {
-            this.debugMode = true;
-            CONFIG.DEBUG_ENABLED = true;
+        // Focus game area for keyboard input
+        document.getElementById('gameArea').focus();
+    }
+    
+    /**
+     * Begin a run in the core and reset the shell around it
+     * Shared by live runs and replays so both start identically.
+     * @param {string} seed - Run seed
+     * @param {string} modeId - Key of GameModes
+     */
+    resetRun(seed, modeId = 'timeAttack') {
+        this.core.start(seed, modeId);
+        this.weatherEffect.reset(CONFIG.WEATHER);
+        this.audio.startMusic();
+        this.accumulator = 0;
+        this.pointer.reset();
+        this.tilt.calibrate();
+        this.particlePool.releaseAll();
+        this.floatingTexts = [];
+        this.stressTest = 0;
+        this.cueTimer = 0;
+        this.announcedScore = 0;
+        this.scoreAnnounceTimer = 0;
+        this.announcedTimeLeft = this.core.timeLeft;
+        
+        // Update UI
+        this.updateScoreDisplay();
+        
+        // Hide menu screens, start game
+        document.querySelectorAll('.game-screen').forEach(screen => {
+            screen.classList.remove('active');
+        });
+    }
+    
+    /**
+     * Start a campaign level
+     * @param {number} index - Index into CampaignLevels
+     */
+    startLevel(index) {
+        const level = CampaignLevels[index];
+        if (!level) return;
+        
+        this.stopReplay();
+        this.campaignLevel = index;
+        this.runSpeed = this.settings.get('gameSpeed');
+        this.applyRunConfig(level.config);
+        this.updateLevelDisplay();
+        this.resetRun(this.resolveSeed());
+        this.audio.play('start');
+        this.announce(this.i18n.t('announce.levelStarted', { level: index + 1, name: this.i18n.t(`level.${index + 1}.name`) }));
+        
+        // Focus game area for keyboard input
+        document.getElementById('gameArea').focus();
+    }
+    
+    /**
+     * Return to the start screen
+     */
+    showMenu() {
+        this.stopReplay();
+        this.campaignLevel = null;
+        this.restoreLiveConfig();
+        this.updateLevelDisplay();
+        this.updateCampaignButtons();
+        
+        document.querySelectorAll('.game-screen').forEach(screen => {
+            screen.classList.remove('active');
+        });
+        document.getElementById('startScreen').classList.add('active');
+        this.core.enterMenu();
+    }
+    
+    /**
+     * Run with overrides on top of the live configuration
+     * The live values are kept so they can be restored afterwards.
+     * @param {Object} overrides - CONFIG keys to replace for this run
+     */
+    applyRunConfig(overrides) {
+        if (!this.liveConfig) {
+            this.liveConfig = { ...CONFIG };
+        }
+        Object.assign(CONFIG, this.liveConfig, overrides);
+    }
+    
+    /**
+     * Put back the live configuration after a level or replay
+     */
+    restoreLiveConfig() {
+        if (this.liveConfig) {
+            Object.assign(CONFIG, this.liveConfig);
+            this.liveConfig = null;
+        }
+    }
+    
+    /**
+     * Read saved campaign progress
+     * @returns {number} Index of the furthest level reached
+     */
+    loadCampaignProgress() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('goldSkyCampaign'));
+            if (saved && saved.version === 1 && Number.isInteger(saved.level)) {
+                return Utils.clamp(saved.level, 0, CampaignLevels.length - 1);
+            }
+        } catch (e) {
+            console.warn('Ignoring unreadable campaign progress:', e);
+        }
+        return 0;
+    }
+    
+    /**
+     * Save campaign progress
+     * @param {number} level - Index of the furthest level reached
+     */
+    saveCampaignProgress(level) {
+        this.campaignProgress = level;
+        localStorage.setItem('goldSkyCampaign', JSON.stringify({ version: 1, level }));
+    }
+    
+    /**
+     * Label the start screen campaign buttons from saved progress
+     */
+    updateCampaignButtons() {
+        const hasProgress = this.campaignProgress > 0;
+        document.getElementById('campaignBtn').textContent = hasProgress
+            ? this.i18n.t('start.continueCampaign', { level: this.campaignProgress + 1 })
+            : this.i18n.t('start.campaign');
+        document.getElementById('newCampaignBtn').hidden = !hasProgress;
+    }
+    
+    /**
+     * Show the current level and target in the UI bar
+     */
+    updateLevelDisplay() {
+        const levelInfo = document.getElementById('levelInfo');
+        levelInfo.hidden = this.campaignLevel === null;
+        if (this.campaignLevel !== null) {
+            document.getElementById('levelName').textContent = this.i18n.t('hud.levelProgress', {
+                level: this.campaignLevel + 1,
+                count: CampaignLevels.length,
+                target: CONFIG.TARGET_SCORE
+            });
         }
     }
     
     /**
-     * Load game assets with progress tracking
+     * Show the level-complete screen and unlock the next level
      */
-    async loadAssets() {
-        const loadingScreen = document.getElementById('loadingScreen');
-        const progressBar = document.getElementById('loadingProgress');
+    completeLevel() {
+        const index = this.campaignLevel;
+        const next = CampaignLevels[index + 1];
         
-        try {
-            // Simulate asset loading for demo
-            const steps = ['Audio', 'Graphics', 'Game Data', 'UI'];
-            
-            for (let i = 0; i < steps.length; i++) {
-                await new Promise(resolve => setTimeout(resolve, 300));
-                const progress = ((i + 1) / steps.length) * 100;
-                progressBar.style.width = `${progress}%`;
-            }
-            
-            // Hide loading screen and show menu
-            loadingScreen.classList.remove('active');
-            document.getElementById('startScreen').classList.add('active');
-            this.state = GameState.MENU;
-            
-        } catch (error) {
-            console.error('Asset loading failed:', error);
-            // Continue anyway for demo
-            loadingScreen.classList.remove('active');
-            document.getElementById('startScreen').classList.add('active');
-            this.state = GameState.MENU;
+        if (next && index + 1 > this.campaignProgress) {
+            this.saveCampaignProgress(index + 1);
         }
+        
+        const title = next
+            ? this.i18n.t('level.complete', { level: index + 1 })
+            : this.i18n.t('level.campaignComplete');
+        document.getElementById('levelCompleteTitle').textContent = title;
+        document.getElementById('levelScore').textContent = this.i18n.formatNumber(this.core.score);
+        document.getElementById('nextLevelInfo').textContent = next
+            ? this.i18n.t('level.next', { level: index + 2, name: this.i18n.t(`level.${index + 2}.name`) })
+            : this.i18n.t('level.allCleared');
+        document.getElementById('nextLevelBtn').hidden = !next;
+        document.getElementById('levelCompleteScreen').classList.add('active');
+        this.announce(this.i18n.t('announce.levelComplete', { title, score: this.core.score }));
     }
     
     /**
-     * Handle keyboard input
-     * @param {KeyboardEvent} e - Keyboard event
+     * Play back a recorded run
+     * @param {Object} replay - Replay data from ReplayRecorder.toReplay
      */
-    handleKeyDown(e) {
-        // Prevent default for game keys
-        if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', ' ', 'Escape'].includes(e.key)) {
-            e.preventDefault();
-        }
+    startReplay(replay) {
+        const player = new ReplayPlayer(replay);
         
-        this.keys[e.key] = true;
+        // Replays run under the configuration they were recorded with
+        this.stopReplay();
+        this.campaignLevel = null;
+        this.applyRunConfig(replay.config);
+        this.updateLevelDisplay();
         
-        // Global shortcuts
-        if (e.key === 'Escape' && this.state === GameState.PLAYING) {
-            this.pauseGame();
-        }
-        if (e.key === ' ' && this.state === GameState.MENU) {
-            this.startGame();
-        }
+        this.replayPlayer = player;
+        this.lastReplay = replay;
+        this.replayPaused = false;
+        this.resetRun(replay.seed, replay.mode);
+        
+        const seek = document.getElementById('replaySeek');
+        seek.max = replay.steps;
+        seek.value = 0;
+        document.getElementById('replayControls').hidden = false;
+        this.updateReplayControls();
     }
     
     /**
-     * Handle keyboard release
-     * @param {KeyboardEvent} e - Keyboard event
+     * Leave replay mode and restore the live configuration
      */
-    handleKeyUp(e) {
-        this.keys[e.key] = false;
+    stopReplay() {
+        if (!this.replayPlayer) return;
+        
+        this.restoreLiveConfig();
+        this.replayPlayer = null;
+        this.replayPaused = false;
+        this.playbackSpeed = 1;
+        document.getElementById('replaySpeed').value = '1';
+        document.getElementById('replayControls').hidden = true;
     }
     
     /**
-     * Handle window resize
+     * Toggle replay playback pause
      */
-    handleResize() {
-        this.setupCanvas();
+    toggleReplayPause() {
+        if (!this.replayPlayer) return;
+        this.replayPaused = !this.replayPaused;
+        this.updateReplayControls();
     }
     
     /**
-     * Start new game
+     * Jump to a step of the current replay
+     * The simulation is deterministic, so seeking re-runs it from the seed
+     * (or from the current step when seeking forward) without rendering.
+     * @param {number} targetStep - Step to jump to
      */
-    startGame() {
-        // Reset game state
-        this.score = 0;
-        this.timeLeft = CONFIG.INITIAL_TIMER;
-        this.gameStartTime = Date.now();
-        this.lastSpawnTime = 0;
-        this.currentSpawnRate = CONFIG.SPAWN_RATE;
-        
-        // Clear objects
-        this.goldPool.clear();
-        this.particles = [];
-        
-        // Create basket at bottom center
-        this.basket = new Basket(
-            (CONFIG.GAME_WIDTH - CONFIG.BASKET_WIDTH) / 2,
-            CONFIG.GAME_HEIGHT - CONFIG.BASKET_HEIGHT - 50
-        );
+    seekReplay(targetStep) {
+        if (!this.replayPlayer) return;
         
-        // Update UI
-        this.updateScoreDisplay();
+        const target = Utils.clamp(targetStep, 0, this.replayPlayer.replay.steps);
+        if (target < this.replayPlayer.step || this.core.state === GameState.GAME_OVER) {
+            this.replayPlayer.reset();
+            const { seed, mode } = this.replayPlayer.replay;
+            this.resetRun(seed, mode);
+        }
         
-        // Hide menu screens, start game
-        document.querySelectorAll('.game-screen').forEach(screen => {
-            screen.classList.remove('active');
-        });
+        const wasMuted = this.audio.muted;
+        this.audio.muted = true;
+        while (this.replayPlayer.step < target && this.core.state === GameState.PLAYING) {
+            this.update(CONFIG.FIXED_TIMESTEP);
+        }
+        this.audio.muted = wasMuted;
         
-        this.state = GameState.PLAYING;
-        this.audio.play('start');
+        this.accumulator = 0;
+        this.interpolation = 1;
+        this.updateUI();
+        this.updateReplayControls();
+    }
+    
+    /**
+     * Sync replay controls with playback state
+     */
+    updateReplayControls() {
+        if (!this.replayPlayer) return;
         
-        // Focus game area for keyboard input
-        document.getElementById('gameArea').focus();
+        const pauseBtn = document.getElementById('replayPauseBtn');
+        pauseBtn.textContent = this.replayPaused ? '▶️' : '⏸️';
+        pauseBtn.setAttribute('aria-label', this.i18n.t(this.replayPaused ? 'replay.play' : 'replay.pause'));
+        document.getElementById('replaySeek').value = this.replayPlayer.step;
+        document.getElementById('replayPosition').textContent =
+            Utils.formatTime(this.replayPlayer.step * CONFIG.FIXED_TIMESTEP);
+    }
+    
+    /**
+     * Download the most recent run as a JSON replay file
+     */
+    exportReplay() {
+        if (!this.lastReplay) return;
+        
+        const blob = new Blob([JSON.stringify(this.lastReplay)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `gold-sky-replay-${this.lastReplay.seed}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Some browsers start the download after click() returns
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+    
+    /**
+     * Load a replay file chosen by the player and start playback
+     * @param {File} file - Replay JSON file
+     */
+    async loadReplayFile(file) {
+        try {
+            const replay = JSON.parse(await file.text());
+            this.startReplay(replay);
+        } catch (error) {
+            console.warn('Could not load replay:', error);
+            alert(this.i18n.t('replay.loadFailed', { error: error.message }));
+        }
     }
     
     /**
      * Pause game
      */
     pauseGame() {
-        if (this.state === GameState.PLAYING) {
-            this.state = GameState.PAUSED;
+        if (this.core.state === GameState.PLAYING) {
+            this.core.pause();
+            this.audio.stopMusic();
             document.getElementById('pauseScreen').classList.add('active');
+            this.announce(this.i18n.t('announce.paused'));
         }
     }
     
@@ -826,10 +3959,12 @@ class Game {
      * Resume game
      */
     resumeGame() {
-        if (this.state === GameState.PAUSED) {
-            this.state = GameState.PLAYING;
+        if (this.core.state === GameState.PAUSED) {
+            this.core.resume();
+            this.audio.startMusic();
             document.getElementById('pauseScreen').classList.remove('active');
             document.getElementById('gameArea').focus();
+            this.announce(this.i18n.t('announce.resumed'));
         }
     }
     
@@ -837,178 +3972,338 @@ class Game {
      * Toggle pause state
      */
     togglePause() {
-        if (this.state === GameState.PLAYING) {
+        if (this.core.state === GameState.PLAYING) {
             this.pauseGame();
-        } else if (this.state === GameState.PAUSED) {
+        } else if (this.core.state === GameState.PAUSED &&
+            document.getElementById('pauseScreen').classList.contains('active')) {
+            // Only from the pause screen itself, not from settings opened over it
             this.resumeGame();
         }
     }
     
+    /**
+     * End the paused run early and go to the results
+     * The only way to finish a Zen run, which has no clock or lives.
+     */
+    endRun() {
+        if (this.core.state !== GameState.PAUSED) return;
+        
+        document.getElementById('pauseScreen').classList.remove('active');
+        this.core.end('quit');
+    }
+    
     /**
      * Restart current game
      */
     restartGame() {
-        this.startGame();
+        if (this.replayPlayer) {
+            this.startReplay(this.replayPlayer.replay);
+        } else if (this.campaignLevel !== null) {
+            this.startLevel(this.campaignLevel);
+        } else {
+            this.startGame();
+        }
     }
     
     /**
-     * End game and show results
+     * Show results when the core ends a run
      */
     endGame() {
-        this.state = GameState.GAME_OVER;
+        const { score, seed, modeId } = this.core;
+        this.audio.stopMusic();
+        
+        // Keep the finished run for export or playback (stress tests add
+        // gold outside the recording, so theirs would not play back)
+        if (!this.replayPlayer) {
+            this.lastReplay = this.stressTest ? null : this.core.replay;
+        }
+        
+        // Campaign levels advance on reaching their target
+        const inCampaign = this.campaignLevel !== null && !this.replayPlayer;
+        if (inCampaign && this.core.outcome === 'target') {
+            this.completeLevel();
+            return;
+        }
         
-        // Check for new high score
+        // Put qualifying runs on this mode's leaderboard under the last name
+        // used; the name can be changed on the game over screen
+        // (replays, campaign levels, stress tests, other difficulties, weather and speeds never count)
+        const freePlay = !this.replayPlayer && !inCampaign && !this.stressTest;
+        const ranked = freePlay && this.runDifficulty === 'normal' && this.runWeather === 'clear' &&
+            this.runSpeed === 'normal';
         let isNewHighScore = false;
-        if (this.score > this.highScore) {
-            this.highScore = this.score;
-            localStorage.setItem('goldSkyHighScore', this.highScore.toString());
-            isNewHighScore = true;
+        this.pendingEntry = null;
+        if (ranked) {
+            this.highScore = this.leaderboard.getHighScore(modeId);
+            isNewHighScore = score > this.highScore;
+            
+            const entry = Leaderboard.createEntry(localStorage.getItem('goldSkyPlayerName'), this.core);
+            if (this.leaderboard.add(modeId, entry) !== -1) {
+                this.pendingEntry = entry;
+            }
+            this.highScore = this.leaderboard.getHighScore(modeId);
+        }
+        document.getElementById('nameEntry').hidden = !this.pendingEntry;
+        
+        // Live runs with standard settings can go on the online board
+        this.onlineSubmission = ranked && score > 0
+            ? { mode: modeId, seed, score, replay: this.core.replay }
+            : null;
+        document.getElementById('submitOnlineBtn').hidden = !this.online.isEnabled() || !this.onlineSubmission;
+        document.getElementById('submitOnlineBtn').disabled = false;
+        document.getElementById('onlineStatus').textContent = '';
+        document.getElementById('nameEntrySaved').hidden = true;
+        if (this.pendingEntry) {
+            document.getElementById('playerName').value = this.pendingEntry.name;
         }
         
         // Update UI
-        document.getElementById('finalScore').textContent = this.score;
+        const variations = [];
+        if (freePlay && this.runDifficulty !== 'normal') variations.push(this.i18n.t(DIFFICULTIES[this.runDifficulty].label));
+        if (freePlay && this.runWeather !== 'clear') variations.push(this.i18n.t(WEATHER_OPTIONS[this.runWeather]));
+        if (freePlay && this.runSpeed !== 'normal') variations.push(this.i18n.t(GAME_SPEEDS[this.runSpeed].label));
+        const modeName = this.i18n.t(`mode.${modeId}.name`);
+        document.getElementById('finalMode').textContent = variations.length > 0
+            ? this.i18n.t('gameOver.modeWithVariations', { mode: modeName, variations: this.i18n.formatList(variations) })
+            : modeName;
+        document.getElementById('finalScore').textContent = this.i18n.formatNumber(score);
+        document.getElementById('finalSeed').textContent = seed;
+        document.getElementById('finalBestCombo').textContent = this.i18n.formatNumber(this.core.bestCombo);
         document.getElementById('newHighScore').style.display = isNewHighScore ? 'block' : 'none';
-        document.getElementById('highScore').textContent = this.highScore;
+        document.getElementById('highScore').textContent = this.i18n.formatNumber(this.highScore);
         document.getElementById('gameOverScreen').classList.add('active');
+        this.announce(this.i18n.t(isNewHighScore ? 'announce.gameOverHighScore' : 'announce.gameOver', { score }));
     }
     
     /**
-     * Update game logic
-     * @param {number} deltaTime - Frame time in seconds
+     * Advance the simulation and effects by one fixed step
+     * @param {number} deltaTime - Step length in seconds (CONFIG.FIXED_TIMESTEP)
      */
     update(deltaTime) {
-        if (this.state !== GameState.PLAYING) return;
+        if (this.core.state !== GameState.PLAYING) return;
         
-        // Update timer
-        this.timeLeft -= deltaTime;
-        if (this.timeLeft <= 0) {
-            this.timeLeft = 0;
-            this.endGame();
+        // Replays of runs ended from the pause menu stop where the player quit
+        if (this.replayPlayer && this.replayPlayer.reachedQuit()) {
+            this.core.end('quit');
             return;
         }
         
-        // Update spawn rate based on time
-        const timeElapsed = (Date.now() - this.gameStartTime) / 1000;
-        this.currentSpawnRate = CONFIG.SPAWN_RATE + Math.floor(timeElapsed / 10) * CONFIG.SPAWN_RATE_INCREASE;
+        this.core.step(this.nextInput());
+        if (this.stressTest) {
+            this.fillStressTest();
+        }
+        this.audio.setMusicIntensity(this.core.currentSpawnRate);
+        this.updateScenery(deltaTime);
+        this.updateParticles(deltaTime);
+        this.updateFloatingTexts(deltaTime);
+        if (this.settings.get('accessibleMode')) {
+            this.updateAudioCues(deltaTime);
+            this.updateAnnouncements(deltaTime);
+        }
+    }
+    
+    /**
+     * Beep for the nearest falling gold every AUDIO_CUE_INTERVAL
+     * The cue is panned to the gold's side of the basket and rises in pitch
+     * as the gold falls toward the rim.
+     * @param {number} deltaTime - Step length in seconds
+     */
+    updateAudioCues(deltaTime) {
+        this.cueTimer += deltaTime;
+        if (this.cueTimer < AUDIO_CUE_INTERVAL) return;
+        this.cueTimer = 0;
         
-        // Handle input and update basket
-        this.updateBasket(deltaTime);
+        const gold = this.findNearestGold();
+        if (!gold) return;
         
-        // Spawn gold pieces
-        this.spawnGold(deltaTime);
+        const { basket } = this.core;
+        const center = basket.x + basket.width / 2;
+        const pan = (gold.x - center) / (CONFIG.GAME_WIDTH / 2);
+        const closeness = Utils.clamp(gold.y / basket.y, 0, 1);
+        this.audio.playCue(pan, Math.pow(2, closeness * AUDIO_CUE_OCTAVES));
+    }
+    
+    /**
+     * Find the falling gold closest to the basket, ignoring gold already
+     * below its rim
+     * @returns {Gold|null} Nearest gold, or null when none is above the rim
+     */
+    findNearestGold() {
+        const { basket } = this.core;
+        const center = basket.x + basket.width / 2;
+        let nearest = null;
+        let nearestDistance = Infinity;
         
-        // Update gold pieces
-        this.updateGold(deltaTime);
+        this.core.goldPool.getActive().forEach(gold => {
+            if (gold.y > basket.y) return;
+            const distance = Math.hypot(gold.x - center, basket.y - gold.y);
+            if (distance < nearestDistance) {
+                nearest = gold;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+    
+    /**
+     * Read out time warnings as the clock passes them, and the score now
+     * and then when it has changed (accessible mode)
+     * @param {number} deltaTime - Step length in seconds
+     */
+    updateAnnouncements(deltaTime) {
+        const { mode, timeLeft, score } = this.core;
         
-        // Update particles
-        this.updateParticles(deltaTime);
+        if (mode.timed) {
+            // A penalty can jump past several warnings; read out the last one
+            const warning = TIME_WARNINGS.filter(seconds => this.announcedTimeLeft > seconds && timeLeft <= seconds).pop();
+            this.announcedTimeLeft = timeLeft;
+            if (warning !== undefined) {
+                this.announce(this.i18n.t('announce.timeWarning', { count: warning, score }));
+                this.announcedScore = score;
+                this.scoreAnnounceTimer = 0;
+                return;
+            }
+        }
         
-        // Update UI
-        this.updateUI();
+        this.scoreAnnounceTimer += deltaTime;
+        if (this.scoreAnnounceTimer >= SCORE_ANNOUNCE_INTERVAL && score !== this.announcedScore) {
+            this.announce(this.i18n.t('announce.score', { score }));
+            this.announcedScore = score;
+            this.scoreAnnounceTimer = 0;
+        }
     }
     
     /**
-     * Update basket based on input
-     * @param {number} deltaTime - Frame time in seconds
+     * Read a message out through the screen reader live region
+     * The region is emptied first so a repeated message is still spoken.
+     * @param {string} message - Text to announce
      */
-    updateBasket(deltaTime) {
-        if (!this.basket) return;
-        
-        let vx = 0, vy = 0;
+    announce(message) {
+        const announcer = document.getElementById('announcer');
+        announcer.textContent = '';
+        setTimeout(() => {
+            announcer.textContent = message;
+        }, ANNOUNCE_DELAY);
+    }
+    
+    /**
+     * Get the input for the next simulation step
+     * Replays supply recorded input; live runs read devices.
+     * @returns {Object} Input with x, y axes in [-1, 1]
+     */
+    nextInput() {
+        if (this.replayPlayer) {
+            return this.replayPlayer.next() || { x: 0, y: 0 };
+        }
+        return this.readInput();
+    }
+    
+    /**
+     * Read live input devices
+     * @returns {Object} Input with x, y axes in [-1, 1]
+     */
+    readInput() {
+        let x = 0, y = 0;
         
         // Keyboard input
-        if (this.keys['ArrowLeft']) vx -= CONFIG.BASKET_SPEED;
-        if (this.keys['ArrowRight']) vx += CONFIG.BASKET_SPEED;
-        if (this.keys['ArrowUp']) vy -= CONFIG.BASKET_SPEED;
-        if (this.keys['ArrowDown']) vy += CONFIG.BASKET_SPEED;
+        if (this.bindings.isHeld('moveLeft', this.keys)) x -= 1;
+        if (this.bindings.isHeld('moveRight', this.keys)) x += 1;
+        if (this.bindings.isHeld('moveUp', this.keys)) y -= 1;
+        if (this.bindings.isHeld('moveDown', this.keys)) y += 1;
         
         // Touch input
-        if (this.touches.left) vx -= CONFIG.BASKET_SPEED;
-        if (this.touches.right) vx += CONFIG.BASKET_SPEED;
-        if (this.touches.up) vy -= CONFIG.BASKET_SPEED;
-        if (this.touches.down) vy += CONFIG.BASKET_SPEED;
+        if (this.touches.left) x -= 1;
+        if (this.touches.right) x += 1;
+        if (this.touches.up) y -= 1;
+        if (this.touches.down) y += 1;
+        
+        // Gamepad: analog stick for proportional speed, D-pad at full speed
+        x += this.gamepad.stick.x + this.gamepad.dpad.x;
+        y += this.gamepad.stick.y + this.gamepad.dpad.y;
+        
+        // Pointer or tilt, depending on the control scheme
+        if (this.controlScheme === 'drag' || this.controlScheme === 'swipe') {
+            const pointer = this.pointer.read();
+            x += pointer.x;
+            y += pointer.y;
+        } else if (this.controlScheme === 'tilt') {
+            const tilt = this.tilt.read();
+            x += tilt.x;
+            y += tilt.y;
+        }
         
-        this.basket.setVelocity(vx, vy);
-        this.basket.update(deltaTime);
+        return { x: Utils.clamp(x, -1, 1), y: Utils.clamp(y, -1, 1) };
     }
     
     /**
-     * Spawn new gold pieces
-     * @param {number} deltaTime - Frame time in seconds
+     * Drift the clouds and move the weather with the wind
+     * Both hold still with reduced motion on.
+     * @param {number} deltaTime - Step length in seconds
      */
-    spawnGold(deltaTime) {
-        const now = Date.now();
-        const timeBetweenSpawns = 1000 / this.currentSpawnRate;
+    updateScenery(deltaTime) {
+        if (this.settings.get('reducedMotion')) return;
         
-        if (now - this.lastSpawnTime > timeBetweenSpawns) {
-            const x = Utils.random(CONFIG.GOLD_MAX_SIZE, CONFIG.GAME_WIDTH - CONFIG.GOLD_MAX_SIZE);
-            const y = -CONFIG.GOLD_MAX_SIZE;
-            this.goldPool.get(x, y);
-            this.lastSpawnTime = now;
-        }
+        this.skyDrift += (SKY_DRIFT_SPEED + this.core.wind) * deltaTime;
+        this.weatherEffect.update(deltaTime, this.core.wind);
     }
     
     /**
-     * Update all gold pieces
+     * Update particle effects
      * @param {number} deltaTime - Frame time in seconds
      */
-    updateGold(deltaTime) {
-        const activeGold = this.goldPool.getActive();
-        
-        for (let i = activeGold.length - 1; i >= 0; i--) {
-            const gold = activeGold[i];
-            gold.update(deltaTime);
-            
-            // Check collision with basket
-            if (this.basket && Utils.circleRectCollision(
-                gold.getCollisionBounds(),
-                this.basket.getCollisionBounds()
-            )) {
-                // Collect gold
-                const points = gold.getPointValue();
-                this.score += points;
-                this.basket.flash();
-                this.audio.play('pickup');
-                
-                // Create particles
-                this.createPickupParticles(gold.x, gold.y);
-                
-                // Remove gold
-                this.goldPool.release(gold);
-                continue;
-            }
+    updateParticles(deltaTime) {
+        const particles = this.particlePool.getActive();
+        for (let i = particles.length - 1; i >= 0; i--) {
+            const particle = particles[i];
+            particle.update(deltaTime);
             
-            // Remove if off screen
-            if (gold.isOffScreen()) {
-                this.audio.play('miss');
-                this.goldPool.release(gold);
+            if (!particle.isAlive()) {
+                this.particlePool.release(particle);
             }
         }
     }
     
     /**
-     * Update particle effects
-     * @param {number} deltaTime - Frame time in seconds
+     * Update floating score text
+     * @param {number} deltaTime - Step length in seconds
      */
-    updateParticles(deltaTime) {
-        for (let i = this.particles.length - 1; i >= 0; i--) {
-            const particle = this.particles[i];
-            particle.update(deltaTime);
+    updateFloatingTexts(deltaTime) {
+        for (let i = this.floatingTexts.length - 1; i >= 0; i--) {
+            const text = this.floatingTexts[i];
+            text.update(deltaTime);
             
-            if (!particle.isAlive()) {
-                this.particles.splice(i, 1);
+            if (!text.isAlive()) {
+                this.floatingTexts.splice(i, 1);
             }
         }
     }
     
+    /**
+     * Top the stress test back up to its object count
+     * New gold is spread over the upper half of the screen and the strip
+     * above it so pieces keep arriving.
+     */
+    fillStressTest() {
+        const { goldPool } = this.core;
+        while (goldPool.getActive().length < this.stressTest) {
+            goldPool.get(
+                Random.effects.range(CONFIG.GOLD_MAX_SIZE, CONFIG.GAME_WIDTH - CONFIG.GOLD_MAX_SIZE),
+                Random.effects.range(-CONFIG.GAME_HEIGHT, CONFIG.GAME_HEIGHT / 2)
+            );
+        }
+    }
+    
     /**
      * Create pickup particle effect
      * @param {number} x - X position
      * @param {number} y - Y position
+     * @param {string} color - Particle color
      */
-    createPickupParticles(x, y) {
+    createPickupParticles(x, y, color = '#FFD700') {
+        if (this.settings.get('reducedMotion')) return;
+        
         for (let i = 0; i < CONFIG.PARTICLE_COUNT; i++) {
-            this.particles.push(new Particle(x, y, '#FFD700'));
+            this.particlePool.get(x, y, color);
         }
     }
     
@@ -1016,33 +4311,83 @@ class Game {
      * Update UI elements
      */
     updateUI() {
-        document.getElementById('currentScore').textContent = this.score;
-        document.getElementById('timeLeft').textContent = Utils.formatTime(this.timeLeft);
+        const { mode } = this.core;
+        document.getElementById('currentScore').textContent = this.i18n.formatNumber(this.core.score);
+        
+        // Untimed modes show how long the run has lasted instead of a countdown
+        document.getElementById('timeLabel').textContent = this.i18n.t(mode.timed ? 'hud.time' : 'hud.elapsed');
+        document.getElementById('timeLeft').textContent =
+            Utils.formatTime(mode.timed ? this.core.timeLeft : this.core.gameTime);
+        
+        const livesInfo = document.getElementById('livesInfo');
+        livesInfo.hidden = mode.startingLives() === 0;
+        document.getElementById('livesCount').textContent = '♥'.repeat(this.core.lives) || '0';
+        
+        this.updateComboDisplay();
+        this.updateEffectsDisplay();
+    }
+    
+    /**
+     * Show the combo count and progress toward the next multiplier
+     */
+    updateComboDisplay() {
+        const { combo } = this.core;
+        const multiplier = this.core.getComboMultiplier();
+        const maxed = multiplier >= CONFIG.COMBO_MAX_MULTIPLIER;
+        const progress = maxed ? 1 : (combo % CONFIG.COMBO_STEP) / CONFIG.COMBO_STEP;
+        
+        document.getElementById('comboCount').textContent = combo;
+        document.getElementById('comboMultiplier').textContent = `×${multiplier}`;
+        document.getElementById('comboMeterFill').style.width = `${Math.round(progress * 100)}%`;
+    }
+    
+    /**
+     * Show active power-up effects as countdown icons in the UI bar
+     */
+    updateEffectsDisplay() {
+        const effects = Object.entries(this.core.effects);
+        const markup = effects.map(([kind, remaining]) => {
+            const type = PowerUpTypes[kind];
+            const seconds = Math.ceil(remaining);
+            const title = this.i18n.t('hud.effect', { name: this.i18n.t(`powerUp.${kind}`), count: seconds });
+            return `<span class="effect-icon" style="border-color: ${type.color}" ` +
+                `title="${title}">${type.icon} ${seconds}</span>`;
+        }).join('');
+        
+        // Only touch the DOM when the countdown text changes
+        if (markup !== this.effectsMarkup) {
+            this.effectsMarkup = markup;
+            document.getElementById('activeEffects').innerHTML = markup;
+        }
     }
     
     /**
      * Update score display
      */
     updateScoreDisplay() {
-        document.getElementById('currentScore').textContent = this.score;
-        document.getElementById('highScore').textContent = this.highScore;
+        document.getElementById('currentScore').textContent = this.i18n.formatNumber(this.core.score);
+        document.getElementById('highScore').textContent = this.i18n.formatNumber(this.highScore);
     }
     
     /**
      * Render game graphics
      */
     render() {
-        // Clear canvas
-        this.ctx.clearRect(0, 0, CONFIG.GAME_WIDTH, CONFIG.GAME_HEIGHT);
+        // Clear canvas and draw in game coordinates from here on
+        this.viewport.begin(this.ctx);
         
-        if (this.state === GameState.PLAYING || this.state === GameState.PAUSED) {
+        const state = this.core.state;
+        if (state === GameState.PLAYING || state === GameState.PAUSED) {
             // Draw background
             this.drawBackground();
             
             // Draw game objects
             this.drawGold();
+            this.drawHazards();
+            this.drawPowerUps();
             this.drawBasket();
             this.drawParticles();
+            this.drawFloatingTexts();
             
             // Draw debug info
             if (this.debugMode) {
@@ -1050,56 +4395,110 @@ class Game {
             }
             
             // Draw pause overlay
-            if (this.state === GameState.PAUSED) {
+            if (state === GameState.PAUSED) {
                 this.drawPauseOverlay();
             }
         }
+        
+        this.viewport.end(this.ctx);
+    }
+    
+    /**
+     * Pick the theme to draw with
+     * High contrast wins over everything; campaign levels bring their own theme.
+     * @returns {Theme} Theme for this frame
+     */
+    currentTheme() {
+        if (this.settings.get('highContrast')) return this.themes.highContrast;
+        
+        const level = CampaignLevels[this.campaignLevel];
+        const theme = this.themes[level ? level.theme : this.settings.get('theme')] || this.themes.day;
+        return this.colorVisionTheme(theme, this.settings.get('colorVision'));
+    }
+    
+    /**
+     * Get a theme with its object palettes swapped for a color vision type's
+     * Variants keep the theme's sky and are built once, so their sprites stay
+     * cached; they skip the sprite atlas, whose images cannot be recolored.
+     * @param {Theme} theme - Theme to adapt
+     * @param {string} colorVision - Key of COLOR_VISIONS
+     * @returns {Theme} Theme to draw with
+     */
+    colorVisionTheme(theme, colorVision) {
+        if (colorVision === 'standard') return theme;
+        
+        const key = `${theme.id}.${colorVision}`;
+        if (!this.colorVisionThemes.has(key)) {
+            const { gold, basket, hazard, powerUp } = COLOR_VISIONS[colorVision];
+            this.colorVisionThemes.set(key, new Theme({
+                ...THEMES[theme.id], id: theme.id, atlas: false, gold, basket, hazard, powerUp
+            }, this.sprites));
+        }
+        return this.colorVisionThemes.get(key);
     }
     
     /**
      * Draw game background
      */
     drawBackground() {
-        // Sky gradient
-        const gradient = this.ctx.createLinearGradient(0, 0, 0, CONFIG.GAME_HEIGHT);
-        gradient.addColorStop(0, '#87CEEB');
-        gradient.addColorStop(0.7, '#E0F6FF');
-        gradient.addColorStop(1, '#F0F8FF');
-        
-        this.ctx.fillStyle = gradient;
-        this.ctx.fillRect(0, 0, CONFIG.GAME_WIDTH, CONFIG.GAME_HEIGHT);
+        // Campaign levels bring their own sky colors; high contrast keeps its plain sky
+        const theme = this.currentTheme();
+        const level = CampaignLevels[this.campaignLevel];
+        const sky = level && theme !== this.themes.highContrast ? level.background : theme.sky;
+        theme.drawSky(this.ctx, this.lastFrameTime / 1000, sky, {
+            drift: this.skyDrift,
+            cycle: this.dayCycleProgress()
+        });
         
-        // Simple cloud shapes
-        this.drawClouds();
+        // Weather is drawn behind the falling objects so it never hides them
+        if (!this.settings.get('reducedMotion')) {
+            this.weatherEffect.draw(this.ctx, this.core.wind);
+        }
     }
     
     /**
-     * Draw decorative clouds
+     * Work out how far the sun and moon cycle has gone
+     * Timed runs go from morning to night as the clock runs down; untimed
+     * runs go back and forth every DAY_CYCLE_LENGTH seconds.
+     * @returns {number|null} 0 (morning) to 1 (night), or null when the cycle is off
      */
-    drawClouds() {
-        const clouds = [
-            { x: 100, y: 80, size: 40 },
-            { x: 300, y: 120, size: 30 },
-            { x: 600, y: 60, size: 35 },
-            { x: 750, y: 140, size: 25 }
-        ];
+    dayCycleProgress() {
+        if (!this.settings.get('dayCycle')) return null;
         
-        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-        clouds.forEach(cloud => {
-            this.ctx.beginPath();
-            this.ctx.arc(cloud.x, cloud.y, cloud.size, 0, Math.PI * 2);
-            this.ctx.arc(cloud.x + cloud.size * 0.6, cloud.y, cloud.size * 0.8, 0, Math.PI * 2);
-            this.ctx.arc(cloud.x + cloud.size * 1.2, cloud.y, cloud.size * 0.6, 0, Math.PI * 2);
-            this.ctx.fill();
-        });
+        const { core } = this;
+        if (core.mode.timed) {
+            return Utils.clamp(1 - core.timeLeft / CONFIG.INITIAL_TIMER, 0, 1);
+        }
+        return 1 - Math.abs((core.gameTime / DAY_CYCLE_LENGTH) % 2 - 1);
     }
     
     /**
      * Draw all gold pieces
      */
     drawGold() {
-        this.goldPool.getActive().forEach(gold => {
-            gold.draw(this.ctx, this.debugMode);
+        const theme = this.currentTheme();
+        this.core.goldPool.getActive().forEach(gold => {
+            theme.drawGold(this.ctx, gold, this.debugMode, this.interpolation);
+        });
+    }
+    
+    /**
+     * Draw all hazards
+     */
+    drawHazards() {
+        const theme = this.currentTheme();
+        this.core.hazardPool.getActive().forEach(hazard => {
+            theme.drawHazard(this.ctx, hazard, this.debugMode, this.interpolation);
+        });
+    }
+    
+    /**
+     * Draw all power-ups
+     */
+    drawPowerUps() {
+        const theme = this.currentTheme();
+        this.core.powerUpPool.getActive().forEach(powerUp => {
+            theme.drawPowerUp(this.ctx, powerUp, this.debugMode, this.interpolation);
         });
     }
     
@@ -1107,8 +4506,8 @@ class Game {
      * Draw basket
      */
     drawBasket() {
-        if (this.basket) {
-            this.basket.draw(this.ctx, this.debugMode);
+        if (this.core.basket) {
+            this.currentTheme().drawBasket(this.ctx, this.core.basket, this.debugMode, this.interpolation);
         }
     }
     
@@ -1116,8 +4515,17 @@ class Game {
      * Draw particle effects
      */
     drawParticles() {
-        this.particles.forEach(particle => {
-            particle.draw(this.ctx);
+        this.particlePool.getActive().forEach(particle => {
+            particle.draw(this.ctx, this.interpolation);
+        });
+    }
+    
+    /**
+     * Draw floating score text
+     */
+    drawFloatingTexts() {
+        this.floatingTexts.forEach(text => {
+            text.draw(this.ctx, this.interpolation);
         });
     }
     
@@ -1127,18 +4535,37 @@ class Game {
     drawDebugInfo() {
         const debugInfo = document.querySelector('.debug-info') || this.createDebugInfoElement();
         
-        const activeGold = this.goldPool.getActive().length;
-        const pooledGold = this.goldPool.pool.length;
+        const core = this.core;
+        const activeGold = core.goldPool.getActive().length;
+        const pooledGold = core.goldPool.pool.length;
+        const particles = this.particlePool.getActive().length;
+        const objects = activeGold + core.hazardPool.getActive().length +
+            core.powerUpPool.getActive().length + particles;
+        const { update, render } = this.frameTimes;
         
-        debugInfo.innerHTML = `
+        debugInfo.querySelector('.debug-stats').innerHTML = `
             FPS: ${this.fps}<br>
+            Frame Time: ${(update + render).toFixed(2)}ms (update ${update.toFixed(2)}, render ${render.toFixed(2)})<br>
+            Objects: ${objects}${this.stressTest ? ' (stress test)' : ''}<br>
+            Broad Phase: ${core.collisions.candidates} of ${core.collisions.count} checked<br>
             Active Gold: ${activeGold}<br>
             Pooled Gold: ${pooledGold}<br>
-            Particles: ${this.particles.length}<br>
-            Spawn Rate: ${this.currentSpawnRate.toFixed(1)}/sec<br>
-            Score: ${this.score}<br>
-            Time: ${this.timeLeft.toFixed(1)}s
+            Power-ups: ${core.powerUpPool.getActive().length} [${Object.keys(core.effects).join(', ')}]<br>
+            Hazards: ${core.hazardPool.getActive().length} (${(core.currentHazardChance * 100).toFixed(0)}%)<br>
+            Particles: ${particles} (${this.particlePool.pool.length} pooled)<br>
+            Spawn Rate: ${core.currentSpawnRate.toFixed(1)}/sec<br>
+            Score: ${core.score}<br>
+            Combo: ${core.combo} (×${core.getComboMultiplier()}, best ${core.bestCombo})<br>
+            Seed: ${core.seed}<br>
+            Time: ${core.timeLeft.toFixed(1)}s<br>
+            Game Clock: ${core.gameTime.toFixed(2)}s
         `;
+        
+        const stressLabel = this.stressTest ? 'Stop stress test' : `Stress test (${STRESS_TEST_OBJECTS})`;
+        const stressBtn = debugInfo.querySelector('.debug-stress');
+        if (stressBtn.textContent !== stressLabel) {
+            stressBtn.textContent = stressLabel;
+        }
     }
     
     /**
@@ -1148,6 +4575,14 @@ class Game {
     createDebugInfoElement() {
         const debugInfo = document.createElement('div');
         debugInfo.className = 'debug-info';
+        
+        const stats = document.createElement('div');
+        stats.className = 'debug-stats';
+        const stressBtn = document.createElement('button');
+        stressBtn.className = 'debug-stress';
+        stressBtn.addEventListener('click', () => this.toggleStressTest());
+        debugInfo.append(stats, stressBtn);
+        
         document.getElementById('gameArea').appendChild(debugInfo);
         return debugInfo;
     }
@@ -1161,11 +4596,14 @@ class Game {
         
         this.ctx.fillStyle = 'white';
         this.ctx.font = 'bold 48px Arial';
-        this.ctx.fillText('PAUSED', CONFIG.GAME_WIDTH / 2, CONFIG.GAME_HEIGHT / 2);
+        this.ctx.direction = this.i18n.direction();
+        this.ctx.fillText(this.i18n.t('hud.paused'), CONFIG.GAME_WIDTH / 2, CONFIG.GAME_HEIGHT / 2);
     }
     
     /**
      * Main game loop
+     * Runs the simulation in fixed steps from an accumulator and renders
+     * once per display frame, interpolating between the last two steps.
      * @param {number} timestamp - High resolution timestamp
      */
     gameLoop(timestamp) {
@@ -1183,32 +4621,57 @@ class Game {
             this.fpsTimer = 0;
         }
         
-        // Update and render
-        this.update(deltaTime);
+        // Read the controller before stepping so its input is current
+        this.handleGamepad();
+        
+        // Advance the game clock only while playing
+        const step = CONFIG.FIXED_TIMESTEP;
+        if (this.core.state === GameState.PLAYING && !this.replayPaused) {
+            const updateStart = performance.now();
+            // Replays run at the chosen playback speed, live runs at the game speed
+            const speed = this.replayPlayer ? this.playbackSpeed : GAME_SPEEDS[this.runSpeed].scale;
+            this.accumulator += Math.min(deltaTime, CONFIG.MAX_FRAME_TIME) * speed;
+            while (this.accumulator >= step && this.core.state === GameState.PLAYING) {
+                this.update(step);
+                this.accumulator -= step;
+            }
+            this.interpolation = this.accumulator / step;
+            this.updateUI();
+            this.updateReplayControls();
+            this.recordFrameTime('update', performance.now() - updateStart);
+        } else {
+            this.accumulator = 0;
+        }
+        
+        const renderStart = performance.now();
         this.render();
+        this.recordFrameTime('render', performance.now() - renderStart);
         
         // Continue loop
         requestAnimationFrame(timestamp => this.gameLoop(timestamp));
     }
     
+    /**
+     * Fold a measured time into the averaged frame times
+     * @param {string} phase - 'update' or 'render'
+     * @param {number} milliseconds - Time the phase took this frame
+     */
+    recordFrameTime(phase, milliseconds) {
+        this.frameTimes[phase] += (milliseconds - this.frameTimes[phase]) * FRAME_TIME_SMOOTHING;
+    }
+    
     /**
      * Toggle audio mute
      */
     toggleMute() {
-        const isMuted = this.audio.toggleMute();
-        const muteBtn = document.getElementById('muteBtn');
-        muteBtn.textContent = isMuted ? '🔇' : '🔊';
-        muteBtn.setAttribute('aria-label', isMuted ? 'Unmute sound' : 'Mute sound');
+        this.setMuted(!this.settings.get('muted'));
     }
     
     /**
      * Toggle high contrast mode
      */
     toggleHighContrast() {
-        document.body.classList.toggle('high-contrast');
-        const contrastBtn = document.getElementById('contrastBtn');
-        const isHighContrast = document.body.classList.contains('high-contrast');
-        contrastBtn.setAttribute('aria-label', isHighContrast ? 'Disable high contrast' : 'Enable high contrast');
+        this.setHighContrast(!this.settings.get('highContrast'));
     }
     
     /**
@@ -1228,17 +4691,48 @@ class Game {
         }
     }
     
+    /**
+     * Start a stress test, or end the one that is running
+     */
+    toggleStressTest() {
+        if (this.stressTest) {
+            this.core.end('quit');
+        } else {
+            this.startStressTest();
+        }
+    }
+    
+    /**
+     * Start a debug run that keeps the field full of falling gold, to watch
+     * frame time and the broad phase under load in the debug overlay
+     * Stress tests are untimed Zen runs that never reach a leaderboard.
+     * @param {number} count - Falling objects to keep on screen
+     */
+    startStressTest(count = STRESS_TEST_OBJECTS) {
+        this.stopReplay();
+        this.campaignLevel = null;
+        this.restoreLiveConfig();
+        this.runDifficulty = 'normal';
+        this.runWeather = 'clear';
+        this.runSpeed = 'normal';
+        this.updateLevelDisplay();
+        this.resetRun(this.resolveSeed(), 'zen');
+        this.stressTest = count;
+    }
+    
     /**
      * Share score functionality
      */
     shareScore() {
-        const shareText = `I just scored ${this.score} points in Gold Sky! Can you beat my score? 🌟`;
-        const shareUrl = window.location.href;
+        const shareText = this.i18n.t('share.text', { count: this.core.score });
+        const url = new URL(window.location.href);
+        url.searchParams.set('seed', this.core.seed);
+        const shareUrl = url.toString();
         
         // Try native sharing API first (mobile)
         if (navigator.share) {
             navigator.share({
-                title: 'Gold Sky - My Score',
+                title: this.i18n.t('share.title'),
                 text: shareText,
                 url: shareUrl
             }).catch(err => console.log('Error sharing:', err));
@@ -1247,14 +4741,14 @@ class Game {
             if (navigator.clipboard) {
                 navigator.clipboard.writeText(shareText + ' ' + shareUrl)
                     .then(() => {
-                        alert('Score copied to clipboard!');
+                        alert(this.i18n.t('share.copied'));
                     })
                     .catch(() => {
                         // Final fallback: show alert with text to copy
-                        prompt('Copy this text to share your score:', shareText + ' ' + shareUrl);
+                        prompt(this.i18n.t('share.prompt'), shareText + ' ' + shareUrl);
                     });
             } else {
-                prompt('Copy this text to share your score:', shareText + ' ' + shareUrl);
+                prompt(this.i18n.t('share.prompt'), shareText + ' ' + shareUrl);
             }
         }
     }
@@ -1290,6 +4784,17 @@ const Tests = {
         circle.x = 100;
         console.assert(!Utils.circleRectCollision(circle, rect), 'Circle should not collide with distant rectangle');
         
+        // Gold is only caught through the rim, from above
+        const basket = new Basket(100, 100);
+        const gold = { x: 140, y: 101, prevY: 99 };
+        console.assert(basket.catchesThroughRim(gold), 'Gold crossing the rim should be caught');
+        gold.x = 95;
+        console.assert(!basket.catchesThroughRim(gold), 'Gold beside the rim should not be caught');
+        gold.x = 140;
+        gold.prevY = 120;
+        gold.y = 122;
+        console.assert(!basket.catchesThroughRim(gold), 'Gold already inside the basket should not be caught');
+        
         console.log('Collision tests passed!');
     },
     
@@ -1310,6 +4815,10 @@ const Tests = {
         console.assert(Utils.clamp(-5, 0, 10) === 0, 'Clamp should constrain to minimum');
         console.assert(Utils.clamp(15, 0, 10) === 10, 'Clamp should constrain to maximum');
         
+        // Lerp test
+        console.assert(Utils.lerp(0, 10, 0.5) === 5, 'Lerp should interpolate midpoint');
+        console.assert(Utils.lerp(4, 8, 1) === 8, 'Lerp should reach end value');
+        
         // Time format test
         console.assert(Utils.formatTime(65) === '1:05', 'Time format should work correctly');
         console.assert(Utils.formatTime(5) === '0:05', 'Time format should pad seconds');
@@ -1317,6 +4826,137 @@ const Tests = {
         console.log('Utility tests passed!');
     },
     
+    /**
+     * Test seeded random number generator
+     */
+    testRandom() {
+        console.log('Testing seeded random numbers...');
+        
+        const a = new Rng('daily-2024-05-01');
+        const b = new Rng('daily-2024-05-01');
+        const c = new Rng('another-seed');
+        const seqA = Array.from({ length: 5 }, () => a.next());
+        const seqB = Array.from({ length: 5 }, () => b.next());
+        const seqC = Array.from({ length: 5 }, () => c.next());
+        
+        console.assert(seqA.every((v, i) => v === seqB[i]), 'Same seed should give same sequence');
+        console.assert(seqA.some((v, i) => v !== seqC[i]), 'Different seeds should give different sequences');
+        console.assert(seqA.every(v => v >= 0 && v < 1), 'Random values should be in [0, 1)');
+        
+        console.log('Random tests passed!');
+    },
+    
+    /**
+     * Test replay recording and playback
+     */
+    testReplay() {
+        console.log('Testing replay recording...');
+        
+        const recorder = new ReplayRecorder('replay-test', 'timeAttack');
+        const inputs = [{ x: -1, y: 0 }, { x: -1, y: 0 }, { x: 0.5, y: 1 }, { x: 0, y: 0 }];
+        inputs.forEach(input => recorder.record(ReplayRecorder.quantize(input)));
+        const replay = JSON.parse(JSON.stringify(recorder.toReplay(42)));
+        
+        console.assert(replay.inputs.length === 3, 'Repeated inputs should be run-length encoded');
+        
+        const player = new ReplayPlayer(replay);
+        const played = inputs.map(() => player.next());
+        console.assert(played.every((input, i) => input.x === inputs[i].x && input.y === inputs[i].y),
+            'Playback should return recorded inputs in order');
+        console.assert(player.isFinished() && player.next() === null, 'Playback should finish after last step');
+        
+        let rejected = false;
+        try {
+            new ReplayPlayer({ ...replay, steps: 99 });
+        } catch (e) {
+            rejected = true;
+        }
+        console.assert(rejected, 'Replay with mismatched step count should be rejected');
+        
+        console.log('Replay tests passed!');
+    },
+    
+    /**
+     * Test gamepad stick deadzone
+     */
+    testGamepad() {
+        console.log('Testing gamepad deadzone...');
+        
+        const gamepad = new GamepadInput();
+        gamepad.deadzone = 0.2;
+        
+        const resting = gamepad.applyDeadzone(0.1, -0.1);
+        console.assert(resting.x === 0 && resting.y === 0, 'Small stick drift should be ignored');
+        
+        const full = gamepad.applyDeadzone(1, 0);
+        console.assert(Math.abs(full.x - 1) < 1e-9, 'Full tilt should give full speed');
+        
+        const half = gamepad.applyDeadzone(0.6, 0);
+        console.assert(Math.abs(half.x - 0.5) < 1e-9, 'Tilt past the deadzone should scale proportionally');
+        
+        console.log('Gamepad tests passed!');
+    },
+    
+    /**
+     * Test settings validation and the control scheme migration
+     */
+    testSettings() {
+        console.log('Testing settings...');
+        
+        const items = { goldSkyControlScheme: 'swipe' };
+        const storage = {
+            getItem: key => (key in items ? items[key] : null),
+            setItem: (key, value) => { items[key] = String(value); },
+            removeItem: key => { delete items[key]; }
+        };
+        
+        const migrated = new Settings(storage, 'testSettings');
+        console.assert(migrated.get('controlScheme') === 'swipe', 'Saved control scheme should be carried over');
+        console.assert(!('goldSkyControlScheme' in items), 'Old control scheme key should be removed');
+        console.assert(JSON.parse(items.testSettings).version === SETTINGS_FORMAT_VERSION, 'Migrated record should be saved');
+        
+        console.assert(!migrated.set('difficulty', 'impossible'), 'Unknown difficulty should be refused');
+        console.assert(!migrated.set('gameSpeed', 'ludicrous'), 'Unknown game speed should be refused');
+        console.assert(migrated.set('colorVision', 'tritanopia'), 'Color vision types should be accepted');
+        console.assert(migrated.get('accessibleMode') === false, 'Accessible mode should start off');
+        migrated.setVolume('music', 2);
+        console.assert(new Settings(storage, 'testSettings').get('volumes').music === 1, 'Volumes should be clamped and saved');
+        console.assert(migrated.get('gamepadDeadzone') === GAMEPAD_DEADZONE, 'Stick deadzone should start at the default');
+        console.assert(migrated.set('gamepadDeadzone', 0.35), 'Deadzones in range should be accepted');
+        console.assert(!migrated.set('gamepadDeadzone', 0.9), 'Deadzones past the maximum should be refused');
+        console.assert(new Settings(storage, 'testSettings').get('gamepadDeadzone') === 0.35, 'Stick deadzone should be saved');
+        
+        const newer = JSON.stringify({ version: SETTINGS_FORMAT_VERSION + 1, volumes: { master: 0.1, music: 0.1, sfx: 0.1 } });
+        items.newerSettings = newer;
+        const downgraded = new Settings(storage, 'newerSettings');
+        downgraded.setVolume('music', 0.2);
+        console.assert(downgraded.get('volumes').music === 0.2, 'Newer records should still allow changes this session');
+        console.assert(items.newerSettings === newer, 'Newer records should not be overwritten');
+        
+        console.log('Settings tests passed!');
+    },
+    
+    /**
+     * Test message lookup, plurals and language choice
+     */
+    testI18n() {
+        console.log('Testing messages...');
+        
+        const i18n = new I18n();
+        i18n.addCatalog('en', { direction: 'ltr', messages: { greet: 'Hi {name}', left: { one: '{count} second', other: '{count} seconds' } } });
+        console.assert(i18n.t('greet', { name: 'Ada' }) === 'Hi Ada', 'Placeholders should be filled');
+        console.assert(i18n.t('left', { count: 1 }) === '1 second', 'One should pick the singular form');
+        console.assert(i18n.t('left', { count: 1500 }) === '1,500 seconds', 'Counts should be formatted');
+        console.assert(i18n.t('missing.key') === 'missing.key', 'Missing messages should show their key');
+        console.assert(i18n.direction() === 'ltr', 'English should read left to right');
+        
+        console.assert(I18n.resolve('auto', ['es-MX', 'en-US']) === 'es', 'Regional tags should match their language');
+        console.assert(I18n.resolve('auto', ['xx']) === FALLBACK_LANGUAGE, 'Unknown languages should fall back');
+        console.assert(I18n.resolve('en', ['es']) === 'en', 'A chosen language should beat the browser');
+        
+        console.log('Message tests passed!');
+    },
+    
     /**
      * Test scoring system
      */
@@ -1344,6 +4984,11 @@ const Tests = {
         try {
             this.testCollisions();
             this.testUtils();
+            this.testRandom();
+            this.testReplay();
+            this.testGamepad();
+            this.testSettings();
+            this.testI18n();
             this.testScoring();
             console.log('✅ All tests passed!');
         } catch (error) {
@@ -1368,3 +5013,4 @@ document.addEventListener('DOMContentLoaded', () => {
 window.Game = Game;
 window.CONFIG = CONFIG;
 window.Utils = Utils;
+window.Random = Random;
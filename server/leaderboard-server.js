@@ -0,0 +1,260 @@
+/**
+ * Gold Sky Game - Reference Leaderboard Server
+ * Small self-hostable HTTP server for the online leaderboard. Scores are kept
+ * in a JSON file, and every submission is re-simulated from its seed and
+ * replay so forged scores are rejected.
+ *
+ * Run with: node server/leaderboard-server.js
+ * Environment: PORT (default 8787), SCORES_FILE (default server/data/scores.json)
+ *
+ * API:
+ *   GET  /api/scores?mode=<mode>  - Ranked entries for a mode (without replays)
+ *   GET  /api/replays/<id>        - Replay of a ranked entry
+ *   POST /api/scores              - Submit { name, mode, seed, score, replay }
+ */
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const {
+    GameModes,
+    Leaderboard,
+    ReplayRecorder,
+    ReplayPlayer,
+    GameCore
+} = require('../core.js');
+
+// Server Configuration Constants
+const SERVER_CONFIG = {
+    PORT: 8787,
+    SCORES_FILE: path.join(__dirname, 'data', 'scores.json'),
+    ENTRIES_PER_MODE: 100,
+    MAX_BODY_BYTES: 1024 * 1024, // largest accepted submission
+    MAX_REPLAY_STEPS: 60 * 60 * 60 // one hour of play at 60 steps per second
+};
+
+/**
+ * Error with the HTTP status to answer with
+ */
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * localStorage-style store backed by one JSON file
+ * Writes go to a temporary file first so a crash never leaves a torn file.
+ * @param {string} file - Path of the JSON file
+ * @returns {Object} Storage with getItem/setItem
+ */
+function fileStorage(file) {
+    let items = {};
+    try {
+        items = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            console.warn(`Starting with an empty store, could not read ${file}:`, e.message);
+        }
+    }
+    
+    return {
+        getItem: key => (Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null),
+        setItem: (key, value) => {
+            items[key] = String(value);
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            const temp = `${file}.tmp`;
+            fs.writeFileSync(temp, JSON.stringify(items));
+            fs.renameSync(temp, file);
+        }
+    };
+}
+
+/**
+ * Check a submission and re-simulate its replay
+ * Replays must use the standard configuration; campaign levels and edited
+ * settings are not ranked.
+ * @param {Object} body - Parsed submission
+ * @returns {Object} Verified run: modeId, name, seed, replay and stats from the simulation
+ * @throws {HttpError} 400 if the submission is invalid or the score does not match
+ */
+function verifySubmission(body) {
+    if (!body || typeof body !== 'object') {
+        throw new HttpError(400, 'Submission must be a JSON object');
+    }
+    const { name, mode, seed, score, replay } = body;
+    
+    if (!Object.prototype.hasOwnProperty.call(GameModes, mode)) {
+        throw new HttpError(400, `Unknown game mode: ${mode}`);
+    }
+    if (typeof seed !== 'string' || !Number.isInteger(score) || score <= 0) {
+        throw new HttpError(400, 'Submission needs a seed and a positive score');
+    }
+    
+    try {
+        ReplayPlayer.validate(replay);
+    } catch (e) {
+        throw new HttpError(400, e.message);
+    }
+    if (replay.seed !== seed || replay.mode !== mode) {
+        throw new HttpError(400, 'Replay does not match the submitted seed and mode');
+    }
+    if (replay.steps > SERVER_CONFIG.MAX_REPLAY_STEPS) {
+        throw new HttpError(400, 'Replay is too long');
+    }
+    
+    const standard = ReplayRecorder.snapshotConfig();
+    const keys = Object.keys(standard);
+    if (Object.keys(replay.config).length !== keys.length || keys.some(key =>
+        JSON.stringify(replay.config[key]) !== JSON.stringify(standard[key])
+    )) {
+        throw new HttpError(400, 'Replay was not played with the standard settings');
+    }
+    
+    const result = GameCore.simulateReplay(replay);
+    if (result.score !== score) {
+        throw new HttpError(400, `Score does not match the replay (replay scores ${result.score})`);
+    }
+    
+    return { modeId: mode, name, seed, replay, ...result };
+}
+
+/**
+ * Read a request body as JSON
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > SERVER_CONFIG.MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Submission is too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (e) {
+                reject(new HttpError(400, 'Body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Send a JSON response (any origin may call the API)
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(body === null ? '' : JSON.stringify(body));
+}
+
+/**
+ * Strip the replay from an entry for listings
+ * @param {Object} entry - Stored entry
+ * @returns {Object} Entry without its replay
+ */
+function publicEntry(entry) {
+    const { replay, ...rest } = entry;
+    return rest;
+}
+
+/**
+ * Create the leaderboard server
+ * @param {Object} options - Optional scoresFile path
+ * @returns {http.Server} Server, not yet listening
+ * @throws {Error} If the scores file was written by a newer version
+ */
+function createServer(options = {}) {
+    const file = options.scoresFile || SERVER_CONFIG.SCORES_FILE;
+    const board = new Leaderboard(fileStorage(file), 'goldSkyLeaderboard', SERVER_CONFIG.ENTRIES_PER_MODE);
+    if (board.readOnly) {
+        // Serving an empty board would replace the newer scores on the first submission
+        throw new Error(`${file} was written by a newer version of the server`);
+    }
+    
+    const routes = {
+        'GET /api/scores': (req, url) => {
+            const modeId = url.searchParams.get('mode');
+            if (!Object.prototype.hasOwnProperty.call(GameModes, modeId)) {
+                throw new HttpError(400, `Unknown game mode: ${modeId}`);
+            }
+            return { status: 200, body: { mode: modeId, scores: board.getEntries(modeId).map(publicEntry) } };
+        },
+        
+        'POST /api/scores': async (req) => {
+            const run = verifySubmission(await readJson(req));
+            const entry = {
+                id: crypto.randomUUID(),
+                ...Leaderboard.createEntry(run.name, run),
+                replay: run.replay
+            };
+            const rank = board.add(run.modeId, entry);
+            // Verified runs that miss the board are answered with rank -1
+            return { status: rank === -1 ? 200 : 201, body: { rank, entry: publicEntry(entry) } };
+        }
+    };
+    
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        
+        try {
+            if (req.method === 'OPTIONS') {
+                sendJson(res, 204, null);
+                return;
+            }
+            
+            const replayMatch = req.method === 'GET' && url.pathname.match(/^\/api\/replays\/([\w-]+)$/);
+            if (replayMatch) {
+                const entry = Object.values(board.data.modes).flat().find(other => other.id === replayMatch[1]);
+                if (!entry) throw new HttpError(404, 'No replay with that id');
+                sendJson(res, 200, entry.replay);
+                return;
+            }
+            
+            const route = routes[`${req.method} ${url.pathname}`];
+            if (!route) throw new HttpError(404, 'Not found');
+            const { status, body } = await route(req, url);
+            sendJson(res, status, body);
+        } catch (e) {
+            if (!(e instanceof HttpError)) {
+                console.error('Request failed:', e);
+            }
+            sendJson(res, e.status || 500, { error: e instanceof HttpError ? e.message : 'Internal error' });
+        }
+    });
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.PORT) || SERVER_CONFIG.PORT;
+    const server = createServer({ scoresFile: process.env.SCORES_FILE });
+    server.listen(port, () => {
+        console.log(`Gold Sky leaderboard listening on http://localhost:${port}`);
+    });
+}
+
+module.exports = {
+    SERVER_CONFIG,
+    HttpError,
+    fileStorage,
+    verifySubmission,
+    createServer
+};
@@ -0,0 +1,1160 @@
+/**
+ * Gold Sky Game - Simulation Core Tests
+ * Drives GameCore frame by frame under Node: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    CONFIG,
+    Rng,
+    Utils,
+    Gold,
+    WeatherTypes,
+    Hazard,
+    PowerUp,
+    Basket,
+    ObjectPool,
+    CollisionLayers,
+    SpatialGrid,
+    CampaignLevels,
+    GameModes,
+    GameState,
+    LEADERBOARD_FORMAT_VERSION,
+    Leaderboard,
+    ReplayRecorder,
+    ReplayPlayer,
+    GameCore
+} = require('../core.js');
+
+const IDLE = { x: 0, y: 0 };
+const STEPS_PER_SECOND = Math.round(1 / CONFIG.FIXED_TIMESTEP);
+
+/**
+ * Step a core forward with the same input every step
+ * @param {GameCore} core - Core to drive
+ * @param {number} steps - Number of steps
+ * @param {Object} input - Input with x, y axes
+ */
+function run(core, steps, input = IDLE) {
+    for (let i = 0; i < steps; i++) {
+        core.step(input);
+    }
+}
+
+/**
+ * In-memory stand-in for localStorage
+ * @param {Object} items - Initial key/value pairs
+ * @returns {Object} Storage with getItem/setItem
+ */
+function memoryStorage(items = {}) {
+    const map = new Map(Object.entries(items));
+    return {
+        getItem: key => (map.has(key) ? map.get(key) : null),
+        setItem: (key, value) => map.set(key, String(value))
+    };
+}
+
+/**
+ * Put a piece of gold just above the basket's rim so it drops in on the next step
+ * @param {GameCore} core - Running core
+ * @returns {Gold} The gold piece
+ */
+function dropIntoBasket(core) {
+    const { basket } = core;
+    return core.goldPool.get(basket.x + basket.width / 2, basket.y - 0.5);
+}
+
+/**
+ * Record every event a core emits
+ * @param {GameCore} core - Core to observe
+ * @returns {Array} Emitted [event, payload] pairs
+ */
+function captureEvents(core) {
+    const events = [];
+    ['start', 'collect', 'miss', 'hazard', 'powerup', 'effectEnd', 'comboBreak', 'lifeLost', 'pause',
+        'resume', 'end'].forEach(name => {
+        core.on(name, payload => events.push([name, payload]));
+    });
+    return events;
+}
+
+test('utilities', async (t) => {
+    await t.test('circle-rectangle collision', () => {
+        const rect = { x: 40, y: 40, width: 20, height: 20 };
+        assert.ok(Utils.circleRectCollision({ x: 50, y: 50, radius: 20 }, rect));
+        assert.ok(!Utils.circleRectCollision({ x: 100, y: 50, radius: 20 }, rect));
+    });
+    
+    await t.test('clamp, lerp and time format', () => {
+        assert.strictEqual(Utils.clamp(-5, 0, 10), 0);
+        assert.strictEqual(Utils.clamp(15, 0, 10), 10);
+        assert.strictEqual(Utils.lerp(0, 10, 0.5), 5);
+        assert.strictEqual(Utils.formatTime(65), '1:05');
+    });
+    
+    await t.test('seeded generator repeats its sequence', () => {
+        const a = new Rng('seed');
+        const b = new Rng('seed');
+        for (let i = 0; i < 10; i++) {
+            assert.strictEqual(a.next(), b.next());
+        }
+    });
+});
+
+test('object pool reuses released objects', () => {
+    let created = 0;
+    const pool = new ObjectPool(() => ({ id: created++ }), () => {});
+    const first = pool.get();
+    pool.release(first);
+    const second = pool.get();
+    
+    assert.strictEqual(second, first);
+    assert.strictEqual(created, 1);
+    assert.strictEqual(pool.getActive().length, 1);
+});
+
+test('object pool swaps released objects out of the active list', () => {
+    const pool = new ObjectPool(id => ({ id }), (obj, id) => { obj.id = id; });
+    const [a, b, c] = [pool.get('a'), pool.get('b'), pool.get('c')];
+    pool.release(a);
+    
+    assert.deepStrictEqual(pool.getActive().map(obj => obj.id), ['c', 'b']);
+    assert.strictEqual(c.poolIndex, 0);
+    pool.release(a);
+    assert.strictEqual(pool.pool.length, 1, 'releasing twice should not pool twice');
+    
+    pool.releaseAll();
+    assert.strictEqual(pool.getActive().length, 0);
+    assert.strictEqual(pool.pool.length, 3);
+    assert.ok([a, b, c].includes(pool.get('d')));
+});
+
+test('broad phase', async (t) => {
+    const circle = (x, y, radius) => ({ getCollisionBounds: () => ({ x, y, radius }) });
+    
+    await t.test('queries report overlapping objects on masked layers once', () => {
+        const grid = new SpatialGrid(50);
+        const big = circle(100, 100, 80);
+        const far = circle(700, 500, 10);
+        const rock = circle(110, 110, 10);
+        grid.insert(big, CollisionLayers.GOLD);
+        grid.insert(far, CollisionLayers.GOLD);
+        grid.insert(rock, CollisionLayers.HAZARD);
+        
+        const area = { x: 60, y: 60, width: 100, height: 100 };
+        const hits = grid.query(area, CollisionLayers.GOLD).map(entry => entry.object);
+        assert.deepStrictEqual(hits, [big]);
+        
+        const all = grid.query(area, CollisionLayers.GOLD | CollisionLayers.HAZARD);
+        assert.strictEqual(all.length, 2);
+        
+        grid.clear();
+        assert.strictEqual(grid.query(area, CollisionLayers.GOLD).length, 0);
+    });
+    
+    await t.test('the basket looks at a small share of a crowded field', () => {
+        const core = new GameCore();
+        core.start('crowd');
+        core.spawnGold = () => {};
+        for (let i = 0; i < 1200; i++) {
+            core.goldPool.get(Utils.random(40, CONFIG.GAME_WIDTH - 40), Utils.random(0, CONFIG.GAME_HEIGHT * 0.8));
+        }
+        core.step(IDLE);
+        
+        assert.ok(core.collisions.count >= 1000);
+        assert.ok(core.collisions.candidates < core.collisions.count / 4,
+            `looked at ${core.collisions.candidates} of ${core.collisions.count}`);
+    });
+});
+
+test('larger gold is worth more points', () => {
+    const small = new Gold(0, 0);
+    small.radius = CONFIG.GOLD_MIN_SIZE;
+    const large = new Gold(0, 0);
+    large.radius = CONFIG.GOLD_MAX_SIZE;
+    
+    assert.ok(large.getPointValue() > small.getPointValue());
+});
+
+test('gold and basket draw with the palette they are given', () => {
+    // Canvas context that remembers every color it was given
+    const colors = [];
+    const ctx = new Proxy({}, {
+        get: (target, name) => (name === 'createRadialGradient'
+            ? () => ({ addColorStop: (offset, color) => colors.push(color) })
+            : () => {}),
+        set: (target, name, value) => {
+            if (typeof value === 'string') colors.push(value);
+            return true;
+        }
+    });
+    
+    const goldPalette = { ...Gold.palette, stops: [[200, 50, 40], [210, 50, 30], [220, 50, 20]], outline: '#00FF00' };
+    new Gold(100, 100).draw(ctx, false, 1, goldPalette);
+    assert.ok(colors.some(color => color.startsWith('hsl(200, 50%,')));
+    assert.ok(colors.includes('#00FF00'));
+    assert.ok(!colors.some(color => color.startsWith('hsl(51,')));
+    
+    colors.length = 0;
+    const basketPalette = { ...Basket.palette, body: '#123456', weave: '#ABCDEF' };
+    new Basket(100, 100).draw(ctx, false, 1, basketPalette);
+    assert.ok(colors.includes('#123456') && colors.includes('#ABCDEF'));
+    assert.ok(!colors.includes(Basket.palette.weave));
+});
+
+test('palettes can tell object types apart by pattern as well as color', () => {
+    const colors = [];
+    const calls = [];
+    const ctx = new Proxy({}, {
+        get: (target, name) => {
+            if (name === 'createRadialGradient') return () => ({ addColorStop: () => {} });
+            return (...args) => calls.push([name, ...args]);
+        },
+        set: (target, name, value) => {
+            if (typeof value === 'string') colors.push(value);
+            return true;
+        }
+    });
+    
+    new Gold(100, 100).draw(ctx);
+    new Hazard(100, 100, 'bomb').draw(ctx);
+    new PowerUp(100, 100, 'magnet').draw(ctx);
+    assert.ok(!calls.some(([name]) => name === 'clip' || name === 'setLineDash'));
+    
+    new Gold(100, 100).draw(ctx, false, 1, { ...Gold.palette, mark: '#010101' });
+    assert.ok(colors.includes('#010101'));
+    
+    ['rock', 'bomb', 'storm'].forEach(kind => {
+        calls.length = 0;
+        new Hazard(100, 100, kind).draw(ctx, false, 1, { ...Hazard.palette, hatch: '#020202' });
+        assert.ok(calls.some(([name]) => name === 'clip'), kind);
+        assert.ok(colors.includes('#020202'));
+    });
+    
+    calls.length = 0;
+    new PowerUp(100, 100, 'magnet').draw(ctx, false, 1, { ...PowerUp.palette, colors: { magnet: '#030303' }, dashed: true });
+    assert.ok(colors.includes('#030303'));
+    assert.ok(calls.some(([name]) => name === 'setLineDash'));
+});
+
+test('shapes draw around the origin they are given, for sprite caching', () => {
+    const moves = [];
+    const ctx = new Proxy({}, {
+        get: (target, name) => {
+            if (name === 'createRadialGradient') return () => ({ addColorStop: () => {} });
+            if (name === 'arc' || name === 'fillRect') return (x, y) => moves.push([x, y]);
+            return () => {};
+        },
+        set: () => true
+    });
+    
+    Gold.drawShape(ctx, 10, 0.2, Gold.palette);
+    assert.ok(moves.length > 0);
+    assert.ok(moves.every(([x, y]) => Math.abs(x) <= 14 && Math.abs(y) <= 14));
+    
+    moves.length = 0;
+    Basket.drawShape(ctx, 4, 40, 90, 30, Basket.palette);
+    assert.ok(moves.every(([x, y]) => x >= 2 && y >= 40 - 5));
+    
+    const gold = new Gold(100, 100);
+    for (let i = 0; i < 200; i++) {
+        gold.update(1 / 60);
+        const shimmer = gold.getShimmerAmount();
+        assert.ok(shimmer >= 0 && shimmer <= 0.2);
+    }
+});
+
+test('state machine', async (t) => {
+    await t.test('starts in loading and moves to menu', () => {
+        const core = new GameCore();
+        assert.strictEqual(core.state, GameState.LOADING);
+        core.enterMenu();
+        assert.strictEqual(core.state, GameState.MENU);
+    });
+    
+    await t.test('start resets the run', () => {
+        const core = new GameCore();
+        core.start('reset');
+        run(core, STEPS_PER_SECOND * 3);
+        core.score = 99;
+        core.start('reset');
+        
+        assert.strictEqual(core.state, GameState.PLAYING);
+        assert.strictEqual(core.score, 0);
+        assert.strictEqual(core.timeLeft, CONFIG.INITIAL_TIMER);
+        assert.strictEqual(core.goldPool.getActive().length, 0);
+    });
+    
+    await t.test('paused core does not advance', () => {
+        const core = new GameCore();
+        const events = captureEvents(core);
+        core.start('pause');
+        run(core, 10);
+        core.pause();
+        const time = core.gameTime;
+        run(core, 100);
+        
+        assert.strictEqual(core.state, GameState.PAUSED);
+        assert.strictEqual(core.gameTime, time);
+        core.resume();
+        assert.strictEqual(core.state, GameState.PLAYING);
+        assert.deepStrictEqual(events.map(([name]) => name), ['start', 'pause', 'resume']);
+    });
+    
+    await t.test('timer runs out into game over', () => {
+        const core = new GameCore();
+        const events = captureEvents(core);
+        core.start('timer');
+        run(core, STEPS_PER_SECOND * CONFIG.INITIAL_TIMER + 1);
+        
+        assert.strictEqual(core.state, GameState.GAME_OVER);
+        assert.strictEqual(core.timeLeft, 0);
+        const end = events.find(([name]) => name === 'end');
+        assert.ok(end, 'end event should fire');
+        assert.strictEqual(end[1].score, core.score);
+        assert.ok(core.replay, 'finished run should keep its replay');
+    });
+});
+
+test('spawning follows the game clock', () => {
+    const core = new GameCore();
+    core.start('spawn');
+    assert.strictEqual(core.goldPool.getActive().length, 0);
+    
+    // About SPAWN_RATE pieces per second (give or take one at the boundary)
+    run(core, STEPS_PER_SECOND * 2);
+    const spawned = core.goldPool.getActive().length;
+    assert.ok(Math.abs(spawned - CONFIG.SPAWN_RATE * 2) <= 1, `spawned ${spawned}`);
+    
+    run(core, STEPS_PER_SECOND * CONFIG.SPAWN_RATE_INTERVAL);
+    assert.ok(Math.abs(core.currentSpawnRate - (CONFIG.SPAWN_RATE + CONFIG.SPAWN_RATE_INCREASE)) < 1e-9);
+});
+
+test('collisions and scoring', async (t) => {
+    await t.test('gold falling into the basket is collected', () => {
+        const core = new GameCore();
+        const events = captureEvents(core);
+        core.start('collect');
+        const gold = dropIntoBasket(core);
+        
+        core.step(IDLE);
+        
+        const collect = events.find(([name]) => name === 'collect');
+        assert.ok(collect, 'collect event should fire');
+        assert.strictEqual(collect[1].gold, gold);
+        assert.strictEqual(core.score, collect[1].points);
+        assert.ok(!core.goldPool.getActive().includes(gold));
+    });
+    
+    await t.test('gold leaving the screen is a miss', () => {
+        const core = new GameCore();
+        const events = captureEvents(core);
+        core.start('miss');
+        core.basket.x = CONFIG.GAME_WIDTH - core.basket.width - CONFIG.BASKET_MARGIN;
+        core.goldPool.get(CONFIG.GOLD_MAX_SIZE, CONFIG.GAME_HEIGHT + CONFIG.GOLD_MAX_SIZE);
+        
+        core.step(IDLE);
+        
+        assert.ok(events.some(([name]) => name === 'miss'));
+        assert.strictEqual(core.score, 0);
+        assert.strictEqual(core.misses, 1);
+        assert.strictEqual(core.catches, 0);
+    });
+    
+    await t.test('catches and misses are counted and reported at the end', () => {
+        const core = new GameCore();
+        const events = captureEvents(core);
+        core.start('counts');
+        dropIntoBasket(core);
+        core.step(IDLE);
+        assert.strictEqual(core.catches, 1);
+        
+        core.end();
+        const [, payload] = events.find(([name]) => name === 'end');
+        assert.strictEqual(payload.catches, core.catches);
+        assert.strictEqual(payload.misses, core.misses);
+        
+        core.start('counts');
+        assert.strictEqual(core.catches, 0);
+        assert.strictEqual(core.misses, 0);
+    });
+});
+
+test('hazards', async (t) => {
+    /**
+     * Start a core with a hazard about to land in the basket
+     * @param {string} kind - Hazard kind
+     * @returns {Object} Core and captured events
+     */
+    const catchHazard = (kind) => {
+        const core = new GameCore();
+        const events = captureEvents(core);
+        core.start(`hazard-${kind}`);
+        const { basket } = core;
+        core.hazardPool.get(basket.x + basket.width / 2, basket.y - 10, kind);
+        return { core, events };
+    };
+    
+    await t.test('rocks take time off the timer', () => {
+        const { core, events } = catchHazard('rock');
+        core.step(IDLE);
+        
+        const expected = CONFIG.INITIAL_TIMER - CONFIG.FIXED_TIMESTEP - CONFIG.ROCK_TIME_PENALTY;
+        assert.ok(Math.abs(core.timeLeft - expected) < 1e-9);
+        assert.ok(events.some(([name, payload]) => name === 'hazard' && payload.hazard.kind === 'rock'));
+    });
+    
+    await t.test('bombs cost points but never go below zero', () => {
+        const { core } = catchHazard('bomb');
+        core.score = CONFIG.BOMB_POINT_PENALTY + 7;
+        core.step(IDLE);
+        assert.strictEqual(core.score, 7);
+        
+        const second = catchHazard('bomb').core;
+        second.step(IDLE);
+        assert.strictEqual(second.score, 0);
+    });
+    
+    await t.test('storm clouds slow the basket', () => {
+        const { core } = catchHazard('storm');
+        core.step(IDLE);
+        assert.ok(core.slowTimer > 0);
+        
+        run(core, STEPS_PER_SECOND / 2, { x: 1, y: 0 });
+        const startX = core.basket.x;
+        core.step({ x: 1, y: 0 });
+        const slowed = core.basket.x - startX;
+        const normal = CONFIG.BASKET_SPEED * CONFIG.FIXED_TIMESTEP;
+        assert.ok(Math.abs(slowed - normal * CONFIG.STORM_SLOW_FACTOR) < 1e-9);
+        
+        run(core, STEPS_PER_SECOND * CONFIG.STORM_SLOW_DURATION);
+        assert.strictEqual(core.slowTimer, 0);
+    });
+    
+    await t.test('dodged hazards leave without penalty', () => {
+        const core = new GameCore();
+        const events = captureEvents(core);
+        core.start('dodge');
+        core.basket.x = CONFIG.GAME_WIDTH - core.basket.width - CONFIG.BASKET_MARGIN;
+        core.hazardPool.get(50, CONFIG.GAME_HEIGHT + 40, 'rock');
+        core.step(IDLE);
+        
+        assert.strictEqual(core.hazardPool.getActive().length, 0);
+        assert.ok(!events.some(([name]) => name === 'hazard'));
+    });
+    
+    await t.test('hazard share ramps with the spawn rate up to its cap', () => {
+        const core = new GameCore();
+        core.start('ramp');
+        assert.strictEqual(core.currentHazardChance, CONFIG.HAZARD_CHANCE);
+        
+        run(core, STEPS_PER_SECOND * (CONFIG.SPAWN_RATE_INTERVAL + 1));
+        assert.ok(core.currentHazardChance > CONFIG.HAZARD_CHANCE);
+        
+        core.timeLeft = 1000;
+        run(core, STEPS_PER_SECOND * CONFIG.SPAWN_RATE_INTERVAL * 20);
+        assert.strictEqual(core.currentHazardChance, CONFIG.HAZARD_MAX_CHANCE);
+    });
+});
+
+test('weather', async (t) => {
+    /**
+     * Start a run in the given weather with one gold piece in mid-air
+     * @param {string} weather - Key of WeatherTypes
+     * @returns {Object} Core and the gold piece
+     */
+    function startWithGold(weather) {
+        const saved = CONFIG.WEATHER;
+        CONFIG.WEATHER = weather;
+        try {
+            const core = new GameCore();
+            core.start('weather');
+            core.spawnGold = () => {};
+            const gold = core.goldPool.get(400, 100);
+            gold.vx = 0;
+            return { core, gold };
+        } finally {
+            CONFIG.WEATHER = saved;
+        }
+    }
+    
+    await t.test('gold falls straight down in clear weather', () => {
+        const { core, gold } = startWithGold('clear');
+        run(core, 30);
+        assert.strictEqual(core.wind, 0);
+        assert.strictEqual(gold.x, 400);
+    });
+    
+    await t.test('wind pushes gold sideways with the wind', () => {
+        const { core, gold } = startWithGold('wind');
+        run(core, 30);
+        assert.notStrictEqual(core.wind, 0);
+        assert.ok(Math.sign(gold.x - 400) === Math.sign(core.wind), 'gold should drift downwind');
+        assert.ok(Math.abs(core.wind) <= WeatherTypes.wind.wind * CONFIG.WIND_SPEED);
+    });
+    
+    await t.test('drifting gold stays inside the side walls', () => {
+        const { core, gold } = startWithGold('wind');
+        gold.x = core.windDirection > 0 ? CONFIG.GAME_WIDTH - gold.radius : gold.radius;
+        run(core, 30);
+        assert.ok(gold.x >= gold.radius && gold.x <= CONFIG.GAME_WIDTH - gold.radius);
+    });
+    
+    await t.test('windy runs replay to the same score', () => {
+        const saved = CONFIG.WEATHER;
+        CONFIG.WEATHER = 'wind';
+        let core;
+        try {
+            core = new GameCore();
+            core.start('gusty');
+            run(core, STEPS_PER_SECOND * 10, { x: 0.5, y: 0 });
+            core.end('quit');
+        } finally {
+            CONFIG.WEATHER = saved;
+        }
+        
+        assert.strictEqual(core.replay.config.WEATHER, 'wind');
+        assert.strictEqual(GameCore.simulateReplay(core.replay).score, core.score);
+    });
+    
+    await t.test('campaign weather is a known kind', () => {
+        CampaignLevels.forEach(level => {
+            if ('WEATHER' in level.config) {
+                assert.ok(level.config.WEATHER in WeatherTypes, `${level.name} has unknown weather`);
+            }
+        });
+    });
+});
+
+test('power-ups', async (t) => {
+    /**
+     * Start a core with a power-up about to land in the basket
+     * @param {string} kind - Power-up kind
+     * @returns {Object} Core and captured events
+     */
+    const catchPowerUp = (kind) => {
+        const core = new GameCore();
+        const events = captureEvents(core);
+        core.start(`powerup-${kind}`);
+        const { basket } = core;
+        core.powerUpPool.get(basket.x + basket.width / 2, basket.y - 10, kind);
+        return { core, events };
+    };
+    
+    await t.test('time bonus is instant and stacks', () => {
+        const { core } = catchPowerUp('time');
+        core.step(IDLE);
+        const afterOne = core.timeLeft;
+        assert.ok(Math.abs(afterOne - (CONFIG.INITIAL_TIMER - CONFIG.FIXED_TIMESTEP + CONFIG.TIME_BONUS)) < 1e-9);
+        assert.deepStrictEqual(core.effects, {});
+        
+        core.activatePowerUp('time');
+        assert.strictEqual(core.timeLeft, afterOne + CONFIG.TIME_BONUS);
+    });
+    
+    await t.test('wide basket grows, stays centered and shrinks back', () => {
+        const { core, events } = catchPowerUp('wide');
+        const center = core.basket.x + core.basket.width / 2;
+        core.step(IDLE);
+        
+        assert.strictEqual(core.basket.width, CONFIG.BASKET_WIDTH * CONFIG.WIDE_BASKET_FACTOR);
+        assert.ok(Math.abs(core.basket.x + core.basket.width / 2 - center) < 1e-9);
+        
+        run(core, STEPS_PER_SECOND * CONFIG.POWERUP_DURATION + 1);
+        assert.strictEqual(core.basket.width, CONFIG.BASKET_WIDTH);
+        assert.ok(events.some(([name, payload]) => name === 'effectEnd' && payload.kind === 'wide'));
+    });
+    
+    await t.test('timed effects refresh instead of stacking', () => {
+        const core = new GameCore();
+        core.start('refresh');
+        core.activatePowerUp('wide');
+        run(core, STEPS_PER_SECOND * 2);
+        core.activatePowerUp('wide');
+        
+        assert.strictEqual(core.effects.wide, CONFIG.POWERUP_DURATION);
+        assert.strictEqual(core.basket.width, CONFIG.BASKET_WIDTH * CONFIG.WIDE_BASKET_FACTOR);
+    });
+    
+    await t.test('double score multiplies gold points', () => {
+        const core = new GameCore();
+        const events = captureEvents(core);
+        core.start('double');
+        core.activatePowerUp('double');
+        const gold = dropIntoBasket(core);
+        const base = gold.getPointValue();
+        core.step(IDLE);
+        
+        const collect = events.find(([name]) => name === 'collect');
+        assert.strictEqual(collect[1].points, base * CONFIG.DOUBLE_SCORE_FACTOR);
+    });
+    
+    await t.test('slow motion scales falling speed', () => {
+        const core = new GameCore();
+        core.start('slow');
+        core.activatePowerUp('slow');
+        const gold = core.goldPool.get(100, 100);
+        core.step(IDLE);
+        
+        const expected = 100 + gold.vy * CONFIG.FIXED_TIMESTEP * CONFIG.SLOW_MOTION_FACTOR;
+        assert.ok(Math.abs(gold.y - expected) < 1e-9);
+    });
+    
+    await t.test('magnet pulls nearby gold toward the basket', () => {
+        const core = new GameCore();
+        core.start('magnet');
+        core.activatePowerUp('magnet');
+        const { basket } = core;
+        const centerX = basket.x + basket.width / 2;
+        const near = core.goldPool.get(centerX - 100, basket.y - 100);
+        const far = core.goldPool.get(centerX - 100, basket.y - 400);
+        near.vx = 0;
+        far.vx = 0;
+        const farX = far.x;
+        core.step(IDLE);
+        
+        assert.ok(near.x > centerX - 100);
+        assert.strictEqual(far.x, farX);
+    });
+    
+    await t.test('effects end cleanly on restart and game over', () => {
+        const core = new GameCore();
+        core.start('restart');
+        core.activatePowerUp('wide');
+        core.activatePowerUp('magnet');
+        core.start('restart');
+        
+        assert.deepStrictEqual(core.effects, {});
+        assert.strictEqual(core.basket.width, CONFIG.BASKET_WIDTH);
+        
+        core.activatePowerUp('double');
+        core.end();
+        assert.deepStrictEqual(core.effects, {});
+    });
+});
+
+test('combos', async (t) => {
+    /**
+     * Drop a piece of gold straight into the basket and step once
+     * @param {GameCore} core - Running core
+     * @returns {Gold} The caught gold
+     */
+    const catchOne = (core) => {
+        const gold = dropIntoBasket(core);
+        core.step(IDLE);
+        return gold;
+    };
+    
+    await t.test('consecutive catches raise the multiplier', () => {
+        const core = new GameCore();
+        const events = captureEvents(core);
+        core.start('combo');
+        for (let i = 0; i < CONFIG.COMBO_STEP + 1; i++) {
+            catchOne(core);
+        }
+        
+        const collects = events.filter(([name]) => name === 'collect').map(([, payload]) => payload);
+        assert.strictEqual(core.combo, CONFIG.COMBO_STEP + 1);
+        assert.strictEqual(collects[0].multiplier, 1);
+        assert.strictEqual(collects[CONFIG.COMBO_STEP - 1].multiplier, 1);
+        assert.strictEqual(collects[CONFIG.COMBO_STEP].multiplier, 2);
+    });
+    
+    await t.test('multiplier is capped', () => {
+        const core = new GameCore();
+        core.start('cap');
+        core.combo = CONFIG.COMBO_STEP * (CONFIG.COMBO_MAX_MULTIPLIER + 3);
+        assert.strictEqual(core.getComboMultiplier(), CONFIG.COMBO_MAX_MULTIPLIER);
+    });
+    
+    await t.test('a miss resets the combo but keeps the best', () => {
+        const core = new GameCore();
+        const events = captureEvents(core);
+        core.start('miss-combo');
+        catchOne(core);
+        catchOne(core);
+        core.basket.x = CONFIG.GAME_WIDTH - core.basket.width - CONFIG.BASKET_MARGIN;
+        core.goldPool.get(CONFIG.GOLD_MAX_SIZE, CONFIG.GAME_HEIGHT + CONFIG.GOLD_MAX_SIZE);
+        core.step(IDLE);
+        
+        assert.strictEqual(core.combo, 0);
+        assert.strictEqual(core.bestCombo, 2);
+        assert.ok(events.some(([name, payload]) => name === 'comboBreak' && payload.combo === 2));
+    });
+    
+    await t.test('a caught hazard resets the combo', () => {
+        const core = new GameCore();
+        core.start('hazard-combo');
+        catchOne(core);
+        const { basket } = core;
+        core.hazardPool.get(basket.x + basket.width / 2, basket.y - 10, 'storm');
+        core.step(IDLE);
+        
+        assert.strictEqual(core.combo, 0);
+        assert.strictEqual(core.bestCombo, 1);
+    });
+    
+    await t.test('best combo is reported when the run ends', () => {
+        const core = new GameCore();
+        const events = captureEvents(core);
+        core.start('best-combo');
+        catchOne(core);
+        catchOne(core);
+        core.end();
+        
+        const end = events.find(([name]) => name === 'end');
+        assert.strictEqual(end[1].bestCombo, 2);
+    });
+});
+
+test('campaign levels', async (t) => {
+    await t.test('reaching the target score ends the run as a win', () => {
+        const saved = CONFIG.TARGET_SCORE;
+        CONFIG.TARGET_SCORE = 1;
+        try {
+            const core = new GameCore();
+            const events = captureEvents(core);
+            core.start('target');
+            dropIntoBasket(core);
+            core.step(IDLE);
+            
+            assert.strictEqual(core.state, GameState.GAME_OVER);
+            assert.strictEqual(core.outcome, 'target');
+            assert.ok(events.some(([name, payload]) => name === 'end' && payload.outcome === 'target'));
+        } finally {
+            CONFIG.TARGET_SCORE = saved;
+        }
+    });
+    
+    await t.test('running out of time is a timeout', () => {
+        const core = new GameCore();
+        core.start('timeout');
+        run(core, STEPS_PER_SECOND * CONFIG.INITIAL_TIMER + 1);
+        assert.strictEqual(core.outcome, 'timeout');
+    });
+    
+    await t.test('levels only override known settings and get harder', () => {
+        CampaignLevels.forEach(level => {
+            Object.keys(level.config).forEach(key => {
+                assert.ok(key in CONFIG, `${level.name} overrides unknown setting ${key}`);
+            });
+            assert.ok(level.config.TARGET_SCORE > 0, `${level.name} needs a target`);
+            assert.strictEqual(level.background.length, 3);
+            assert.strictEqual(typeof level.theme, 'string');
+        });
+        for (let i = 1; i < CampaignLevels.length; i++) {
+            assert.ok(CampaignLevels[i].config.TARGET_SCORE > CampaignLevels[i - 1].config.TARGET_SCORE);
+        }
+    });
+    
+    await t.test('level settings carry into replays', () => {
+        const saved = { ...CONFIG };
+        Object.assign(CONFIG, CampaignLevels[0].config);
+        let core;
+        try {
+            core = new GameCore();
+            core.start('level-replay');
+            for (let i = 0; core.state === GameState.PLAYING; i++) {
+                core.step({ x: Math.sin(i / 30), y: 0 });
+            }
+        } finally {
+            Object.assign(CONFIG, saved);
+        }
+        
+        const result = GameCore.simulateReplay(core.replay);
+        assert.strictEqual(result.score, core.score);
+        assert.strictEqual(result.outcome, core.outcome);
+    });
+});
+
+test('falling physics', async (t) => {
+    /**
+     * Start a run with spawning turned off
+     * @param {string} seed - Run seed
+     * @returns {GameCore} Running core
+     */
+    const startQuiet = (seed) => {
+        const core = new GameCore();
+        core.start(seed);
+        core.spawnGold = () => {};
+        return core;
+    };
+    
+    await t.test('gravity speeds gold up to its terminal velocity', () => {
+        const core = startQuiet('gravity');
+        const gold = core.goldPool.get(400, 0);
+        assert.strictEqual(gold.vy, CONFIG.GOLD_SPAWN_SPEED);
+        
+        core.step(IDLE);
+        const early = gold.vy;
+        assert.ok(early > CONFIG.GOLD_SPAWN_SPEED);
+        run(core, STEPS_PER_SECOND);
+        assert.strictEqual(gold.vy, gold.terminalSpeed);
+        assert.ok(gold.terminalSpeed >= CONFIG.GOLD_MIN_SPEED && gold.terminalSpeed <= CONFIG.GOLD_MAX_SPEED);
+    });
+    
+    await t.test('side walls bounce gold back', () => {
+        const core = startQuiet('walls');
+        const gold = core.goldPool.get(100, 100);
+        gold.x = gold.radius + 1;
+        gold.vx = -200;
+        core.step(IDLE);
+        
+        assert.strictEqual(gold.x, gold.radius);
+        assert.ok(Math.abs(gold.vx - 200 * CONFIG.WALL_BOUNCE) < 10, `bounced at ${gold.vx}`);
+    });
+    
+    await t.test('gold clipping the side of the basket glances off uncaught', () => {
+        const core = startQuiet('side');
+        const events = captureEvents(core);
+        const { basket } = core;
+        const gold = core.goldPool.get(basket.x - 5, basket.y + basket.height / 2);
+        gold.vx = 0;
+        core.step(IDLE);
+        
+        assert.ok(!events.some(([name]) => name === 'collect'));
+        assert.ok(gold.x + gold.getCollisionBounds().radius <= basket.x, 'gold should be pushed out past the side');
+        assert.ok(gold.vx <= 0);
+    });
+    
+    await t.test('gold touching the bottom of the basket is not caught', () => {
+        const core = startQuiet('bottom');
+        const events = captureEvents(core);
+        const { basket } = core;
+        core.goldPool.get(basket.x + basket.width / 2, basket.y + basket.height + 5);
+        core.step(IDLE);
+        
+        assert.ok(!events.some(([name]) => name === 'collect'));
+    });
+    
+    await t.test('gold landing beside the rim is not caught', () => {
+        const core = startQuiet('rim');
+        const events = captureEvents(core);
+        const { basket } = core;
+        const gold = core.goldPool.get(basket.x - 2, basket.y - 0.5);
+        gold.vx = 0;
+        core.step(IDLE);
+        
+        assert.ok(!events.some(([name]) => name === 'collect'));
+    });
+    
+    await t.test('basket accelerates to top speed and coasts to a stop', () => {
+        const core = startQuiet('steer');
+        core.step({ x: 1, y: 0 });
+        assert.ok(core.basket.vx > 0 && core.basket.vx < CONFIG.BASKET_SPEED);
+        
+        run(core, STEPS_PER_SECOND / 2, { x: 1, y: 0 });
+        assert.strictEqual(core.basket.vx, CONFIG.BASKET_SPEED);
+        
+        core.step(IDLE);
+        assert.ok(core.basket.vx > 0, 'basket should slide after letting go');
+        run(core, STEPS_PER_SECOND / 2);
+        assert.strictEqual(core.basket.vx, 0);
+    });
+});
+
+test('basket moves with input and stays in bounds', () => {
+    const core = new GameCore();
+    core.start('basket');
+    const startX = core.basket.x;
+    
+    core.step({ x: 1, y: 0 });
+    assert.ok(core.basket.x > startX);
+    
+    run(core, STEPS_PER_SECOND * 10, { x: -1, y: -1 });
+    assert.strictEqual(core.basket.x, CONFIG.BASKET_MARGIN);
+    assert.strictEqual(core.basket.y, CONFIG.BASKET_MARGIN);
+});
+
+test('runs are reproducible from seed and input', () => {
+    const play = () => {
+        const core = new GameCore();
+        core.start('determinism');
+        for (let i = 0; core.state === GameState.PLAYING; i++) {
+            core.step({ x: Math.sin(i / 40), y: 0 });
+        }
+        return core;
+    };
+    const first = play();
+    const second = play();
+    
+    assert.ok(first.score > 0, 'the scripted run should catch something');
+    assert.strictEqual(first.score, second.score);
+    assert.deepStrictEqual(first.replay, second.replay);
+});
+
+test('replays', async (t) => {
+    await t.test('round-trip through JSON and re-simulate to the same score', () => {
+        const core = new GameCore();
+        core.start('replay');
+        for (let i = 0; core.state === GameState.PLAYING; i++) {
+            core.step({ x: Math.cos(i / 25), y: 0 });
+        }
+        const replay = JSON.parse(JSON.stringify(core.replay));
+        
+        const result = GameCore.simulateReplay(replay);
+        assert.strictEqual(result.score, core.score);
+    });
+    
+    await t.test('re-simulation uses the recorded configuration', () => {
+        const core = new GameCore();
+        core.start('config');
+        while (core.state === GameState.PLAYING) {
+            core.step(IDLE);
+        }
+        const replay = core.replay;
+        replay.config = { ...replay.config, INITIAL_TIMER: 1 };
+        
+        const result = GameCore.simulateReplay(replay);
+        assert.ok(Math.abs(result.steps - STEPS_PER_SECOND) <= 1, `ran ${result.steps} steps`);
+        assert.strictEqual(CONFIG.INITIAL_TIMER, 60, 'live config should be restored');
+    });
+    
+    await t.test('malformed replays are rejected', () => {
+        const recorder = new ReplayRecorder('bad', 'timeAttack');
+        recorder.record(IDLE);
+        const replay = recorder.toReplay(0);
+        
+        assert.throws(() => new ReplayPlayer({ ...replay, version: 0 }), /version/);
+        assert.throws(() => new ReplayPlayer({ ...replay, inputs: [[0, 0]] }), /malformed/);
+        assert.throws(() => new ReplayPlayer({ ...replay, steps: 5 }), /step count/);
+        assert.throws(() => new ReplayPlayer({ ...replay, mode: 'nope' }), /mode/);
+    });
+    
+    await t.test('replays with hostile config are rejected', () => {
+        const recorder = new ReplayRecorder('hostile', 'timeAttack');
+        recorder.record(IDLE);
+        const replay = recorder.toReplay(0);
+        const withConfig = overrides => ({ ...replay, config: { ...replay.config, ...overrides } });
+        
+        assert.doesNotThrow(() => new ReplayPlayer(withConfig({ BASKET_WIDTH: 100, WEATHER: 'rain' })));
+        assert.throws(() => new ReplayPlayer(withConfig({ FIXED_TIMESTEP: 0 })), /FIXED_TIMESTEP/);
+        assert.throws(() => new ReplayPlayer(withConfig({ GAME_WIDTH: -800 })), /GAME_WIDTH/);
+        assert.throws(() => new ReplayPlayer(withConfig({ GAME_HEIGHT: 1e9 })), /GAME_HEIGHT/);
+        assert.throws(() => new ReplayPlayer(withConfig({ SPAWN_RATE: -1 })), /SPAWN_RATE/);
+        assert.throws(() => new ReplayPlayer(withConfig({ TIME_BONUS: NaN })), /TIME_BONUS/);
+        assert.throws(() => new ReplayPlayer(withConfig({ BASKET_SPEED: '300' })), /BASKET_SPEED/);
+        assert.throws(() => new ReplayPlayer(withConfig({ WEATHER: 'lava' })), /WEATHER/);
+        assert.throws(() => new ReplayPlayer(withConfig({ HAZARD_MIX: { rock: 1 } })), /HAZARD_MIX/);
+        assert.throws(() => new ReplayPlayer(withConfig({ DEBUG_ENABLED: true })), /Unknown/);
+        assert.throws(() => new ReplayPlayer(withConfig({ toString: 1 })), /Unknown/);
+    });
+
+    await t.test('replays re-simulate in the mode they were recorded in', () => {
+        const core = new GameCore();
+        core.start('mode-replay', 'survival');
+        for (let i = 0; core.state === GameState.PLAYING; i++) {
+            core.step({ x: Math.sin(i / 30), y: 0 });
+        }
+        assert.strictEqual(core.replay.mode, 'survival');
+        
+        const result = GameCore.simulateReplay(core.replay);
+        assert.strictEqual(result.score, core.score);
+        assert.strictEqual(result.steps, core.stepCount);
+    });
+});
+
+test('game modes', async (t) => {
+    /**
+     * Start a core in a mode with the basket parked in the right corner
+     * @param {string} modeId - Key of GameModes
+     * @returns {Object} Core and captured events
+     */
+    const startMode = (modeId) => {
+        const core = new GameCore();
+        const events = captureEvents(core);
+        core.start(`mode-${modeId}`, modeId);
+        core.basket.x = CONFIG.GAME_WIDTH - core.basket.width - CONFIG.BASKET_MARGIN;
+        return { core, events };
+    };
+    const dropGold = (core) => core.goldPool.get(CONFIG.GOLD_MAX_SIZE, CONFIG.GAME_HEIGHT + CONFIG.GOLD_MAX_SIZE);
+    const catchGold = dropIntoBasket;
+    const catchHazard = (core, kind) => core.hazardPool.get(core.basket.x + core.basket.width / 2, core.basket.y - 10, kind);
+    
+    await t.test('every mode has a name, description and rules', () => {
+        Object.values(GameModes).forEach(mode => {
+            assert.ok(mode.name && mode.description);
+            assert.strictEqual(typeof mode.timed, 'boolean');
+            assert.strictEqual(typeof mode.penalties, 'boolean');
+        });
+        assert.throws(() => new GameCore().start('seed', 'nope'), /Unknown game mode/);
+    });
+    
+    await t.test('time attack is the default mode', () => {
+        const core = new GameCore();
+        core.start('default');
+        assert.strictEqual(core.modeId, 'timeAttack');
+        assert.strictEqual(core.lives, 0);
+    });
+    
+    await t.test('endless has no clock and ends when the last life is lost', () => {
+        const { core, events } = startMode('endless');
+        assert.strictEqual(core.lives, CONFIG.ENDLESS_LIVES);
+        
+        core.step(IDLE);
+        assert.strictEqual(core.timeLeft, CONFIG.INITIAL_TIMER, 'the timer should not run');
+        
+        // Clear the sky so only the dropped gold can cost lives
+        core.goldPool.clear();
+        core.hazardPool.clear();
+        for (let i = 0; i < CONFIG.ENDLESS_LIVES; i++) {
+            dropGold(core);
+            core.step(IDLE);
+        }
+        
+        assert.strictEqual(core.lives, 0);
+        assert.strictEqual(core.state, GameState.GAME_OVER);
+        assert.strictEqual(core.outcome, 'lives');
+        assert.strictEqual(events.filter(([name]) => name === 'lifeLost').length, CONFIG.ENDLESS_LIVES);
+        assert.strictEqual(events.filter(([name]) => name === 'end').length, 1);
+    });
+    
+    await t.test('rocks cost a life in endless', () => {
+        const { core } = startMode('endless');
+        catchHazard(core, 'rock');
+        core.step(IDLE);
+        assert.strictEqual(core.lives, CONFIG.ENDLESS_LIVES - 1);
+    });
+    
+    await t.test('zen has no clock, lives or penalties', () => {
+        const { core, events } = startMode('zen');
+        core.combo = 3;
+        core.score = 40;
+        catchHazard(core, 'bomb');
+        dropGold(core);
+        core.step(IDLE);
+        
+        assert.strictEqual(core.score, 40);
+        assert.strictEqual(core.combo, 3);
+        assert.ok(!events.some(([name]) => name === 'comboBreak'));
+        
+        run(core, STEPS_PER_SECOND * (CONFIG.INITIAL_TIMER + 1));
+        assert.strictEqual(core.state, GameState.PLAYING);
+        
+        core.pause();
+        core.end('quit');
+        assert.strictEqual(core.state, GameState.GAME_OVER);
+        assert.strictEqual(core.outcome, 'quit');
+        assert.strictEqual(core.replay.mode, 'zen');
+    });
+    
+    await t.test('survival drains the timer faster and catches refill it', () => {
+        const { core } = startMode('survival');
+        core.goldPool.clear();
+        core.step(IDLE);
+        const drained = CONFIG.INITIAL_TIMER - core.timeLeft;
+        assert.ok(Math.abs(drained - CONFIG.FIXED_TIMESTEP * CONFIG.SURVIVAL_DRAIN_RATE) < 1e-9);
+        
+        core.timeLeft = 10;
+        catchGold(core);
+        core.step(IDLE);
+        const expected = 10 - CONFIG.FIXED_TIMESTEP * CONFIG.SURVIVAL_DRAIN_RATE + CONFIG.SURVIVAL_CATCH_BONUS;
+        assert.ok(Math.abs(core.timeLeft - expected) < 1e-9);
+        
+        core.timeLeft = CONFIG.INITIAL_TIMER;
+        catchGold(core);
+        core.step(IDLE);
+        assert.ok(core.timeLeft <= CONFIG.INITIAL_TIMER, 'refills are capped at the starting time');
+    });
+    
+    await t.test('survival runs out sooner than time attack without catches', () => {
+        const { core } = startMode('survival');
+        run(core, STEPS_PER_SECOND * CONFIG.INITIAL_TIMER);
+        assert.strictEqual(core.state, GameState.GAME_OVER);
+        assert.strictEqual(core.outcome, 'timeout');
+    });
+});
+
+test('leaderboard', async (t) => {
+    const stats = (score, extra = {}) => ({ score, catches: 8, misses: 2, bestCombo: 5, seed: 's', ...extra });
+    const date = new Date('2026-01-02T03:04:05Z');
+    
+    await t.test('entries record name, date and run stats', () => {
+        const entry = Leaderboard.createEntry('  Ada   Lovelace ', stats(120), date);
+        assert.deepStrictEqual(entry, {
+            name: 'Ada Lovelace',
+            score: 120,
+            date: '2026-01-02T03:04:05.000Z',
+            catches: 8,
+            misses: 2,
+            accuracy: 0.8,
+            bestCombo: 5,
+            seed: 's'
+        });
+        assert.strictEqual(Leaderboard.createEntry('', stats(1, { catches: 0, misses: 0 })).accuracy, 0);
+        assert.strictEqual(Leaderboard.cleanName(''), 'Player');
+        assert.strictEqual(Leaderboard.cleanName('x'.repeat(50)).length, CONFIG.PLAYER_NAME_MAX_LENGTH);
+    });
+    
+    await t.test('boards are ranked, capped and kept per mode', () => {
+        const board = new Leaderboard(memoryStorage());
+        for (let score = 1; score <= CONFIG.LEADERBOARD_SIZE; score++) {
+            board.add('endless', Leaderboard.createEntry('p', stats(score * 10)));
+        }
+        
+        assert.strictEqual(board.getEntries('endless').length, CONFIG.LEADERBOARD_SIZE);
+        assert.strictEqual(board.getHighScore('endless'), CONFIG.LEADERBOARD_SIZE * 10);
+        assert.strictEqual(board.getHighScore('zen'), 0);
+        assert.ok(!board.qualifies('endless', 10), 'a score equal to the last place does not qualify');
+        assert.ok(board.qualifies('zen', 1));
+        assert.ok(!board.qualifies('zen', 0), 'empty runs never qualify');
+        
+        assert.strictEqual(board.add('endless', Leaderboard.createEntry('low', stats(5))), -1);
+        const rank = board.add('endless', Leaderboard.createEntry('mid', stats(55)));
+        assert.strictEqual(rank, CONFIG.LEADERBOARD_SIZE - 5);
+        assert.strictEqual(board.getEntries('endless').length, CONFIG.LEADERBOARD_SIZE);
+        assert.strictEqual(board.getEntries('endless').at(-1).score, 20);
+    });
+    
+    await t.test('ties keep the earlier run ahead', () => {
+        const board = new Leaderboard(memoryStorage());
+        board.add('zen', Leaderboard.createEntry('first', stats(50)));
+        assert.strictEqual(board.add('zen', Leaderboard.createEntry('second', stats(50))), 1);
+    });
+    
+    await t.test('boards persist and entries can be renamed', () => {
+        const storage = memoryStorage();
+        const board = new Leaderboard(storage);
+        const entry = Leaderboard.createEntry('Player', stats(30));
+        board.add('survival', entry);
+        board.renameEntry(entry, 'Grace');
+        
+        const reloaded = new Leaderboard(storage);
+        assert.strictEqual(reloaded.data.version, LEADERBOARD_FORMAT_VERSION);
+        assert.strictEqual(reloaded.getEntries('survival')[0].name, 'Grace');
+    });
+    
+    await t.test('old single high scores migrate into the board', () => {
+        const board = new Leaderboard(memoryStorage({
+            goldSkyHighScore: '240',
+            'goldSkyHighScore:zen': '90'
+        }));
+        
+        assert.strictEqual(board.getHighScore('timeAttack'), 240);
+        assert.strictEqual(board.getHighScore('zen'), 90);
+        assert.strictEqual(board.getEntries('zen')[0].accuracy, null);
+        assert.strictEqual(board.getEntries('endless').length, 0);
+    });
+    
+    await t.test('unreadable or newer records start empty', () => {
+        const warn = console.warn;
+        console.warn = () => {};
+        try {
+            const garbled = new Leaderboard(memoryStorage({ goldSkyLeaderboard: '{oops' }));
+            assert.strictEqual(garbled.getEntries('timeAttack').length, 0);
+            
+            const newer = JSON.stringify({ version: LEADERBOARD_FORMAT_VERSION + 1, modes: {} });
+            const storage = memoryStorage({ goldSkyLeaderboard: newer });
+            const future = new Leaderboard(storage);
+            assert.strictEqual(future.data.version, LEADERBOARD_FORMAT_VERSION);
+            
+            // The newer record is kept; this session's runs are not saved over it
+            assert.strictEqual(future.add('timeAttack', Leaderboard.createEntry('Ann', stats(50))), 0);
+            assert.strictEqual(future.getEntries('timeAttack').length, 1);
+            assert.strictEqual(storage.getItem('goldSkyLeaderboard'), newer);
+        } finally {
+            console.warn = warn;
+        }
+    });
+});
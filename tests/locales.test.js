@@ -0,0 +1,64 @@
+/**
+ * Gold Sky Game - Message Catalog Tests
+ * Checks every catalog against the English one: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { GameModes, CampaignLevels, PowerUpTypes } = require('../core.js');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+const catalogs = {};
+fs.readdirSync(LOCALES_DIR).filter(file => file.endsWith('.json')).forEach(file => {
+    catalogs[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'));
+});
+const english = catalogs.en.messages;
+
+/**
+ * List the {name} placeholders of a message, across all its plural forms
+ * @param {string|Object} message - Message or plural forms
+ * @returns {Array<string>} Sorted placeholder names
+ */
+function placeholders(message) {
+    const text = typeof message === 'object' ? Object.values(message).join(' ') : message;
+    return [...new Set([...text.matchAll(/\{(\w+)\}/g)].map(match => match[1]))].sort();
+}
+
+test('every catalog has a direction and the English messages', () => {
+    Object.entries(catalogs).forEach(([language, catalog]) => {
+        assert.ok(['ltr', 'rtl'].includes(catalog.direction), `${language} direction`);
+        Object.keys(english).forEach(key => {
+            assert.ok(Object.prototype.hasOwnProperty.call(catalog.messages, key), `${language} lacks ${key}`);
+        });
+        Object.keys(catalog.messages).forEach(key => {
+            assert.ok(Object.prototype.hasOwnProperty.call(english, key), `${language} has unknown ${key}`);
+        });
+    });
+});
+
+test('translations keep the placeholders and plural forms of the English messages', () => {
+    Object.entries(catalogs).forEach(([language, catalog]) => {
+        Object.entries(catalog.messages).forEach(([key, message]) => {
+            assert.deepStrictEqual(placeholders(message), placeholders(english[key]), `${language} ${key}`);
+            assert.strictEqual(typeof message, typeof english[key], `${language} ${key} plural`);
+            if (typeof message === 'object') {
+                // Categories a language lacks fall back to other
+                assert.ok(message.other, `${language} ${key} needs other`);
+            }
+        });
+    });
+});
+
+test('game modes, campaign levels and power-ups have names in English', () => {
+    Object.keys(GameModes).forEach(id => {
+        assert.ok(english[`mode.${id}.name`] && english[`mode.${id}.description`], id);
+    });
+    CampaignLevels.forEach((level, index) => {
+        assert.ok(english[`level.${index + 1}.name`], level.name);
+    });
+    Object.keys(PowerUpTypes).forEach(kind => {
+        assert.ok(english[`powerUp.${kind}`], kind);
+    });
+});
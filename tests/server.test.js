@@ -0,0 +1,153 @@
+/**
+ * Gold Sky Game - Leaderboard Server Tests
+ * Checks submission verification and the HTTP API: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { GameCore, GameState } = require('../core.js');
+const { HttpError, verifySubmission, createServer } = require('../server/leaderboard-server.js');
+
+/**
+ * Play a scripted run and build its submission
+ * @param {string} seed - Run seed
+ * @param {string} mode - Key of GameModes
+ * @returns {Object} Submission body
+ */
+function playRun(seed, mode = 'timeAttack') {
+    const core = new GameCore();
+    core.start(seed, mode);
+    for (let i = 0; core.state === GameState.PLAYING; i++) {
+        core.step({ x: Math.sin(i / 35), y: 0 });
+    }
+    return { name: 'Tester', mode, seed, score: core.score, replay: JSON.parse(JSON.stringify(core.replay)) };
+}
+
+/**
+ * Assert that a submission is rejected with a 400
+ * @param {Object} body - Submission body
+ * @param {RegExp} message - Expected error message
+ */
+function assertRejected(body, message) {
+    assert.throws(() => verifySubmission(body), error =>
+        error instanceof HttpError && error.status === 400 && message.test(error.message));
+}
+
+test('submission verification', async (t) => {
+    const honest = playRun('server');
+    
+    await t.test('honest runs are accepted with simulated stats', () => {
+        const run = verifySubmission(honest);
+        assert.strictEqual(run.score, honest.score);
+        assert.strictEqual(run.modeId, 'timeAttack');
+        assert.ok(run.catches > 0);
+        assert.strictEqual(run.outcome, 'timeout');
+    });
+    
+    await t.test('forged scores are rejected', () => {
+        assertRejected({ ...honest, score: honest.score + 10 }, /does not match the replay/);
+    });
+    
+    await t.test('edited settings are rejected', () => {
+        const replay = { ...honest.replay, config: { ...honest.replay.config, SCORE_MULTIPLIER: 1000 } };
+        assertRejected({ ...honest, replay }, /standard settings/);
+    });
+    
+    await t.test('replays must match the submitted seed and mode', () => {
+        assertRejected({ ...honest, seed: 'other' }, /seed and mode/);
+        assertRejected({ ...honest, mode: 'zen' }, /seed and mode/);
+        assertRejected({ ...honest, mode: 'nope' }, /Unknown game mode/);
+        assertRejected({ ...honest, replay: { ...honest.replay, inputs: [] } }, /step count/);
+    });
+    
+    await t.test('quit runs verify without running forever', () => {
+        const core = new GameCore();
+        core.start('zen-quit', 'zen');
+        for (let i = 0; i < 1200; i++) {
+            core.step({ x: Math.sin(i / 35), y: 0 });
+        }
+        core.end('quit');
+        assert.ok(core.score > 0);
+        
+        const run = verifySubmission({ name: 'Z', mode: 'zen', seed: 'zen-quit', score: core.score, replay: core.replay });
+        assert.strictEqual(run.outcome, 'quit');
+        assert.strictEqual(run.steps, 1200);
+    });
+});
+
+test('http api', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gold-sky-'));
+    const scoresFile = path.join(dir, 'scores.json');
+    const listen = () => new Promise(resolve => {
+        const server = createServer({ scoresFile });
+        server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+    const baseUrl = server => `http://127.0.0.1:${server.address().port}`;
+    const post = (server, body) => fetch(`${baseUrl(server)}/api/scores`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    
+    const server = await listen();
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    
+    await t.test('verified submissions are ranked and listed without replays', async () => {
+        const run = playRun('http');
+        const response = await post(server, run);
+        assert.strictEqual(response.status, 201);
+        const { rank, entry } = await response.json();
+        assert.strictEqual(rank, 0);
+        assert.strictEqual(entry.score, run.score);
+        
+        const list = await (await fetch(`${baseUrl(server)}/api/scores?mode=timeAttack`)).json();
+        assert.strictEqual(list.scores.length, 1);
+        assert.strictEqual(list.scores[0].name, 'Tester');
+        assert.strictEqual(list.scores[0].replay, undefined);
+        
+        const replay = await (await fetch(`${baseUrl(server)}/api/replays/${entry.id}`)).json();
+        assert.deepStrictEqual(replay, run.replay);
+    });
+    
+    await t.test('bad requests get an error message', async () => {
+        const forged = await post(server, { ...playRun('forged'), score: 999999 });
+        assert.strictEqual(forged.status, 400);
+        assert.match((await forged.json()).error, /does not match/);
+        
+        const garbled = await fetch(`${baseUrl(server)}/api/scores`, { method: 'POST', body: '{oops' });
+        assert.strictEqual(garbled.status, 400);
+        
+        const missing = await fetch(`${baseUrl(server)}/api/nothing`);
+        assert.strictEqual(missing.status, 404);
+        assert.strictEqual(missing.headers.get('access-control-allow-origin'), '*');
+    });
+    
+    await t.test('scores survive a restart', async () => {
+        await new Promise(resolve => server.close(resolve));
+        const restarted = await listen();
+        try {
+            const list = await (await fetch(`${baseUrl(restarted)}/api/scores?mode=timeAttack`)).json();
+            assert.strictEqual(list.scores.length, 1);
+        } finally {
+            await new Promise(resolve => restarted.close(resolve));
+        }
+    });
+    
+    await t.test('a scores file from a newer version is not served over', () => {
+        const newerFile = path.join(dir, 'newer.json');
+        const newer = JSON.stringify({ goldSkyLeaderboard: JSON.stringify({ version: 99, modes: {} }) });
+        fs.writeFileSync(newerFile, newer);
+        
+        const warn = console.warn;
+        console.warn = () => {};
+        try {
+            assert.throws(() => createServer({ scoresFile: newerFile }), /newer version/);
+        } finally {
+            console.warn = warn;
+        }
+        assert.strictEqual(fs.readFileSync(newerFile, 'utf8'), newer);
+    });
+});